@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+// Local mock of the chat APIs used by src/matrix.js, src/teams.js, src/slack.js (Web API) and src/telegram.js, and
+// of a generic webhook receiver (src/webhook.js), for trying those targets without accounts.
+//
+//   node scripts/mock_chat_server.js [--port 8091] [--fail-first N] [--fail-nth N] [--fail-status 503] [--webhook-secret S]
+//                                     [--telegram-reject-html]
+//
+// --fail-first fails the first N requests; --fail-nth fails only the N-th one (e.g. the second card of a message).
+//
+// Endpoints:
+//   PUT  /_matrix/client/v3/rooms/<roomId>/send/m.room.message/<txnId>   Matrix (MATRIX_HOMESERVER_URL=http://127.0.0.1:<port>)
+//   POST /teams                                                           Teams (TEAMS_WEBHOOK_URL=http://127.0.0.1:<port>/teams)
+//   POST /api/<method>                                                    Slack Web API (SLACK_API_URL=http://127.0.0.1:<port>/api):
+//        chat.postMessage, chat.update, chat.delete, files.getUploadURLExternal, files.completeUploadExternal (+ POST /upload/<id>)
+//   POST /bot<token>/sendMessage|sendDocument                              Telegram (TELEGRAM_API_URL=http://127.0.0.1:<port>);
+//        HTML with tags other than b/i/s/code/a, or with unbalanced tags, is rejected like Telegram does ("can't parse
+//        entities"); --telegram-reject-html rejects every HTML message that way
+//   POST /webhook                                                         generic webhook (WEBHOOK_URL=http://127.0.0.1:<port>/webhook);
+//        with --webhook-secret, requests without a valid X-Webhook-Signature get 401; a repeated X-Webhook-Id is a duplicate
+// Each message is logged (destination, size, formatting); a repeated Matrix txnId returns the first event id,
+// as a homeserver does. GET /messages lists what was received as JSON.
+
+import http from 'node:http';
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { parseArgs } from 'node:util';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8091' },
+    'fail-first': { type: 'string', default: '0' },
+    'fail-nth': { type: 'string', default: '0' },
+    'fail-status': { type: 'string', default: '503' },
+    'webhook-secret': { type: 'string' },
+    'telegram-reject-html': { type: 'boolean', default: false },
+  },
+});
+
+const port = Number(values.port);
+let failLeft = Number(values['fail-first']) || 0;
+const failNth = Number(values['fail-nth']) || 0;
+let requests = 0;
+const failStatus = Number(values['fail-status']) || 503;
+const messages = [];
+const matrixTxns = new Map();
+const slackMessages = new Map(); // ts -> channel
+const slackFiles = new Map(); // file id -> { filename, bytes }
+let slackSeq = 0;
+const webhookIds = new Set();
+
+// Slack Web API answers 200 with { ok, error }.
+function slack(req, method, body, raw) {
+  if (!/^Bearer xox[bp]-/.test(req.headers.authorization || '')) return { ok: false, error: 'not_authed' };
+  if (method === 'chat.postMessage') {
+    slackSeq += 1;
+    const ts = `1700000000.${String(slackSeq).padStart(6, '0')}`;
+    slackMessages.set(ts, body.channel);
+    record({ dest: 'slack', method, channel: body.channel, ts, thread: body.thread_ts || '-', blocks: body.blocks?.length ?? 0, chars: String(body.text || '').length });
+    return { ok: true, channel: body.channel, ts };
+  }
+  if (method === 'chat.update') {
+    if (slackMessages.get(body.ts) !== body.channel) return { ok: false, error: 'message_not_found' };
+    record({ dest: 'slack', method, channel: body.channel, ts: body.ts, blocks: body.blocks?.length ?? 0 });
+    return { ok: true, channel: body.channel, ts: body.ts };
+  }
+  if (method === 'chat.delete') {
+    if (!slackMessages.delete(body.ts)) return { ok: false, error: 'message_not_found' };
+    record({ dest: 'slack', method, channel: body.channel, ts: body.ts });
+    return { ok: true, channel: body.channel, ts: body.ts };
+  }
+  if (method === 'files.getUploadURLExternal') {
+    const form = new URLSearchParams(raw);
+    const id = `F${String(slackFiles.size + 1).padStart(8, '0')}`;
+    slackFiles.set(id, { filename: form.get('filename'), bytes: 0 });
+    return { ok: true, file_id: id, upload_url: `http://127.0.0.1:${port}/upload/${id}` };
+  }
+  if (method === 'files.completeUploadExternal') {
+    const file = slackFiles.get(body.files?.[0]?.id);
+    if (!file) return { ok: false, error: 'file_not_found' };
+    record({ dest: 'slack', method, channel: body.channel_id, thread: body.thread_ts || '-', file: file.filename, bytes: file.bytes });
+    return { ok: true, files: [{ id: body.files[0].id }] };
+  }
+  return { ok: false, error: 'unknown_method' };
+}
+
+// Telegram's HTML parse errors: unsupported tags, and tags not closed in order.
+function telegramHtmlError(html) {
+  const open = [];
+  for (const [, close, name] of String(html).matchAll(/<(\/?)([a-z]*)[^>]*>/gi)) {
+    if (!['b', 'i', 's', 'code', 'a'].includes(name)) return 'unsupported start tag';
+    if (!close) open.push(name);
+    else if (open.pop() !== name) return `can't find end tag corresponding to start tag "${name}"`;
+  }
+  return open.length ? `can't find end tag corresponding to start tag "${open.pop()}"` : null;
+}
+
+// Verify X-Webhook-Signature the way a receiver should: HMAC-SHA256 of `${timestamp}.${body}`, compared in constant time.
+function webhookSignatureValid(req, raw) {
+  const timestamp = String(req.headers['x-webhook-timestamp'] || '');
+  const expected = Buffer.from(`sha256=${createHmac('sha256', values['webhook-secret']).update(`${timestamp}.${raw}`).digest('hex')}`);
+  const got = Buffer.from(String(req.headers['x-webhook-signature'] || ''));
+  const fresh = Math.abs(Date.now() / 1000 - Number(timestamp)) < 300;
+  return fresh && got.length === expected.length && timingSafeEqual(got, expected);
+}
+
+function record(entry) {
+  messages.push({ n: messages.length + 1, ...entry });
+  // eslint-disable-next-line no-console
+  console.log(`#${messages.length} ${Object.entries(entry).map(([k, v]) => `${k}=${v}`).join(' ')}`);
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', (d) => (raw += d));
+  req.on('end', () => {
+    let body = {};
+    try {
+      body = JSON.parse(raw || '{}');
+    } catch {}
+    const path = String(req.url || '').split('?')[0];
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'GET' && path === '/messages') {
+      res.end(JSON.stringify(messages));
+      return;
+    }
+    requests += 1;
+    if (failLeft > 0 || requests === failNth) {
+      failLeft = Math.max(0, failLeft - 1);
+      res.statusCode = failStatus;
+      res.end(JSON.stringify({ errcode: 'M_UNKNOWN', error: `mock failure (${failStatus})` }));
+      return;
+    }
+
+    const mx = /^\/_matrix\/client\/v3\/rooms\/([^/]+)\/send\/m\.room\.message\/([^/]+)$/.exec(path);
+    if (req.method === 'PUT' && mx) {
+      if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+        res.statusCode = 401;
+        res.end(JSON.stringify({ errcode: 'M_MISSING_TOKEN', error: 'Missing access token' }));
+        return;
+      }
+      const txn = decodeURIComponent(mx[2]);
+      if (!matrixTxns.has(txn)) {
+        matrixTxns.set(txn, `$mock${matrixTxns.size + 1}`);
+        record({ dest: 'matrix', room: decodeURIComponent(mx[1]), txn, msgtype: body.msgtype, chars: String(body.body || '').length, html: Boolean(body.formatted_body) });
+      }
+      res.end(JSON.stringify({ event_id: matrixTxns.get(txn) }));
+    } else if (req.method === 'POST' && path.startsWith('/api/')) {
+      res.end(JSON.stringify(slack(req, path.slice('/api/'.length), body, raw)));
+    } else if (req.method === 'POST' && path.startsWith('/upload/') && slackFiles.has(path.slice('/upload/'.length))) {
+      slackFiles.get(path.slice('/upload/'.length)).bytes = Buffer.byteLength(raw);
+      res.setHeader('Content-Type', 'text/plain');
+      res.end('OK - 200');
+    } else if (req.method === 'POST' && /^\/bot[^/]+\/send(Message|Document)$/.test(path)) {
+      const method = path.split('/').pop();
+      if (method === 'sendMessage') {
+        const htmlError = body.parse_mode === 'HTML' && (values['telegram-reject-html'] ? 'rejected by --telegram-reject-html' : telegramHtmlError(body.text));
+        if (htmlError) {
+          res.statusCode = 400;
+          res.end(JSON.stringify({ ok: false, error_code: 400, description: `Bad Request: can't parse entities: ${htmlError}` }));
+          return;
+        }
+        record({ dest: 'telegram', method, chat: body.chat_id, topic: body.message_thread_id ?? '-', parseMode: body.parse_mode || '-', chars: String(body.text || '').length });
+      } else {
+        const field = (name) => raw.match(new RegExp(`name="${name}"\r\n\r\n([^\r]*)`))?.[1] ?? '-';
+        record({ dest: 'telegram', method, chat: field('chat_id'), topic: field('message_thread_id'), file: raw.match(/filename="([^"]*)"/)?.[1] ?? '-', bytes: raw.length });
+      }
+      res.end(JSON.stringify({ ok: true, result: { message_id: messages.length } }));
+    } else if (req.method === 'POST' && path === '/webhook') {
+      if (values['webhook-secret'] && !webhookSignatureValid(req, raw)) {
+        res.statusCode = 401;
+        res.end(JSON.stringify({ error: 'bad signature' }));
+        return;
+      }
+      const id = req.headers['x-webhook-id'] || '-';
+      const duplicate = webhookIds.has(id);
+      webhookIds.add(id);
+      record({
+        dest: 'webhook',
+        id,
+        schema: body.schemaVersion,
+        signed: Boolean(req.headers['x-webhook-signature']),
+        duplicate,
+        participants: body.discord?.participants?.length ?? 0,
+        transcript: Boolean(body.transcript),
+        bytes: raw.length,
+      });
+      res.end(JSON.stringify({ ok: true }));
+    } else if (req.method === 'POST' && path === '/teams') {
+      const card = body.attachments?.[0]?.content;
+      if (card?.type !== 'AdaptiveCard') {
+        res.statusCode = 400;
+        res.end('Bad payload: expected an Adaptive Card attachment');
+        return;
+      }
+      record({ dest: 'teams', title: JSON.stringify(card.body?.[0]?.text), blocks: card.body.length, bytes: raw.length });
+      res.setHeader('Content-Type', 'text/plain');
+      res.end('1');
+    } else {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ errcode: 'M_UNRECOGNIZED', error: 'not found' }));
+    }
+  });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  // eslint-disable-next-line no-console
+  console.log(`mock chat server on http://127.0.0.1:${port}`);
+});
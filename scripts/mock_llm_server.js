@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// Local mock of the LLM APIs used by src/llm_providers.js, for trying providers without real keys.
+//
+//   node scripts/mock_llm_server.js [--port 8089] [--fail-first N] [--fail-status 503] [--retry-after SEC] [--bad-json N]
+//
+// Answers in the format of the endpoint that was called:
+//   POST .../chat/completions   OpenAI / OpenAI-compatible / Azure OpenAI
+//   POST .../v1/messages        Anthropic Messages
+//   POST anything else          generic HTTP LLM ({ text }) and Ollama /api/generate ({ response })
+// The first N requests can be failed with --fail-status to exercise error handling (with a Retry-After header
+// when --retry-after is given).
+// Prompts asking for JSON minutes (prompts/minutes.txt) get a JSON answer; --bad-json N breaks the first N of
+// them to exercise validation and repair.
+// Each request is logged (path, auth header names, prompt size); prompts and keys are not printed.
+
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8089' },
+    'fail-first': { type: 'string', default: '0' },
+    'fail-status': { type: 'string', default: '503' },
+    'retry-after': { type: 'string' },
+    'bad-json': { type: 'string', default: '0' },
+  },
+});
+
+const port = Number(values.port);
+let failLeft = Number(values['fail-first']) || 0;
+const failStatus = Number(values['fail-status']) || 503;
+let badJsonLeft = Number(values['bad-json']) || 0;
+
+function promptOf(body) {
+  if (typeof body?.prompt === 'string') return body.prompt;
+  const msgs = Array.isArray(body?.messages) ? body.messages : [];
+  return msgs.map((m) => (typeof m.content === 'string' ? m.content : '')).join('\n');
+}
+
+function mockSummary(kind, prompt) {
+  if (prompt.includes('"actionItems"')) {
+    if (badJsonLeft > 0) {
+      badJsonLeft -= 1;
+      return `Here are the minutes:\n{"summary": "not a list", "actionItems": [{"owner": "Alice"}]}`;
+    }
+    return JSON.stringify({
+      summary: [`Mock minutes (${kind})`, `Received a prompt of ${prompt.length} chars.`],
+      decisions: [],
+      actionItems: [{ task: 'Reply to the mock', owner: null, deadline: null }],
+      risks: [],
+    });
+  }
+  return `1. Mock summary (${kind})\n• Received a prompt of ${prompt.length} chars.\n\n2. Decisions\n- None.`;
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', (d) => (raw += d));
+  req.on('end', () => {
+    let body = {};
+    try {
+      body = JSON.parse(raw || '{}');
+    } catch {}
+    const prompt = promptOf(body);
+    const auth = ['authorization', 'api-key', 'x-api-key'].filter((h) => req.headers[h]);
+    // eslint-disable-next-line no-console
+    console.log(`${req.method} ${req.url} auth=[${auth.join(',')}] model=${body?.model ?? '-'} promptChars=${prompt.length}`);
+
+    res.setHeader('Content-Type', 'application/json');
+    if (failLeft > 0) {
+      failLeft -= 1;
+      res.statusCode = failStatus;
+      if (values['retry-after']) res.setHeader('Retry-After', values['retry-after']);
+      res.end(JSON.stringify({ error: { message: `mock failure (${failStatus})` } }));
+      return;
+    }
+
+    const path = String(req.url || '').split('?')[0];
+    if (path.endsWith('/chat/completions')) {
+      const kind = path.includes('/openai/deployments/') ? 'azure' : 'openai';
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: mockSummary(kind, prompt) } }] }));
+    } else if (path.endsWith('/v1/messages')) {
+      res.end(JSON.stringify({ content: [{ type: 'text', text: mockSummary('anthropic', prompt) }] }));
+    } else {
+      const text = mockSummary('http', prompt);
+      res.end(JSON.stringify({ text, response: text }));
+    }
+  });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  // eslint-disable-next-line no-console
+  console.log(`mock LLM server on http://127.0.0.1:${port}`);
+});
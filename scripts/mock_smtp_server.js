@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Local mock SMTP server for trying the email delivery target (src/email.js) without a mail account.
+//
+//   node scripts/mock_smtp_server.js [--port 2525] [--fail-first N] [--auth]
+//
+// Plain SMTP only (no STARTTLS), so point the bot at it with SMTP_HOST=127.0.0.1 SMTP_PORT=2525
+// SMTP_REQUIRE_TLS=false. --auth advertises AUTH PLAIN/LOGIN and accepts any credentials.
+// The first N messages can be rejected with 451 to exercise retries.
+// Each accepted message is logged (envelope, subject, MIME parts); bodies are not printed.
+
+import net from 'node:net';
+import { parseArgs } from 'node:util';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '2525' },
+    'fail-first': { type: 'string', default: '0' },
+    auth: { type: 'boolean', default: false },
+  },
+});
+
+const port = Number(values.port);
+let failLeft = Number(values['fail-first']) || 0;
+let count = 0;
+
+function describe(message) {
+  // Unfold, then decode RFC 2047 words (whitespace between adjacent words is dropped).
+  const subject = (message.match(/^Subject: (.*(?:\r\n .*)*)/m)?.[1] || '').replace(/\r\n /g, ' ').replace(/\?=\s+=\?/g, '?==?');
+  const decoded = subject.replace(/=\?UTF-8\?([BQ])\?([^?]*)\?=/gi, (_, enc, w) =>
+    enc.toUpperCase() === 'B'
+      ? Buffer.from(w, 'base64').toString('utf-8')
+      : Buffer.from(w.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (__, h) => String.fromCharCode(parseInt(h, 16))), 'latin1').toString('utf-8'),
+  );
+  const types = [...message.matchAll(/^Content-Type: ([^;\r\n]+)/gim)].map((m) => m[1]);
+  const files = [...message.matchAll(/filename="?([^";\r\n]*)"?/gi)].map((m) => m[1]);
+  return `subject="${decoded}" parts=[${types.join(',')}] attachments=[${files.join(',')}] bytes=${message.length}`;
+}
+
+const server = net.createServer((socket) => {
+  let buf = '';
+  let mode = 'command';
+  let envelope = { from: null, to: [] };
+  let data = [];
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply('220 mock-smtp ready');
+  socket.on('data', (d) => {
+    buf += d.toString('utf-8');
+    let i;
+    while ((i = buf.indexOf('\r\n')) >= 0) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+
+      if (mode === 'data') {
+        if (line !== '.') {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+          continue;
+        }
+        mode = 'command';
+        if (failLeft > 0) {
+          failLeft -= 1;
+          reply('451 mock failure');
+        } else {
+          count += 1;
+          // eslint-disable-next-line no-console
+          console.log(`#${count} from=${envelope.from} to=${envelope.to.join(',')} ${describe(data.join('\r\n'))}`);
+          reply(`250 OK queued as mock-${count}`);
+        }
+        envelope = { from: null, to: [] };
+        data = [];
+        continue;
+      }
+      if (mode === 'auth-user') {
+        mode = 'auth-pass';
+        reply('334 UGFzc3dvcmQ6');
+        continue;
+      }
+      if (mode === 'auth-pass') {
+        mode = 'command';
+        reply('235 Authentication succeeded');
+        continue;
+      }
+
+      const verb = line.split(' ')[0].toUpperCase();
+      if (verb === 'EHLO' || verb === 'HELO') {
+        reply('250-mock-smtp');
+        if (values.auth) reply('250-AUTH PLAIN LOGIN');
+        reply('250 8BITMIME');
+      } else if (verb === 'AUTH') {
+        if (/^AUTH LOGIN/i.test(line)) {
+          mode = 'auth-user';
+          reply('334 VXNlcm5hbWU6');
+        } else {
+          reply('235 Authentication succeeded');
+        }
+      } else if (verb === 'MAIL') {
+        envelope.from = line.match(/<([^>]*)>/)?.[1] ?? '';
+        reply('250 OK');
+      } else if (verb === 'RCPT') {
+        envelope.to.push(line.match(/<([^>]*)>/)?.[1] ?? '');
+        reply('250 OK');
+      } else if (verb === 'DATA') {
+        mode = 'data';
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (verb === 'RSET' || verb === 'NOOP') {
+        reply('250 OK');
+      } else if (verb === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+  });
+  socket.on('error', () => {});
+});
+
+server.listen(port, '127.0.0.1', () => {
+  // eslint-disable-next-line no-console
+  console.log(`mock SMTP server on 127.0.0.1:${port}`);
+});
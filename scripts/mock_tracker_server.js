@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+// Local mock of the issue tracker APIs used by src/issue_trackers.js, for trying ISSUE_TRACKER without real accounts.
+//
+//   node scripts/mock_tracker_server.js [--port 8090] [--fail-first N] [--fail-status 503]
+//
+// Endpoints (point GITHUB_API_URL / JIRA_BASE_URL / LINEAR_API_URL at http://127.0.0.1:<port>, LINEAR_API_URL with /graphql):
+//   POST /repos/<owner>/<repo>/issues   GitHub Issues
+//   POST /rest/api/2/issue              Jira
+//   POST /graphql                       Linear (issueCreate, issues search by description)
+//   GET  /search/issues?q="<text>" ...  GitHub issue search (quoted text in the body)
+//   GET  /rest/api/2/search?jql=...     Jira search (text ~ "\"<text>\"")
+// Each created issue is logged (tracker, title, assignee, labels); GET /issues lists them as JSON.
+
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8090' },
+    'fail-first': { type: 'string', default: '0' },
+    'fail-status': { type: 'string', default: '503' },
+  },
+});
+
+const port = Number(values.port);
+let failLeft = Number(values['fail-first']) || 0;
+const failStatus = Number(values['fail-status']) || 503;
+const issues = [];
+
+function record(tracker, { title, body, assignee, labels }) {
+  const n = issues.length + 1;
+  issues.push({ n, tracker, title, body: body ?? '', assignee: assignee ?? null, labels: labels ?? [] });
+  // eslint-disable-next-line no-console
+  console.log(`${tracker} #${n} "${title}" assignee=${assignee ?? '-'} labels=[${(labels ?? []).join(',')}]`);
+  return n;
+}
+
+function matching(tracker, text) {
+  return text ? issues.filter((i) => i.tracker === tracker && i.body.includes(text)) : [];
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', (d) => (raw += d));
+  req.on('end', () => {
+    let body = {};
+    try {
+      body = JSON.parse(raw || '{}');
+    } catch {}
+    const url = new URL(req.url || '/', 'http://mock');
+    const path = url.pathname;
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'GET' && path === '/issues') {
+      res.end(JSON.stringify(issues));
+      return;
+    }
+    if (failLeft > 0) {
+      failLeft -= 1;
+      res.statusCode = failStatus;
+      res.end(JSON.stringify({ message: `mock failure (${failStatus})` }));
+      return;
+    }
+
+    if (req.method === 'GET' && path === '/search/issues') {
+      const text = /"([^"]+)"/.exec(url.searchParams.get('q') || '')?.[1] || '';
+      const items = matching('github', text).map((i) => ({ number: i.n, title: i.title, body: i.body, html_url: `https://github.com/mock/issues/${i.n}` }));
+      res.end(JSON.stringify({ total_count: items.length, items }));
+      return;
+    }
+    if (req.method === 'GET' && path === '/rest/api/2/search') {
+      const text = /\\"([^"\\]+)\\"/.exec(url.searchParams.get('jql') || '')?.[1] || '';
+      const found = matching('jira', text).map((i) => ({ key: i.key, fields: { summary: i.title, description: i.body } }));
+      res.end(JSON.stringify({ total: found.length, issues: found }));
+      return;
+    }
+    if (req.method === 'POST' && path === '/graphql' && /\bissues\s*\(/.test(body.query || '')) {
+      const nodes = matching('linear', body.variables?.marker || '').map((i) => ({
+        id: `mock-${i.n}`,
+        identifier: `ENG-${i.n}`,
+        url: `https://linear.app/mock/issue/ENG-${i.n}`,
+        title: i.title,
+        description: i.body,
+      }));
+      res.end(JSON.stringify({ data: { issues: { nodes } } }));
+      return;
+    }
+
+    const gh = /^\/repos\/([^/]+)\/([^/]+)\/issues$/.exec(path);
+    if (req.method === 'POST' && gh) {
+      const n = record('github', { title: body.title, body: body.body, assignee: body.assignees?.[0], labels: body.labels });
+      res.statusCode = 201;
+      res.end(JSON.stringify({ id: 1000 + n, number: n, html_url: `https://github.com/${gh[1]}/${gh[2]}/issues/${n}` }));
+    } else if (req.method === 'POST' && path === '/rest/api/2/issue') {
+      const f = body.fields || {};
+      const n = record('jira', { title: f.summary, body: f.description, assignee: f.assignee?.accountId, labels: f.labels });
+      const key = `${f.project?.key || 'PRJ'}-${n}`;
+      issues[n - 1].key = key;
+      res.statusCode = 201;
+      res.end(JSON.stringify({ id: String(10000 + n), key }));
+    } else if (req.method === 'POST' && path === '/graphql') {
+      const input = body.variables?.input || {};
+      const n = record('linear', { title: input.title, body: input.description, assignee: input.assigneeId, labels: input.labelIds });
+      res.end(JSON.stringify({ data: { issueCreate: { success: true, issue: { id: `mock-${n}`, identifier: `ENG-${n}`, url: `https://linear.app/mock/issue/ENG-${n}` } } } }));
+    } else {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ message: 'not found' }));
+    }
+  });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  // eslint-disable-next-line no-console
+  console.log(`mock issue tracker on http://127.0.0.1:${port}`);
+});
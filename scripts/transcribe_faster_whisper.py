@@ -1,9 +1,74 @@
 #!/usr/bin/env python3
 import argparse
+import json
 import sys
 from faster_whisper import WhisperModel
 
 
+def transcribe(model, args, path):
+    segments, info = model.transcribe(
+        path,
+        language=args.language,
+        beam_size=args.beam_size,
+        vad_filter=args.vad_filter,
+        no_speech_threshold=args.no_speech_threshold,
+        log_prob_threshold=args.log_prob_threshold,
+        compression_ratio_threshold=args.compression_ratio_threshold,
+        initial_prompt=args.prompt,
+        word_timestamps=args.word_timestamps,
+    )
+
+    out = []
+    for seg in segments:
+        text = (seg.text or "").strip()
+        if not text:
+            continue
+        item = {
+            "start": round(seg.start, 3),
+            "end": round(seg.end, 3),
+            "text": text,
+            "avg_logprob": seg.avg_logprob,
+            "no_speech_prob": seg.no_speech_prob,
+        }
+        if args.word_timestamps and seg.words:
+            item["words"] = [
+                {"start": round(w.start, 3), "end": round(w.end, 3), "word": w.word.strip(), "probability": w.probability}
+                for w in seg.words
+            ]
+        out.append(item)
+
+    return {
+        "text": " ".join(s["text"] for s in out).strip(),
+        "language": info.language,
+        "language_probability": info.language_probability,
+        "duration": info.duration,
+        "segments": out,
+    }
+
+
+def write_json_line(obj):
+    sys.stdout.write(json.dumps(obj, ensure_ascii=False) + "\n")
+    sys.stdout.flush()
+
+
+def serve(model, args):
+    # JSON-lines protocol on stdin/stdout; the model is loaded once.
+    # Request:  {"id": <any>, "file": "/path/to/audio.wav"}
+    # Response: {"id": <same>, "result": {text, language, segments, ...}} or {"id": <same>, "error": "..."}
+    write_json_line({"ready": True})
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        rid = None
+        try:
+            req = json.loads(line)
+            rid = req.get("id")
+            write_json_line({"id": rid, "result": transcribe(model, args, req["file"])})
+        except Exception as e:  # keep serving; one bad file must not kill the worker
+            write_json_line({"id": rid, "error": str(e)[:2000]})
+
+
 def main():
     ap = argparse.ArgumentParser()
     ap.add_argument("--model", default="small", help="Model size/name (tiny|base|small|medium|large-v3 or HF repo)")
@@ -21,8 +86,14 @@ def main():
     # Optional prompt to bias toward certain vocab (e.g. deploy/endpoint/webhook)
     ap.add_argument("--prompt", default=None)
 
-    ap.add_argument("file", help="Path to audio file")
+    ap.add_argument("--server", action="store_true", help="Serve JSON-lines requests on stdin (persistent worker)")
+    ap.add_argument("--json", action="store_true", help="Print a JSON result (segments, timings, language) instead of text")
+    ap.add_argument("--word_timestamps", action="store_true", help="Include per-word timings in JSON output")
+
+    ap.add_argument("file", nargs="?", help="Path to audio file")
     args = ap.parse_args()
+    if not args.server and not args.file:
+        ap.error("file is required unless --server is set")
 
     device = args.device
     if device == "auto":
@@ -30,24 +101,15 @@ def main():
 
     model = WhisperModel(args.model, device=device, compute_type=args.compute_type)
 
-    segments, _info = model.transcribe(
-        args.file,
-        language=args.language,
-        beam_size=args.beam_size,
-        vad_filter=args.vad_filter,
-        no_speech_threshold=args.no_speech_threshold,
-        log_prob_threshold=args.log_prob_threshold,
-        compression_ratio_threshold=args.compression_ratio_threshold,
-        initial_prompt=args.prompt,
-    )
-
-    out = []
-    for seg in segments:
-        text = (seg.text or "").strip()
-        if text:
-            out.append(text)
+    if args.server:
+        serve(model, args)
+        return
 
-    sys.stdout.write(" ".join(out).strip())
+    result = transcribe(model, args, args.file)
+    if args.json:
+        sys.stdout.write(json.dumps(result, ensure_ascii=False))
+    else:
+        sys.stdout.write(result["text"])
 
 
 if __name__ == "__main__":
@@ -0,0 +1,109 @@
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join, resolve, sep } from 'node:path';
+
+import { sanitizeLabel } from './security.js';
+import { ENCRYPTED_SUFFIX, encryptBuffer, decryptBuffer } from './encryption.js';
+
+export const ARCHIVE_SCHEMA_VERSION = 1;
+
+/**
+ * File name stem shared by every file of one call (`<stem>.txt`, `<stem>.json`, ...).
+ * The stem never contains a dot, so retention can group a call's files by `name.split('.')[0]`.
+ */
+export function callFileStem({ startedAt, channelName }) {
+  const safeName = sanitizeLabel(channelName, { maxLen: 80 }).replace(/[^a-zA-Z0-9а-яА-Я_-]+/g, '_');
+  const startedStamp = startedAt ? startedAt.toISOString().replace(/[:.]/g, '-') : 'unknown';
+  return `${startedStamp}__${safeName}`;
+}
+
+/**
+ * Resolve a CLI argument (bare file name or path) to a file inside the transcripts dir.
+ */
+export function resolveCallPath(arg, transcriptsDir) {
+  const p = arg.includes('/') ? resolve(process.cwd(), arg) : join(transcriptsDir, arg);
+  const dir = resolve(transcriptsDir);
+  const prefix = dir.endsWith(sep) ? dir : dir + sep;
+  if (!p.startsWith(prefix)) {
+    throw new Error(`File must be inside TRANSCRIPTS_DIR (${transcriptsDir})`);
+  }
+  return p;
+}
+
+// With `encryptionKey` (TRANSCRIPTS_ENCRYPTION_KEY) the file is written encrypted as `<name>.enc`.
+function writeCallFile({ dir, name, text, encryptionKey }) {
+  mkdirSync(dir, { recursive: true });
+  if (encryptionKey) {
+    const outPath = join(dir, name + ENCRYPTED_SUFFIX);
+    writeFileSync(outPath, encryptBuffer(Buffer.from(text, 'utf-8'), encryptionKey), { mode: 0o600 });
+    return outPath;
+  }
+  const outPath = join(dir, name);
+  writeFileSync(outPath, text, { encoding: 'utf-8' });
+  return outPath;
+}
+
+/**
+ * Read a saved call text file (.txt/.json), decrypting `.enc` files with `encryptionKey`.
+ */
+export function readCallFile(path, { encryptionKey = null } = {}) {
+  if (!path.endsWith(ENCRYPTED_SUFFIX)) return readFileSync(path, 'utf-8');
+  if (!encryptionKey) throw new Error(`${path} is encrypted; set TRANSCRIPTS_ENCRYPTION_KEY`);
+  return decryptBuffer(readFileSync(path), encryptionKey).toString('utf-8');
+}
+
+export function writeTranscriptText({ dir, stem, text, encryptionKey = null }) {
+  return writeCallFile({ dir, name: `${stem}.txt`, text, encryptionKey });
+}
+
+// Archive records for transcript items (see transcript.js), ordered by speech start.
+export function archiveUtterances(transcripts, { startedMs = 0 } = {}) {
+  return [...transcripts]
+    .sort((a, b) => a.startMs - b.startMs)
+    .map((t) => ({
+      userId: t.userId,
+      user: t.user,
+      startedAt: new Date(startedMs + t.startMs).toISOString(),
+      startMs: t.startMs,
+      endMs: t.endMs,
+      durationMs: Math.max(0, t.endMs - t.startMs),
+      audioSeconds: Math.round((Number(t.seconds) || 0) * 100) / 100,
+      text: t.text,
+      language: t.language ?? null,
+      segments: t.segments || [],
+    }));
+}
+
+export function archiveSummary(summary) {
+  if (!summary) return null;
+  return {
+    text: summary.text,
+    format: summary.format ?? 'text',
+    minutes: summary.minutes ?? null,
+    provider: summary.provider ?? null,
+    model: summary.model ?? null,
+    prompt: summary.prompt ?? null,
+    lang: summary.lang ?? null,
+    chunks: summary.chunks ?? null,
+    failedProviders: summary.failedProviders ?? [],
+    fallback: Boolean(summary.fallback),
+    error: summary.error ?? null,
+  };
+}
+
+/**
+ * Machine-readable per-call archive written next to the .txt transcript.
+ *
+ * {
+ *   version, call: { guildId, voiceChannelId, channel, startedAt, endedAt, durationMs },
+ *   participants: [{ userId, name, recorded }],
+ *   utterances: [{ userId, user, startedAt, startMs, endMs, durationMs, audioSeconds, text, language, segments }],
+ *   metrics,
+ *   audio: { tracks: [{ userId, user, file, seconds }], mix } | null  (AUDIO_ARCHIVE_ENABLED),
+ *   redaction: { counts, unredactedLocal } | null  (REDACTION_ENABLED),
+ *   summary: { text, format, minutes, provider, model, prompt, lang, chunks, failedProviders, fallback, error } | null
+ * }
+ */
+export function writeCallArchiveJson({ dir, stem, archive, encryptionKey = null }) {
+  const text = JSON.stringify({ version: ARCHIVE_SCHEMA_VERSION, ...archive }, null, 2) + '\n';
+  return writeCallFile({ dir, name: `${stem}.json`, text, encryptionKey });
+}
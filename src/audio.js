@@ -0,0 +1,92 @@
+import ffmpegPath from 'ffmpeg-static';
+import { spawn } from 'node:child_process';
+
+// `stdin`: a readable stream piped into ffmpeg (for `-i pipe:0`).
+function runFfmpeg(args, { timeoutMs = 10 * 60_000, stdin = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const p = spawn(ffmpegPath, args, { stdio: [stdin ? 'pipe' : 'ignore', 'ignore', 'pipe'] });
+    if (stdin) {
+      // If ffmpeg exits early, its exit code is the error to report, not EPIPE.
+      p.stdin.on('error', () => {});
+      stdin.on('error', (e) => {
+        p.kill('SIGKILL');
+        reject(e);
+      });
+      stdin.pipe(p.stdin);
+    }
+    let err = '';
+    const t = setTimeout(() => {
+      p.kill('SIGKILL');
+      reject(new Error(`ffmpeg timeout after ${timeoutMs}ms`));
+    }, timeoutMs);
+    p.stderr.on('data', (d) => (err += d.toString('utf-8')));
+    p.on('error', (e) => {
+      clearTimeout(t);
+      reject(e);
+    });
+    p.on('close', (code) => {
+      clearTimeout(t);
+      if (code === 0) resolve();
+      else reject(new Error(`ffmpeg failed code=${code}: ${err.slice(0, 1000)}`));
+    });
+  });
+}
+
+export async function ffmpegPcmToWav(pcmPath, wavPath) {
+  // input is raw s16le, 48kHz, mono (our Opus decoder is configured for 1 channel)
+  return runFfmpeg([
+    '-f', 's16le',
+    '-ar', '48000',
+    '-ac', '1',
+    '-i', pcmPath,
+    '-y',
+    wavPath,
+  ]);
+}
+
+/**
+ * Decode any audio file ffmpeg understands (WAV/OGG/Opus/MP3/...) to a 16kHz mono WAV for STT.
+ */
+export async function ffmpegToWav(inputPath, wavPath, { timeoutMs } = {}) {
+  return runFfmpeg([
+    '-i', inputPath,
+    '-vn',
+    '-ac', '1',
+    '-ar', '16000',
+    '-y',
+    wavPath,
+  ], { timeoutMs });
+}
+
+/**
+ * Encode raw PCM (s16le, 48kHz, mono) to Opus in an OGG container. `input` is a file path or a readable
+ * stream, which is piped to ffmpeg (nothing is written to disk but the output).
+ */
+export async function ffmpegPcmToOpus(input, outPath, { bitrateKbps = 32, timeoutMs = 30 * 60_000 } = {}) {
+  const fromStream = typeof input !== 'string';
+  return runFfmpeg([
+    '-f', 's16le',
+    '-ar', '48000',
+    '-ac', '1',
+    '-i', fromStream ? 'pipe:0' : input,
+    '-c:a', 'libopus',
+    '-b:a', `${bitrateKbps}k`,
+    '-y',
+    outPath,
+  ], { timeoutMs, stdin: fromStream ? input : null });
+}
+
+/**
+ * Mix several time-aligned audio files (e.g. the per-speaker Opus tracks) into one Opus/OGG file.
+ */
+export async function ffmpegMixToOpus(paths, outPath, { bitrateKbps = 32, timeoutMs = 30 * 60_000 } = {}) {
+  const inputs = paths.flatMap((p) => ['-i', p]);
+  return runFfmpeg([
+    ...inputs,
+    '-filter_complex', `amix=inputs=${paths.length}:duration=longest:normalize=0`,
+    '-c:a', 'libopus',
+    '-b:a', `${bitrateKbps}k`,
+    '-y',
+    outPath,
+  ], { timeoutMs });
+}
@@ -0,0 +1,92 @@
+import { createReadStream, mkdirSync, rmSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+
+import { ffmpegPcmToOpus, ffmpegMixToOpus } from './audio.js';
+import { ENCRYPTED_SUFFIX, encryptFile } from './encryption.js';
+
+// Recorded PCM: s16le, 48kHz, mono (see recorder.js)
+const BYTES_PER_SECOND = 48000 * 1 * 2;
+const SILENCE = Buffer.alloc(BYTES_PER_SECOND);
+
+/**
+ * Lay one speaker's chunks out on the call timeline (silence between them), so every track
+ * starts at the call start and tracks can be mixed or played side by side with the transcript.
+ * Chunks that would overlap the previous one are appended right after it.
+ * Yields the PCM to be piped into the encoder (the padded track is never written out; it would be
+ * ~350 MB per speaker and hour); `stats.bytes` is its length so far.
+ */
+async function* timelinePcm(chunks, stats) {
+  stats.bytes = 0;
+  for (const c of [...chunks].sort((a, b) => a.startMs - b.startMs)) {
+    const target = Math.floor((Math.max(0, c.startMs) / 1000) * BYTES_PER_SECOND) & ~1;
+    while (stats.bytes < target) {
+      const n = Math.min(SILENCE.length, target - stats.bytes);
+      stats.bytes += n;
+      yield SILENCE.subarray(0, n);
+    }
+    for await (const data of createReadStream(c.pcmPath)) {
+      stats.bytes += data.length;
+      yield data;
+    }
+  }
+}
+
+/**
+ * Encode a call's kept PCM chunks to `<stem>.audio-<userId>.ogg` per speaker (and `<stem>.audio-mix.ogg`
+ * with `mix`) in `dir`, sharing the transcript's file stem so retention prunes them with the call.
+ * With `encryptionKey` the files are stored encrypted (`.ogg.enc`).
+ *
+ * Returns { tracks: [{ userId, user, file, seconds }], mix: file | null }, or null if there is no audio.
+ */
+export async function writeAudioArchive({ chunks, dir, stem, workDir, mix = false, bitrateKbps = 32, encryptionKey = null, logger = null }) {
+  const existing = (chunks || []).filter((c) => {
+    try {
+      return statSync(c.pcmPath).size > 0;
+    } catch {
+      return false;
+    }
+  });
+  if (!existing.length) return null;
+
+  const bySpeaker = new Map(); // userId -> { user, chunks }
+  for (const c of existing) {
+    if (!bySpeaker.has(c.userId)) bySpeaker.set(c.userId, { user: c.user, chunks: [] });
+    bySpeaker.get(c.userId).chunks.push(c);
+  }
+
+  mkdirSync(dir, { recursive: true });
+  // With an encryption key the tracks are encoded into workDir and encrypted into `dir` at the end
+  // (the mix is made from them), so no plaintext audio lands in `dir`.
+  const encodeDir = encryptionKey ? workDir : dir;
+  const tracks = [];
+  const encoded = [];
+  try {
+    for (const [userId, { user, chunks: speakerChunks }] of bySpeaker) {
+      const file = `${stem}.audio-${userId}.ogg`;
+      const stats = { bytes: 0 };
+      encoded.push(file);
+      await ffmpegPcmToOpus(Readable.from(timelinePcm(speakerChunks, stats)), join(encodeDir, file), { bitrateKbps });
+      tracks.push({ userId, user, file, seconds: Math.round((stats.bytes / BYTES_PER_SECOND) * 100) / 100 });
+      logger?.info?.('Audio track saved', { file, chunks: speakerChunks.length });
+    }
+
+    let mixFile = null;
+    if (mix && tracks.length > 1) {
+      mixFile = `${stem}.audio-mix.ogg`;
+      encoded.push(mixFile);
+      await ffmpegMixToOpus(tracks.map((t) => join(encodeDir, t.file)), join(encodeDir, mixFile), { bitrateKbps });
+      logger?.info?.('Mixed audio track saved', { file: mixFile, tracks: tracks.length });
+    }
+
+    if (encryptionKey) {
+      for (const file of encoded) await encryptFile(join(workDir, file), join(dir, file + ENCRYPTED_SUFFIX), encryptionKey);
+      for (const t of tracks) t.file += ENCRYPTED_SUFFIX;
+      if (mixFile) mixFile += ENCRYPTED_SUFFIX;
+    }
+
+    return { tracks, mix: mixFile };
+  } finally {
+    if (encryptionKey) for (const file of encoded) rmSync(join(workDir, file), { force: true });
+  }
+}
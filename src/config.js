@@ -1,9 +1,14 @@
 import { existsSync } from 'node:fs';
-import { safePathWithinCwd, clampNumber } from './security.js';
-
-function isTruthy(v) {
-  return String(v || '').toLowerCase() === 'true';
-}
+import { join } from 'node:path';
+import { safePathWithinCwd, clampNumber, isTruthy } from './security.js';
+import { MIN_ENCRYPTION_KEY_LENGTH } from './encryption.js';
+import { REDACTION_TYPES, createRedactorFromConfig } from './redaction.js';
+import { LLM_PROVIDERS, parseProviderList } from './llm_providers.js';
+import { SUMMARY_FORMATS } from './minutes.js';
+import { loadIdentityMapFromConfig } from './identities.js';
+import { loadDeliveryConfig, validateDeliveryConfig } from './delivery.js';
+import { CONSENT_MODES } from './consent.js';
+import { OVERFLOW_POLICIES } from './stt_queue.js';
 
 export function loadConfigFromEnv(env = process.env) {
   const cfg = {
@@ -11,19 +16,37 @@ export function loadConfigFromEnv(env = process.env) {
     DISCORD_GUILD_ID: env.DISCORD_GUILD_ID || null,
     DISCORD_NOTICE_TEXT_CHANNEL_ID: env.DISCORD_NOTICE_TEXT_CHANNEL_ID || null,
 
+    // "Recording in progress" notice in the notice text channel; replaced with the summary at the end.
+    // Default true unless explicitly set to false.
+    DISCORD_NOTICE_ENABLED: env.DISCORD_NOTICE_ENABLED == null ? true : isTruthy(env.DISCORD_NOTICE_ENABLED),
+    DISCORD_SUMMARY_ENABLED: env.DISCORD_SUMMARY_ENABLED == null ? true : isTruthy(env.DISCORD_SUMMARY_ENABLED),
+    DISCORD_NOTICE_UPDATE_SEC: clampNumber('DISCORD_NOTICE_UPDATE_SEC', env.DISCORD_NOTICE_UPDATE_SEC, { min: 10, max: 3600, fallback: 60 }),
+
     // Discord voice receive: DAVE (end-to-end voice encryption) can cause intermittent decrypt failures
     // when packets arrive unencrypted. Disable by default for recorder reliability.
     DISCORD_DAVE_ENCRYPTION: env.DISCORD_DAVE_ENCRYPTION == null ? false : isTruthy(env.DISCORD_DAVE_ENCRYPTION),
 
-    TELEGRAM_BOT_TOKEN: env.TELEGRAM_BOT_TOKEN,
-    TELEGRAM_CHAT_ID: env.TELEGRAM_CHAT_ID,
-
     WHISPER_CPP_BIN: env.WHISPER_CPP_BIN || null,
     WHISPER_CPP_MODEL: env.WHISPER_CPP_MODEL || null,
     PY_STT_CMD: env.PY_STT_CMD || null,
+    // Keep one faster-whisper process running (model loaded once) instead of one per segment
+    PY_STT_SERVER: isTruthy(env.PY_STT_SERVER),
+
+    // STT job queue (shared by all sessions)
+    STT_CONCURRENCY: clampNumber('STT_CONCURRENCY', env.STT_CONCURRENCY, { min: 1, max: 16, fallback: 1 }),
+    STT_QUEUE_MAX: clampNumber('STT_QUEUE_MAX', env.STT_QUEUE_MAX, { min: 0, max: 10_000, fallback: 50 }),
+    STT_QUEUE_OVERFLOW: String(env.STT_QUEUE_OVERFLOW || 'keep').toLowerCase().trim(),
+    // Max time to wait for queued/running STT jobs when a call ends
+    FINALIZE_WAIT_SEC: clampNumber('FINALIZE_WAIT_SEC', env.FINALIZE_WAIT_SEC, { min: 5, max: 3600, fallback: 120 }),
 
     // Choose exact prompt file under ./prompts (e.g. "summary_ru.txt")
     SUMMARY_PROMPT: env.SUMMARY_PROMPT || null,
+    // text = Markdown from the prompt; json = structured minutes (see minutes.js), default prompt minutes.txt
+    SUMMARY_FORMAT: String(env.SUMMARY_FORMAT || 'text').toLowerCase().trim(),
+
+    // LLM provider(s) for summaries (see llm_providers.js): one name or an ordered fallback list
+    // ("http,openai"); empty = http if LLM_HTTP_URL is set, else openai
+    LLM_PROVIDER: String(env.LLM_PROVIDER || '').toLowerCase().trim(),
 
     OPENAI_API_KEY: env.OPENAI_API_KEY || null,
     OPENAI_MODEL: env.OPENAI_MODEL || 'gpt-4o-mini',
@@ -39,20 +62,25 @@ export function loadConfigFromEnv(env = process.env) {
     MAX_TRANSCRIPT_CHARS_FOR_LLM: clampNumber('MAX_TRANSCRIPT_CHARS_FOR_LLM', env.MAX_TRANSCRIPT_CHARS_FOR_LLM, { min: 1000, max: 200_000, fallback: 20_000 }),
 
     // Local transcript retention (0 disables)
-    TRANSCRIPTS_MAX_FILES: clampNumber('TRANSCRIPTS_MAX_FILES', env.TRANSCRIPTS_MAX_FILES, { min: 0, max: 100_000, fallback: 0 }),
+    // Counts calls (all files of a call together); TRANSCRIPTS_MAX_FILES is the old name, still read
+    TRANSCRIPTS_MAX_CALLS: env.TRANSCRIPTS_MAX_CALLS
+      ? clampNumber('TRANSCRIPTS_MAX_CALLS', env.TRANSCRIPTS_MAX_CALLS, { min: 0, max: 100_000, fallback: 0 })
+      : clampNumber('TRANSCRIPTS_MAX_FILES', env.TRANSCRIPTS_MAX_FILES, { min: 0, max: 100_000, fallback: 0 }),
     TRANSCRIPTS_MAX_AGE_DAYS: clampNumber('TRANSCRIPTS_MAX_AGE_DAYS', env.TRANSCRIPTS_MAX_AGE_DAYS, { min: 0, max: 3650, fallback: 0 }),
 
-    // Optional webhook
-    WEBHOOK_URL: env.WEBHOOK_URL || null,
-    WEBHOOK_TIMEOUT_MS: clampNumber('WEBHOOK_TIMEOUT_MS', env.WEBHOOK_TIMEOUT_MS, { min: 1000, max: 120_000, fallback: 15000 }),
+    // Opt-in raw audio archive: per-speaker Opus/OGG tracks (and an optional mixed track) next to the transcript
+    AUDIO_ARCHIVE_ENABLED: isTruthy(env.AUDIO_ARCHIVE_ENABLED),
+    AUDIO_ARCHIVE_MIX: isTruthy(env.AUDIO_ARCHIVE_MIX),
+    AUDIO_ARCHIVE_BITRATE_KBPS: clampNumber('AUDIO_ARCHIVE_BITRATE_KBPS', env.AUDIO_ARCHIVE_BITRATE_KBPS, { min: 8, max: 256, fallback: 32 }),
 
-    // Optional Slack (Incoming Webhook)
-    SLACK_WEBHOOK_URL: env.SLACK_WEBHOOK_URL || null,
-    SLACK_CHANNEL: env.SLACK_CHANNEL || null,
-    SLACK_USERNAME: env.SLACK_USERNAME || null,
-    SLACK_ICON_EMOJI: env.SLACK_ICON_EMOJI || null,
-    SLACK_TIMEOUT_MS: clampNumber('SLACK_TIMEOUT_MS', env.SLACK_TIMEOUT_MS, { min: 1000, max: 120_000, fallback: 15000 }),
-    SLACK_MAX_CHARS: clampNumber('SLACK_MAX_CHARS', env.SLACK_MAX_CHARS, { min: 1000, max: 100_000, fallback: 35000 }),
+    // Encrypt saved transcripts/JSON/audio at rest (AES-256-GCM); empty = plaintext
+    TRANSCRIPTS_ENCRYPTION_KEY: env.TRANSCRIPTS_ENCRYPTION_KEY || null,
+
+    // Delivery targets to use (comma-separated, see delivery.js); empty = every configured target
+    DELIVERY_TARGETS: String(env.DELIVERY_TARGETS || '')
+      .split(',')
+      .map((x) => x.toLowerCase().trim())
+      .filter(Boolean),
 
     // Alerts / self-check
     // Default true unless explicitly set to false.
@@ -60,13 +88,37 @@ export function loadConfigFromEnv(env = process.env) {
     STT_ERROR_NOTIFY: env.STT_ERROR_NOTIFY == null ? true : isTruthy(env.STT_ERROR_NOTIFY),
     STT_ERROR_NOTIFY_COOLDOWN_SEC: clampNumber('STT_ERROR_NOTIFY_COOLDOWN_SEC', env.STT_ERROR_NOTIFY_COOLDOWN_SEC, { min: 0, max: 86_400, fallback: 600 }),
 
+    // Redaction of emails/phones/cards/secrets (+ custom regexes) before the LLM and delivery
+    REDACTION_ENABLED: isTruthy(env.REDACTION_ENABLED),
+    REDACTION_TYPES: String(env.REDACTION_TYPES || REDACTION_TYPES.join(','))
+      .split(',')
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean),
+    // Keep saved transcripts unredacted (redaction then only applies to what leaves the machine)
+    REDACTION_KEEP_UNREDACTED: isTruthy(env.REDACTION_KEEP_UNREDACTED),
+    REDACTION_PATTERNS_FILE_RAW: env.REDACTION_PATTERNS_FILE || null,
+
+    // Discord user ID -> Telegram/Slack/email identities, to mention action item owners (see identities.js)
+    IDENTITY_MAP_FILE_RAW: env.IDENTITY_MAP_FILE || null,
+
+    // Recording consent: default for guilds that haven't picked a mode via /consent_mode
+    CONSENT_MODE: String(env.CONSENT_MODE || 'opt-out').toLowerCase().trim(),
+
     INTRO_OPUS_PATH_RAW: env.INTRO_OPUS_PATH || 'assets/intro.opus',
     TRANSCRIPTS_DIR_RAW: env.TRANSCRIPTS_DIR || 'transcripts',
+    DATA_DIR_RAW: env.DATA_DIR || 'data',
   };
 
   // Resolve paths with safety
   cfg.INTRO_OPUS_PATH = safePathWithinCwd(cfg.INTRO_OPUS_PATH_RAW, { allowAbsolute: cfg.ALLOW_ABSOLUTE_PATHS });
   cfg.TRANSCRIPTS_DIR = safePathWithinCwd(cfg.TRANSCRIPTS_DIR_RAW, { allowAbsolute: cfg.ALLOW_ABSOLUTE_PATHS });
+  cfg.DATA_DIR = safePathWithinCwd(cfg.DATA_DIR_RAW, { allowAbsolute: cfg.ALLOW_ABSOLUTE_PATHS });
+  cfg.CONSENT_STORE_PATH = join(cfg.DATA_DIR, 'consent.json');
+  cfg.REDACTION_PATTERNS_FILE = safePathWithinCwd(cfg.REDACTION_PATTERNS_FILE_RAW, { allowAbsolute: cfg.ALLOW_ABSOLUTE_PATHS });
+  cfg.IDENTITY_MAP_FILE = safePathWithinCwd(cfg.IDENTITY_MAP_FILE_RAW, { allowAbsolute: cfg.ALLOW_ABSOLUTE_PATHS });
+
+  // Per-target options (Telegram, Slack, webhook, issue tracker, Discord); each target reads its own env.
+  cfg.DELIVERY = loadDeliveryConfig(env, cfg);
 
   // If intro file doesn't exist, disable intro playback.
   if (cfg.INTRO_OPUS_PATH && !existsSync(cfg.INTRO_OPUS_PATH)) {
@@ -84,17 +136,63 @@ export function validateConfig(cfg) {
   }
 
   req('DISCORD_TOKEN');
-  req('TELEGRAM_BOT_TOKEN');
-  req('TELEGRAM_CHAT_ID');
 
   // Optional IDs format: digits only
-  for (const name of ['DISCORD_GUILD_ID', 'DISCORD_NOTICE_TEXT_CHANNEL_ID', 'TELEGRAM_CHAT_ID']) {
+  for (const name of ['DISCORD_GUILD_ID', 'DISCORD_NOTICE_TEXT_CHANNEL_ID']) {
     const v = cfg[name];
     if (v && !/^\d+$/.test(String(v))) {
       errors.push(`${name} must be numeric (got: ${v})`);
     }
   }
 
+  if (cfg.TRANSCRIPTS_ENCRYPTION_KEY && cfg.TRANSCRIPTS_ENCRYPTION_KEY.length < MIN_ENCRYPTION_KEY_LENGTH) {
+    errors.push(`TRANSCRIPTS_ENCRYPTION_KEY must be at least ${MIN_ENCRYPTION_KEY_LENGTH} characters`);
+  }
+
+  for (const t of cfg.REDACTION_TYPES) {
+    if (!REDACTION_TYPES.includes(t)) errors.push(`REDACTION_TYPES: unknown type ${t} (use ${REDACTION_TYPES.join(', ')})`);
+  }
+  if (cfg.REDACTION_ENABLED) {
+    if (cfg.REDACTION_PATTERNS_FILE && !existsSync(cfg.REDACTION_PATTERNS_FILE)) {
+      errors.push(`REDACTION_PATTERNS_FILE not found: ${cfg.REDACTION_PATTERNS_FILE}`);
+    } else {
+      try {
+        createRedactorFromConfig(cfg);
+      } catch (e) {
+        errors.push(e?.message || String(e));
+      }
+    }
+  }
+
+  if (cfg.IDENTITY_MAP_FILE) {
+    if (!existsSync(cfg.IDENTITY_MAP_FILE)) {
+      errors.push(`IDENTITY_MAP_FILE not found: ${cfg.IDENTITY_MAP_FILE}`);
+    } else {
+      try {
+        loadIdentityMapFromConfig(cfg);
+      } catch (e) {
+        errors.push(e?.message || String(e));
+      }
+    }
+  }
+  if (!SUMMARY_FORMATS.includes(cfg.SUMMARY_FORMAT)) {
+    errors.push(`SUMMARY_FORMAT must be one of ${SUMMARY_FORMATS.join(', ')} (got: ${cfg.SUMMARY_FORMAT})`);
+  }
+  const unknownProviders = cfg.LLM_PROVIDER ? parseProviderList(cfg.LLM_PROVIDER).filter((p) => !LLM_PROVIDERS.includes(p)) : [];
+  if (unknownProviders.length) {
+    errors.push(`LLM_PROVIDER must list providers from ${LLM_PROVIDERS.join(', ')} (got: ${unknownProviders.join(', ')})`);
+  }
+
+  errors.push(...validateDeliveryConfig(cfg));
+
+  if (!CONSENT_MODES.includes(cfg.CONSENT_MODE)) {
+    errors.push(`CONSENT_MODE must be one of ${CONSENT_MODES.join(', ')} (got: ${cfg.CONSENT_MODE})`);
+  }
+
+  if (!OVERFLOW_POLICIES.includes(cfg.STT_QUEUE_OVERFLOW)) {
+    errors.push(`STT_QUEUE_OVERFLOW must be one of ${OVERFLOW_POLICIES.join(', ')} (got: ${cfg.STT_QUEUE_OVERFLOW})`);
+  }
+
   // STT configuration must be present
   const hasPy = Boolean(cfg.PY_STT_CMD);
   const hasWhisperCpp = Boolean(cfg.WHISPER_CPP_BIN && cfg.WHISPER_CPP_MODEL);
@@ -0,0 +1,59 @@
+import { createJsonStore } from './json_store.js';
+
+export const CONSENT_MODES = ['opt-in', 'opt-out'];
+
+/**
+ * Persistent per-guild recording consent.
+ *
+ * - opt-out: everyone is recorded unless they ran `/consent off`
+ * - opt-in: only users who ran `/consent on` are recorded
+ *
+ * Stored as JSON: { version, guilds: { [guildId]: { mode?, users: { [userId]: { consent, at } } } } }
+ */
+export function createConsentStore({ path, defaultMode = 'opt-out', logger = null }) {
+  // Fail closed would silently stop all recording; an unreadable file keeps defaults but is logged as an error.
+  const file = createJsonStore({ path, field: 'guilds', readError: 'Failed to read consent store; using defaults', logger });
+  const data = file.read();
+  const save = () => file.write(data);
+
+  function guildEntry(guildId, { create = false } = {}) {
+    let g = data.guilds[guildId];
+    if (!g && create) {
+      g = { users: {} };
+      data.guilds[guildId] = g;
+    }
+    return g || null;
+  }
+
+  function getGuildMode(guildId) {
+    const mode = guildEntry(guildId)?.mode;
+    return CONSENT_MODES.includes(mode) ? mode : defaultMode;
+  }
+
+  function setGuildMode(guildId, mode) {
+    if (!CONSENT_MODES.includes(mode)) throw new Error(`Invalid consent mode: ${mode}`);
+    guildEntry(guildId, { create: true }).mode = mode;
+    save();
+  }
+
+  // Returns true/false if the user made an explicit choice in this guild, otherwise null.
+  function getUserConsent(guildId, userId) {
+    const c = guildEntry(guildId)?.users?.[userId]?.consent;
+    return typeof c === 'boolean' ? c : null;
+  }
+
+  function setUserConsent(guildId, userId, consent) {
+    const g = guildEntry(guildId, { create: true });
+    g.users = g.users || {};
+    g.users[userId] = { consent: Boolean(consent), at: new Date().toISOString() };
+    save();
+  }
+
+  function isAllowed(guildId, userId) {
+    const c = getUserConsent(guildId, userId);
+    if (c !== null) return c;
+    return getGuildMode(guildId) === 'opt-out';
+  }
+
+  return { getGuildMode, setGuildMode, getUserConsent, setUserConsent, isAllowed };
+}
@@ -1,81 +1,253 @@
-import { sendTelegramMessage } from './telegram.js';
-import { sendSlackMessage } from './slack.js';
-import { sendWebhook } from './webhook.js';
+import { MINUTES_SCHEMA_VERSION, renderMinutesText } from './minutes.js';
+import { ownerMention } from './identities.js';
+import { withRetries } from './retry.js';
+import { describeSummarySource } from './llm_summary.js';
+import { WEBHOOK_SCHEMA_VERSION } from './webhook.js';
+import { telegramTarget } from './targets/telegram.js';
+import { slackTarget } from './targets/slack.js';
+import { webhookTarget } from './targets/webhook.js';
+import { issuesTarget } from './targets/issues.js';
+import { matrixTarget } from './targets/matrix.js';
+import { teamsTarget } from './targets/teams.js';
+import { emailTarget } from './targets/email.js';
+import { discordTarget } from './targets/discord.js';
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+/*
+ * Delivery targets. Each target is a self-contained module (see src/targets/) exporting:
+ *
+ *   {
+ *     name,                                  // id used in DELIVERY_TARGETS and cfg.DELIVERY
+ *     retry: { retries, baseDelayMs } | null, // default retry policy around send() (null: send() retries itself)
+ *     loadConfig(env, cfg) -> options,        // its own env vars; options.enabled = configured,
+ *                                             // options.byDefault = enabled without being configured
+ *     validate(options, cfg) -> string[],     // config errors, checked for enabled targets
+ *     format(summary, options) -> message,    // what to send from the shared summary; null = nothing to send
+ *     send({ options, message, summary, logger }) -> Promise,
+ *     retryPending({ options, logger }) -> Promise,  // optional: resend deliveries queued by earlier failures
+ *   }
+ *
+ * Targets run in registration order; options.retries / options.retryDelayMs override the retry policy.
+ */
+const TARGETS = new Map();
+
+export function registerDeliveryTarget(target) {
+  for (const key of ['loadConfig', 'validate', 'format', 'send']) {
+    if (typeof target?.[key] !== 'function') throw new Error(`Delivery target ${target?.name}: ${key}() is missing`);
+  }
+  if (!/^[a-z][a-z0-9_-]*$/.test(String(target.name))) throw new Error(`Invalid delivery target name: ${target.name}`);
+  TARGETS.set(target.name, target);
 }
 
-async function withRetries(fn, { retries = 2, baseDelayMs = 800, logger = null, name = 'op' } = {}) {
-  let lastErr = null;
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      return await fn({ attempt });
-    } catch (e) {
-      lastErr = e;
-      const msg = e?.message || e;
-      if (attempt >= retries) break;
-      const delay = baseDelayMs * Math.pow(2, attempt);
-      logger?.warn?.(`${name} failed; retrying`, { attempt: attempt + 1, delayMs: delay, err: String(msg).slice(0, 300) });
-      await sleep(delay);
-    }
+for (const target of [telegramTarget, slackTarget, matrixTarget, teamsTarget, webhookTarget, emailTarget, issuesTarget, discordTarget]) {
+  registerDeliveryTarget(target);
+}
+
+export function deliveryTargetNames() {
+  return [...TARGETS.keys()];
+}
+
+/**
+ * Options of every registered target from env (see loadConfigFromEnv). A target is enabled when it is
+ * configured and, if cfg.DELIVERY_TARGETS is set, listed there.
+ */
+export function loadDeliveryConfig(env, cfg) {
+  const only = cfg.DELIVERY_TARGETS?.length ? cfg.DELIVERY_TARGETS : null;
+  const out = {};
+  for (const target of TARGETS.values()) {
+    const options = target.loadConfig(env, cfg);
+    out[target.name] = { ...options, configured: Boolean(options.enabled), enabled: Boolean(options.enabled) && (!only || only.includes(target.name)) };
   }
-  throw lastErr;
+  return out;
 }
 
 /**
- * Deliver summary to all configured outputs.
- *
- * - Telegram: required (current primary)
- * - Slack: optional
- * - Webhook (JSON): optional
+ * Config errors of the delivery targets: DELIVERY_TARGETS entries that are unknown or not configured,
+ * errors of enabled targets, and no target enabled at all (targets that are only on by default don't count).
  */
-export async function deliverSummary({
-  logger,
-  telegram,
-  slack,
-  webhook,
-  text,
-  webhookPayload,
-}) {
-  if (telegram?.enabled) {
-    await withRetries(
-      async () =>
-        sendTelegramMessage({
-          token: telegram.token,
-          chatId: telegram.chatId,
-          text,
-        }),
-      { logger, name: 'Telegram delivery', retries: telegram.retries ?? 2, baseDelayMs: telegram.retryDelayMs ?? 800 }
-    );
+export function validateDeliveryConfig(cfg) {
+  const errors = [];
+  const delivery = cfg.DELIVERY || {};
+  for (const name of cfg.DELIVERY_TARGETS || []) {
+    if (!TARGETS.has(name)) errors.push(`DELIVERY_TARGETS: unknown target ${name} (use ${deliveryTargetNames().join(', ')})`);
+    else if (!delivery[name]?.configured) errors.push(`DELIVERY_TARGETS: ${name} is listed but not configured`);
+  }
+  for (const target of TARGETS.values()) {
+    const options = delivery[target.name];
+    if (options?.enabled) errors.push(...target.validate(options, cfg));
   }
+  if (!enabledDeliveryTargets(delivery).some((name) => !delivery[name].byDefault)) {
+    errors.push(`No delivery target enabled (configure one of: ${deliveryTargetNames().join(', ')})`);
+  }
+  return errors;
+}
 
-  if (slack?.enabled && slack.webhookUrl) {
-    await withRetries(
-      async () =>
-        sendSlackMessage({
-          webhookUrl: slack.webhookUrl,
-          channel: slack.channel,
-          username: slack.username,
-          iconEmoji: slack.iconEmoji,
-          timeoutMs: slack.timeoutMs,
-          maxChars: slack.maxChars,
-          text,
-        }),
-      { logger, name: 'Slack delivery', retries: slack.retries ?? 2, baseDelayMs: slack.retryDelayMs ?? 800 }
-    );
+export function enabledDeliveryTargets(delivery) {
+  return Object.entries(delivery || {})
+    .filter(([, options]) => options.enabled)
+    .map(([name]) => name);
+}
+
+/**
+ * For the offline CLIs (--deliver): throws unless the delivery config is valid and some target other than
+ * the bot's own Discord notice is enabled.
+ */
+export function assertCliDelivery(cfg) {
+  const errors = validateDeliveryConfig(cfg);
+  if (errors.length) throw new Error(`Invalid delivery config for --deliver:\n- ${errors.join('\n- ')}`);
+  if (!enabledDeliveryTargets(cfg.DELIVERY).some((name) => name !== 'discord')) {
+    throw new Error('--deliver needs a delivery target other than discord (see DELIVERY_TARGETS)');
   }
+}
+
+/**
+ * Summary message text shared by all text destinations. `source` (see summarySource) adds a
+ * "Summary by" footer.
+ */
+export function formatSummaryMessage({ channelName, startedAt, endedAt, participants, summaryText, source = null }) {
+  // Wrap variable header fields in inline code so names like Artyom_Payments or *star* aren't read as
+  // formatting by the chat destinations.
+  const safeInlineCode = (s) => String(s || '').replace(/`/g, "'");
+
+  return (
+    `Discord call summary\n` +
+    `Channel: \`${safeInlineCode(channelName)}\`\n` +
+    `Started: \`${safeInlineCode(startedAt)}\`\n` +
+    `Ended: \`${safeInlineCode(endedAt)}\`\n` +
+    `Participants: \`${safeInlineCode(participants)}\`\n\n` +
+    `${summaryText}` +
+    (source ? `\n\nSummary by: \`${safeInlineCode(describeSummarySource(source))}\`` : '')
+  );
+}
 
-  if (webhook?.enabled && webhook.url) {
-    await withRetries(
-      async () =>
-        sendWebhook({
-          url: webhook.url,
-          timeoutMs: webhook.timeoutMs,
+// Destinations whose text can mention action item owners (see identities.js).
+const MENTION_DESTINATIONS = ['telegram', 'slack', 'discord'];
+
+/**
+ * Summary message per destination. With structured minutes whose owners were resolved
+ * (resolveMinutesOwners), each destination gets owners as its own mentions.
+ *
+ * Returns { text, texts, mentionUserIds }: `text` is the plain message, `texts` per-destination overrides
+ * for deliverSummary, `mentionUserIds` the Discord users that may be pinged.
+ */
+export function buildSummaryMessages({ channelName, startedAt, endedAt, participants, summary, source = null, resolver = null }) {
+  const header = { channelName, startedAt, endedAt, participants, source };
+  const text = formatSummaryMessage({ ...header, summaryText: summary.text });
+  const minutes = summary.minutes;
+  if (!minutes || !resolver || !minutes.actionItems.some((a) => a.ownerId)) return { text, texts: {}, mentionUserIds: [] };
+
+  const texts = {};
+  for (const dest of MENTION_DESTINATIONS) {
+    const summaryText = renderMinutesText(minutes, { ownerLabel: (a) => ownerMention(a, dest, resolver) });
+    texts[dest] = formatSummaryMessage({ ...header, summaryText });
+  }
+  const mentionUserIds = [...new Set(minutes.actionItems.map((a) => a.ownerId).filter(Boolean))];
+  return { text, texts, mentionUserIds };
+}
+
+// Session counters that are useful outside the bot (no local paths or per-segment details).
+const WEBHOOK_METRICS = ['segmentsTotal', 'segmentsOk', 'segmentsEmpty', 'sttFailures', 'sttDropped', 'decodeFailures', 'totalAudioSeconds', 'tracks'];
+
+function webhookMetrics(metrics) {
+  if (!metrics) return null;
+  return Object.fromEntries(WEBHOOK_METRICS.filter((k) => metrics[k] != null).map((k) => [k, metrics[k]]));
+}
+
+/**
+ * JSON payload for the generic webhook (schema WEBHOOK_SCHEMA_VERSION). `minutes` (SUMMARY_FORMAT=json, see
+ * minutes.js) is passed through with its schema version, and with `resolver` each action item gets the owner's
+ * `ownerContacts` ({ telegram, slack, email } from the identity map); it is null for free-text summaries.
+ * `callParticipants` ([{ userId, name }]) and the guild/channel ids go to `discord`; ids are null for files.
+ */
+export function buildWebhookPayload({
+  callId = null,
+  channelName,
+  startedAt,
+  endedAt,
+  durationMs = null,
+  participants,
+  summaryText,
+  source = null,
+  minutes = null,
+  resolver = null,
+  guildId = null,
+  channelId = null,
+  callParticipants = null,
+  metrics = null,
+}) {
+  const names = String(participants || '').split(',').map((s) => s.trim()).filter(Boolean);
+  const span = Date.parse(endedAt) - Date.parse(startedAt);
+  return {
+    schemaVersion: WEBHOOK_SCHEMA_VERSION,
+    callId,
+    channel: channelName,
+    startedAt,
+    endedAt,
+    durationMs: durationMs ?? (Number.isFinite(span) ? span : null),
+    participants: names,
+    discord: {
+      guildId,
+      channelId,
+      participants: (callParticipants || names.map((name) => ({ userId: null, name }))).map((p) => ({ userId: p.userId ?? null, name: p.name })),
+    },
+    summary: summaryText,
+    summarySource: source,
+    minutes: minutes
+      ? {
+        schemaVersion: MINUTES_SCHEMA_VERSION,
+        ...minutes,
+        actionItems: minutes.actionItems.map((a) => ({
+          ...a,
+          ownerId: a.ownerId ?? null,
+          ownerContacts: resolver && a.ownerId ? resolver.contacts(a.ownerId) : null,
+        })),
+      }
+      : null,
+    metrics: webhookMetrics(metrics),
+  };
+}
+
+export async function deliverSummary({ logger, delivery, summary }) {
+  const failed = [];
+  const results = {};
+  for (const target of TARGETS.values()) {
+    const options = delivery?.[target.name];
+    if (!options?.enabled) continue;
+    const message = target.format(summary, options);
+    if (message == null) continue;
+
+    const send = () => target.send({ options, message, summary, logger });
+    const name = `${target.name} delivery`;
+    try {
+      if (target.retry) {
+        results[target.name] = await withRetries(send, {
           logger,
-          payload: webhookPayload,
-        }),
-      { logger, name: 'Webhook delivery', retries: webhook.retries ?? 1, baseDelayMs: webhook.retryDelayMs ?? 800 }
-    );
+          name,
+          retries: options.retries ?? target.retry.retries,
+          baseDelayMs: options.retryDelayMs ?? target.retry.baseDelayMs,
+        });
+      } else {
+        results[target.name] = await send();
+      }
+    } catch (e) {
+      failed.push(target.name);
+      logger?.warn?.(`${name} failed`, String(e?.message || e).slice(0, 300));
+    }
+  }
+  if (failed.length) throw new Error(`Delivery failed: ${failed.join(', ')}`);
+  return results;
+}
+
+/**
+ * Give targets with an outbox (retryPending) a chance to resend earlier failed deliveries. Errors are logged.
+ */
+export async function retryPendingDeliveries({ logger, delivery }) {
+  for (const target of TARGETS.values()) {
+    const options = delivery?.[target.name];
+    if (!options?.enabled || typeof target.retryPending !== 'function') continue;
+    try {
+      await target.retryPending({ options, logger });
+    } catch (e) {
+      logger?.warn?.(`${target.name} retry of pending deliveries failed`, String(e?.message || e).slice(0, 300));
+    }
   }
 }
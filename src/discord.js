@@ -0,0 +1,34 @@
+import { sanitizeMessageText, splitMessage } from './markup.js';
+
+// Discord hard limit is 2000 chars per message.
+const DISCORD_MAX_CHARS = 2000;
+
+/**
+ * Send (or edit) a message in a Discord text channel.
+ *
+ * If `message` is given, its content is replaced with the first chunk and the remaining chunks are
+ * posted as follow-up messages. Mentions are not resolved (no pings from transcript content), except for
+ * the users in `mentionUserIds` (e.g. action item owners).
+ * `progress` ({ sent, first }) records the chunks already sent; passing the same object again (a retry) sends
+ * only the rest.
+ * Returns the first message.
+ */
+export async function sendDiscordMessage({ channel, message = null, text, maxChars = 1900, mentionUserIds = [], progress = { sent: 0, first: null } }) {
+  if (!channel && !message) throw new Error('Discord channel missing');
+
+  const chunks = splitMessage(sanitizeMessageText(text), Math.min(maxChars, DISCORD_MAX_CHARS));
+  const allowedMentions = { parse: [], users: mentionUserIds.slice(0, 100) };
+
+  for (let i = progress.sent; i < chunks.length; i++) {
+    const content = chunks[i];
+    if (i === 0 && message) {
+      progress.first = await message.edit({ content, allowedMentions });
+    } else {
+      const target = channel || message.channel;
+      const sent = await target.send({ content, allowedMentions });
+      if (!progress.first) progress.first = sent;
+    }
+    progress.sent = i + 1;
+  }
+  return progress.first;
+}
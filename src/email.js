@@ -0,0 +1,75 @@
+import nodemailer from 'nodemailer';
+
+import { markdownToHtml } from './markup.js';
+
+// Email delivery target helpers; SMTP (TLS/STARTTLS, AUTH, MIME) is left to nodemailer.
+
+const EMAIL_RE = /^[^\s@<>",;]+@[^\s@<>",;]+\.[^\s@<>",;]+$/;
+
+export function isEmailAddress(s) {
+  return EMAIL_RE.test(String(s ?? '').trim());
+}
+
+/**
+ * Bare address of "Name <addr>" or "addr".
+ */
+export function addressOf(s) {
+  const m = String(s ?? '').match(/<([^<>]+)>\s*$/);
+  return (m ? m[1] : String(s ?? '')).trim();
+}
+
+/**
+ * HTML document for a summary message (see markdownToHtml).
+ */
+export function summaryToHtml(text) {
+  return `<!DOCTYPE html><html><body style="font-family: sans-serif; line-height: 1.4">${markdownToHtml(text)}</body></html>`;
+}
+
+/**
+ * Send an email over SMTP.
+ *
+ * `secure` connects with TLS (port 465); otherwise STARTTLS is used when the server offers it, and
+ * `requireTls` refuses to go on (and to send credentials) without it. `attachments`: [{ filename, content, contentType }].
+ */
+export async function sendEmail({
+  host,
+  port = 587,
+  secure = false,
+  requireTls = true,
+  user = null,
+  pass = null,
+  from,
+  to,
+  subject,
+  text,
+  html = null,
+  attachments = [],
+  timeoutMs = 30000,
+  clientName = 'localhost',
+}) {
+  if (!host) throw new Error('SMTP host missing');
+  if (!to?.length) throw new Error('Email has no recipients');
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    requireTLS: !secure && requireTls,
+    auth: user ? { user, pass: pass ?? '' } : undefined,
+    name: clientName,
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs,
+  });
+  try {
+    const info = await transport.sendMail({ from, to, subject, text, html: html || undefined, attachments });
+    return { ok: true, response: String(info.response || '').slice(0, 200) };
+  } catch (e) {
+    if (e?.code === 'ETLS' && !secure) {
+      throw new Error(`SMTP STARTTLS failed (set SMTP_REQUIRE_TLS=false to send unencrypted): ${e.message}`);
+    }
+    throw e;
+  } finally {
+    transport.close();
+  }
+}
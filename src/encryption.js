@@ -0,0 +1,124 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'node:crypto';
+import { closeSync, createReadStream, createWriteStream, fstatSync, openSync, readSync, rmSync } from 'node:fs';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+// Encrypted file layout (AES-256-GCM, key derived from the configured secret with scrypt per file):
+//   MAGIC (8) | salt (16) | iv (12) | ciphertext | auth tag (16)
+const MAGIC = Buffer.from('D2SENC01', 'ascii');
+const SALT_LEN = 16;
+const IV_LEN = 12;
+const TAG_LEN = 16;
+const HEADER_LEN = MAGIC.length + SALT_LEN + IV_LEN;
+
+export const ENCRYPTED_SUFFIX = '.enc';
+export const MIN_ENCRYPTION_KEY_LENGTH = 16;
+
+function deriveKey(secret, salt) {
+  if (!secret || String(secret).length < MIN_ENCRYPTION_KEY_LENGTH) {
+    throw new Error(`Encryption key must be at least ${MIN_ENCRYPTION_KEY_LENGTH} characters`);
+  }
+  return scryptSync(String(secret), salt, 32);
+}
+
+function parseHeader(header) {
+  if (header.length < HEADER_LEN || !header.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error('Not an encrypted transcript file');
+  }
+  return {
+    salt: header.subarray(MAGIC.length, MAGIC.length + SALT_LEN),
+    iv: header.subarray(MAGIC.length + SALT_LEN, HEADER_LEN),
+  };
+}
+
+function decryptionError() {
+  return new Error('Decryption failed (wrong key or corrupted file)');
+}
+
+export function encryptBuffer(plain, secret) {
+  const salt = randomBytes(SALT_LEN);
+  const iv = randomBytes(IV_LEN);
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+  return Buffer.concat([MAGIC, salt, iv, cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+}
+
+export function decryptBuffer(data, secret) {
+  const { salt, iv } = parseHeader(data);
+  if (data.length < HEADER_LEN + TAG_LEN) throw decryptionError();
+  const decipher = createDecipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+  decipher.setAuthTag(data.subarray(data.length - TAG_LEN));
+  try {
+    return Buffer.concat([decipher.update(data.subarray(HEADER_LEN, data.length - TAG_LEN)), decipher.final()]);
+  } catch {
+    throw decryptionError();
+  }
+}
+
+/**
+ * Stream-encrypt `srcPath` into `dstPath` (for audio and other large files).
+ */
+export async function encryptFile(srcPath, dstPath, secret) {
+  const salt = randomBytes(SALT_LEN);
+  const iv = randomBytes(IV_LEN);
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+  try {
+    await pipeline(
+      createReadStream(srcPath),
+      async function* (source) {
+        yield Buffer.concat([MAGIC, salt, iv]);
+        for await (const chunk of source) yield cipher.update(chunk);
+        yield cipher.final();
+        yield cipher.getAuthTag();
+      },
+      createWriteStream(dstPath, { mode: 0o600 })
+    );
+  } catch (e) {
+    rmSync(dstPath, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * Stream-decrypt `srcPath` into `dstPath`. The output is removed if authentication fails.
+ */
+export async function decryptFile(srcPath, dstPath, secret) {
+  const fd = openSync(srcPath, 'r');
+  let header;
+  let tag;
+  let size;
+  try {
+    size = fstatSync(fd).size;
+    if (size < HEADER_LEN + TAG_LEN) throw new Error('Not an encrypted transcript file');
+    header = Buffer.alloc(HEADER_LEN);
+    readSync(fd, header, 0, HEADER_LEN, 0);
+    tag = Buffer.alloc(TAG_LEN);
+    readSync(fd, tag, 0, TAG_LEN, size - TAG_LEN);
+  } finally {
+    closeSync(fd);
+  }
+
+  const { salt, iv } = parseHeader(header);
+  const decipher = createDecipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+  decipher.setAuthTag(tag);
+  try {
+    await pipeline(
+      size > HEADER_LEN + TAG_LEN ? createReadStream(srcPath, { start: HEADER_LEN, end: size - TAG_LEN - 1 }) : Readable.from([]),
+      decipher,
+      createWriteStream(dstPath, { mode: 0o600 })
+    );
+  } catch {
+    rmSync(dstPath, { force: true });
+    throw decryptionError();
+  }
+}
+
+export function isEncryptedFile(path) {
+  const fd = openSync(path, 'r');
+  try {
+    const head = Buffer.alloc(MAGIC.length);
+    const n = readSync(fd, head, 0, MAGIC.length, 0);
+    return n === MAGIC.length && head.equals(MAGIC);
+  } finally {
+    closeSync(fd);
+  }
+}
@@ -0,0 +1,160 @@
+import { readFileSync } from 'node:fs';
+
+// Identity map (IDENTITY_MAP_FILE): who a Discord user is in the other destinations, so action item owners
+// can be mentioned there (and assigned in issue trackers). JSON object keyed by Discord user ID:
+//
+//   {
+//     "123456789012345678": { "names": ["Alice", "Alice S."], "telegram": "@alice", "slack": "U0123ABCD", "email": "alice@example.com",
+//                             "github": "alice", "jira": "<accountId>", "linear": "<user id>" }
+//   }
+//
+// `names` are extra spellings the LLM may use for the person (display names of call participants are
+// matched automatically); every other field is optional.
+
+const DISCORD_ID_RE = /^\d{15,25}$/;
+const TELEGRAM_RE = /^@?[A-Za-z0-9_]{5,32}$/;
+const SLACK_ID_RE = /^[UW][A-Z0-9]{2,20}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const GITHUB_LOGIN_RE = /^[A-Za-z0-9-]{1,39}$/;
+const TRACKER_ID_RE = /^[A-Za-z0-9:_-]{3,128}$/;
+
+/**
+ * Parse and validate an identity map object.
+ * Returns Map(discordId -> { names, telegram, slack, email, github, jira, linear }).
+ */
+export function parseIdentityMap(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error('Identity map must be a JSON object keyed by Discord user ID');
+  const out = new Map();
+  for (const [id, entry] of Object.entries(obj)) {
+    if (!DISCORD_ID_RE.test(id)) throw new Error(`Identity map: invalid Discord user ID ${JSON.stringify(id)}`);
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw new Error(`Identity map: entry ${id} must be an object`);
+    const names = entry.names == null ? [] : entry.names;
+    if (!Array.isArray(names) || names.some((n) => typeof n !== 'string')) throw new Error(`Identity map: ${id}.names must be an array of strings`);
+
+    const field = (key, re) => {
+      const v = entry[key];
+      if (v == null || v === '') return null;
+      if (typeof v !== 'string' || !re.test(v.trim())) throw new Error(`Identity map: invalid ${id}.${key}`);
+      return v.trim();
+    };
+    const telegram = field('telegram', TELEGRAM_RE);
+    out.set(id, {
+      names: names.map((n) => n.trim()).filter(Boolean),
+      telegram: telegram ? `@${telegram.replace(/^@/, '')}` : null,
+      slack: field('slack', SLACK_ID_RE),
+      email: field('email', EMAIL_RE),
+      github: field('github', GITHUB_LOGIN_RE),
+      jira: field('jira', TRACKER_ID_RE),
+      linear: field('linear', TRACKER_ID_RE),
+    });
+  }
+  return out;
+}
+
+/**
+ * Identity map from IDENTITY_MAP_FILE, or an empty map when it isn't configured.
+ */
+export function loadIdentityMapFromConfig(cfg) {
+  if (!cfg.IDENTITY_MAP_FILE) return new Map();
+  let obj;
+  try {
+    obj = JSON.parse(readFileSync(cfg.IDENTITY_MAP_FILE, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Cannot read IDENTITY_MAP_FILE: ${e?.message || e}`);
+  }
+  return parseIdentityMap(obj);
+}
+
+function normalizeName(s) {
+  return String(s ?? '')
+    .toLowerCase()
+    .replace(/^@/, '')
+    .replace(/[.,;:!?()"'«»]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Resolves free-text owners ("Alice", "@alice", "alice s.") to Discord user IDs.
+ *
+ * `participants` are the call's [{ userId, name }]; names from the identity map and Telegram usernames
+ * are matched too. An owner matches a name exactly, or — if that is unambiguous — its first word.
+ */
+export function createIdentityResolver({ identityMap = new Map(), participants = [] } = {}) {
+  const byName = new Map(); // normalized name -> Set(userId)
+  const add = (name, userId) => {
+    const key = normalizeName(name);
+    if (!key || !userId) return;
+    if (!byName.has(key)) byName.set(key, new Set());
+    byName.get(key).add(userId);
+  };
+  for (const p of participants) add(p.name, p.userId);
+  for (const [userId, entry] of identityMap) {
+    for (const name of entry.names) add(name, userId);
+    if (entry.telegram) add(entry.telegram, userId);
+  }
+
+  const byFirstWord = new Map();
+  for (const [name, ids] of byName) {
+    const first = name.split(' ')[0];
+    if (!byFirstWord.has(first)) byFirstWord.set(first, new Set());
+    for (const id of ids) byFirstWord.get(first).add(id);
+  }
+
+  const only = (ids) => (ids && ids.size === 1 ? [...ids][0] : null);
+
+  function resolve(owner) {
+    const key = normalizeName(owner);
+    if (!key) return null;
+    return only(byName.get(key)) ?? only(byFirstWord.get(key)) ?? only(byFirstWord.get(key.split(' ')[0]));
+  }
+
+  function contacts(userId) {
+    const entry = userId ? identityMap.get(userId) : null;
+    if (!entry) return null;
+    return { telegram: entry.telegram, slack: entry.slack, email: entry.email, github: entry.github, jira: entry.jira, linear: entry.linear };
+  }
+
+  return { resolve, contacts };
+}
+
+/**
+ * Identity-map contacts of the call's participants ([{ userId, name }]; without a userId the name is resolved),
+ * one entry per person known in the map.
+ */
+export function participantContacts(participants, resolver) {
+  const seen = new Set();
+  const out = [];
+  for (const p of participants) {
+    const userId = p.userId || resolver.resolve(p.name);
+    const c = userId && !seen.has(userId) ? resolver.contacts(userId) : null;
+    if (!c) continue;
+    seen.add(userId);
+    out.push({ userId, name: p.name, ...c });
+  }
+  return out;
+}
+
+/**
+ * Copy of structured minutes (see minutes.js) with `ownerId` (Discord user ID or null) on each action item.
+ */
+export function resolveMinutesOwners(minutes, resolver) {
+  return {
+    ...minutes,
+    actionItems: minutes.actionItems.map((a) => ({ ...a, ownerId: a.owner ? resolver.resolve(a.owner) : null })),
+  };
+}
+
+/**
+ * Owner label for an action item in a destination: a Discord/Slack mention or Telegram @username when the
+ * owner is known there, otherwise the owner's name.
+ */
+export function ownerMention(item, destination, resolver) {
+  const name = item.owner || 'Unassigned';
+  if (!item.ownerId) return name;
+  if (destination === 'discord') return `<@${item.ownerId}>`;
+  const c = resolver.contacts(item.ownerId);
+  if (destination === 'slack' && c?.slack) return `<@${c.slack}>`;
+  if (destination === 'telegram' && c?.telegram) return c.telegram;
+  return name;
+}
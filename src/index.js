@@ -17,22 +17,29 @@ import {
   AudioPlayerStatus,
   StreamType,
 } from '@discordjs/voice';
-import ffmpegPath from 'ffmpeg-static';
-import { spawn } from 'node:child_process';
-import { mkdirSync, rmSync, readFileSync, createReadStream } from 'node:fs';
-import { join } from 'node:path';
-import { tmpdir } from 'node:os';
+import { rmSync, createReadStream } from 'node:fs';
 
 import { makeLogger } from './logger.js';
-import { startUserRecording } from './recorder.js';
-import { transcribeFile } from './stt.js';
+import { startUserRecording, stitchChunks } from './recorder.js';
+import { transcribeFile, createPyWorker } from './stt.js';
 import { sendTelegramMessage } from './telegram.js';
-import { summarizeTranscriptWithLLM } from './llm_summary.js';
+import { telegramRoute } from './targets/telegram.js';
+import { summarizeTranscriptWithLLM, summarySource } from './llm_summary.js';
 import { sanitizeLabel } from './security.js';
 import { loadConfigFromEnv, validateConfig } from './config.js';
 import { pruneOldFiles } from './retention.js';
+import { callFileStem, writeTranscriptText, writeCallArchiveJson, archiveUtterances, archiveSummary } from './archive.js';
 import { runSttSelfTest } from './selftest.js';
-import { deliverSummary } from './delivery.js';
+import { ffmpegPcmToWav } from './audio.js';
+import { writeAudioArchive } from './audio_archive.js';
+import { formatDuration, buildRawTranscript, fallbackSummaryText, formatTranscriptHeader } from './transcript.js';
+import { deliverSummary, buildSummaryMessages, buildWebhookPayload, retryPendingDeliveries } from './delivery.js';
+import { createSession, sessionHealth } from './session.js';
+import { sendDiscordMessage } from './discord.js';
+import { createConsentStore, CONSENT_MODES } from './consent.js';
+import { createSttQueue } from './stt_queue.js';
+import { createRedactorFromConfig, redactSummary, redactTranscriptItems } from './redaction.js';
+import { createIdentityResolver, loadIdentityMapFromConfig, participantContacts, resolveMinutesOwners } from './identities.js';
 
 const logger = makeLogger(process.env.LOG_LEVEL || 'info');
 
@@ -44,14 +51,18 @@ const DISCORD_TOKEN = CFG.DISCORD_TOKEN;
 const GUILD_ID = CFG.DISCORD_GUILD_ID;
 const NOTICE_TEXT_CHANNEL_ID = CFG.DISCORD_NOTICE_TEXT_CHANNEL_ID;
 let noticeChannelOverrideId = null;
-
-const TELEGRAM_BOT_TOKEN = CFG.TELEGRAM_BOT_TOKEN;
-const TELEGRAM_CHAT_ID = CFG.TELEGRAM_CHAT_ID;
+const DISCORD_NOTICE_ENABLED = CFG.DISCORD_NOTICE_ENABLED;
+const DISCORD_NOTICE_UPDATE_SEC = CFG.DISCORD_NOTICE_UPDATE_SEC;
 
 const WHISPER_CPP_BIN = CFG.WHISPER_CPP_BIN;
 const WHISPER_CPP_MODEL = CFG.WHISPER_CPP_MODEL;
 const PY_STT_CMD = CFG.PY_STT_CMD;
 
+// Persistent faster-whisper worker (PY_STT_SERVER=true); one process per segment otherwise.
+const pyWorker = PY_STT_CMD && CFG.PY_STT_SERVER
+  ? createPyWorker({ pyCmdTemplate: PY_STT_CMD, cudaVisibleDevices: process.env.CUDA_VISIBLE_DEVICES ?? null, logger })
+  : null;
+
 // SUMMARY_PROMPT_LANG removed; prompt selected by SUMMARY_PROMPT file.
 
 const CHUNK_SECONDS = CFG.CHUNK_SECONDS;
@@ -66,23 +77,32 @@ const TRANSCRIPTS_DIR = CFG.TRANSCRIPTS_DIR;
 
 const DISCORD_DAVE_ENCRYPTION = CFG.DISCORD_DAVE_ENCRYPTION;
 
-const TRANSCRIPTS_MAX_FILES = CFG.TRANSCRIPTS_MAX_FILES;
+const TRANSCRIPTS_MAX_CALLS = CFG.TRANSCRIPTS_MAX_CALLS;
 const TRANSCRIPTS_MAX_AGE_DAYS = CFG.TRANSCRIPTS_MAX_AGE_DAYS;
 
-const WEBHOOK_URL = CFG.WEBHOOK_URL;
-const WEBHOOK_TIMEOUT_MS = CFG.WEBHOOK_TIMEOUT_MS;
+const AUDIO_ARCHIVE_ENABLED = CFG.AUDIO_ARCHIVE_ENABLED;
+
+// PII/secret redaction (REDACTION_ENABLED); null when disabled.
+const redactor = createRedactorFromConfig(CFG);
+
+// Discord user -> Telegram/Slack/email identities for action item owners (IDENTITY_MAP_FILE).
+const identityMap = loadIdentityMapFromConfig(CFG);
 
-const SLACK_WEBHOOK_URL = CFG.SLACK_WEBHOOK_URL;
-const SLACK_CHANNEL = CFG.SLACK_CHANNEL;
-const SLACK_USERNAME = CFG.SLACK_USERNAME;
-const SLACK_ICON_EMOJI = CFG.SLACK_ICON_EMOJI;
-const SLACK_TIMEOUT_MS = CFG.SLACK_TIMEOUT_MS;
-const SLACK_MAX_CHARS = CFG.SLACK_MAX_CHARS;
 
 const STT_SELFTEST = CFG.STT_SELFTEST;
 const STT_ERROR_NOTIFY = CFG.STT_ERROR_NOTIFY;
 const STT_ERROR_NOTIFY_COOLDOWN_SEC = CFG.STT_ERROR_NOTIFY_COOLDOWN_SEC;
 
+const sttQueue = createSttQueue({
+  concurrency: CFG.STT_CONCURRENCY,
+  maxQueue: CFG.STT_QUEUE_MAX,
+  overflow: CFG.STT_QUEUE_OVERFLOW,
+  logger,
+});
+const FINALIZE_WAIT_MS = CFG.FINALIZE_WAIT_SEC * 1000;
+
+const consent = createConsentStore({ path: CFG.CONSENT_STORE_PATH, defaultMode: CFG.CONSENT_MODE, logger });
+
 // Optional startup self-test
 if (STT_SELFTEST) {
   runSttSelfTest({
@@ -90,6 +110,7 @@ if (STT_SELFTEST) {
     whisperCppBin: WHISPER_CPP_BIN,
     whisperCppModel: WHISPER_CPP_MODEL,
     pyCmdTemplate: PY_STT_CMD,
+    pyWorker,
     logger,
   }).catch(() => {});
 }
@@ -102,56 +123,32 @@ const client = new Client({
   partials: [Partials.Channel],
 });
 
-// Current active voice session state.
-let active = {
-  guildId: null,
-  voiceChannelId: null,
-  startedAt: null,
-  participants: new Map(), // userId -> username
-  recordingsDir: null,
-  transcripts: [],
-  noticeMessageSent: false,
-  joining: false,
-  finishing: false,
-  recordingUsers: new Set(),
-  pending: [],
-  pendingMeta: [],
-  nonEmptySince: null,
-  candidateChannelId: null,
-  introPlayed: false,
-  introEligibleAt: null,
-
-  // Manual control
-  manual: false,
-  manualGuildId: null,
-  manualVoiceChannelId: null,
-
-  // Metrics / health (per active session)
-  metrics: {
-    lastSpeechAt: null,
-    lastSttOkAt: null,
-    lastSttEmptyAt: null,
-    lastSttFailAt: null,
-    lastNonEmptyTextAt: null,
-
-    segmentsOk: 0,
-    segmentsEmpty: 0,
-    segmentsTotal: 0,
-
-    sttFailures: 0,
-    decodeFailures: 0,
-    totalAudioSeconds: 0,
-
-    // Debug (best-effort; local paths)
-    lastSegmentSeconds: null,
-    lastSegmentWav: null,
-    lastSttTextLen: null,
-    lastSttSafeTextLen: null,
-  },
-};
+// Active call sessions, one per guild (see createSession).
+const sessions = new Map(); // guildId -> session
+
+// Per-guild join control: debounce before auto-join and manual mode.
+const guildControls = new Map(); // guildId -> control
+
+function getGuildControl(guildId) {
+  let c = guildControls.get(guildId);
+  if (!c) {
+    c = {
+      joining: false,
+      nonEmptySince: null,
+      candidateChannelId: null,
+      joinTimer: null,
+
+      // Manual control
+      manual: false,
+      manualVoiceChannelId: null,
+    };
+    guildControls.set(guildId, c);
+  }
+  return c;
+}
 
 // Cross-session timestamps so /status shows the most recent finalize/delivery
-// even after the bot auto-rejoins and resets `active`.
+// even after the bot auto-rejoins and a new session is created.
 const last = {
   finalizeAt: null,
   summarySentAt: null,
@@ -160,7 +157,7 @@ const last = {
   nonEmptyTextAt: null,
   sttEmptyAt: null,
 
-  // Snapshot of the most recent finalized call (copied from active right before reset)
+  // Snapshot of the most recent finalized call (copied from the session right before it is dropped)
   call: {
     guildId: null,
     voiceChannelId: null,
@@ -178,7 +175,6 @@ const last = {
 };
 
 let tickInFlight = false;
-let joinTimer = null;
 
 // Rate-limited ops notifications
 let lastSttErrorNotifyAtMs = 0;
@@ -191,8 +187,11 @@ function redactErrorMessage(err) {
     .slice(0, 800);
 }
 
-async function notifySttErrorOnce({ channelName, err }) {
-  if (!STT_ERROR_NOTIFY) return;
+async function notifySttErrorOnce({ channelId, channelName, err }) {
+  // STT alerts go to Telegram only (when it is an enabled delivery target), to the channel's chat/topic.
+  const telegram = CFG.DELIVERY.telegram;
+  const route = telegram?.enabled ? telegramRoute(telegram, { channelId, channelName }) : null;
+  if (!STT_ERROR_NOTIFY || !route) return;
   const now = Date.now();
   const cooldownMs = (Number(STT_ERROR_NOTIFY_COOLDOWN_SEC) || 0) * 1000;
   if (cooldownMs > 0 && now - lastSttErrorNotifyAtMs < cooldownMs) return;
@@ -205,11 +204,7 @@ async function notifySttErrorOnce({ channelName, err }) {
     `Hint: check PY_STT_CMD / venv and logs.`;
 
   try {
-    await sendTelegramMessage({
-      token: TELEGRAM_BOT_TOKEN,
-      chatId: TELEGRAM_CHAT_ID,
-      text,
-    });
+    await sendTelegramMessage({ apiUrl: telegram.apiUrl, token: telegram.token, ...route, text, logger });
   } catch (e) {
     logger.warn('Failed to send STT alert to Telegram', e?.message || e);
   }
@@ -224,6 +219,54 @@ function getNoticeChannel(guild) {
   return guild.systemChannel ?? null;
 }
 
+function buildNoticeText(session, voiceChannel) {
+  const humans = voiceChannel ? listHumansInChannel(voiceChannel) : [];
+  const label = (m) => sanitizeLabel(m.displayName, { maxLen: 64 });
+  const recorded = humans.filter((m) => consent.isAllowed(session.guildId, m.id)).map(label).filter(Boolean);
+  const skipped = humans.filter((m) => !consent.isAllowed(session.guildId, m.id)).map(label).filter(Boolean);
+  const duration = session.startedAt ? formatDuration(Date.now() - session.startedAt.getTime()) : '00:00:00';
+  const optInMode = consent.getGuildMode(session.guildId) === 'opt-in';
+
+  return (
+    `🔴 **Recording in progress** in \`${sanitizeLabel(voiceChannel?.name || '(unknown)').replace(/`/g, "'")}\`\n` +
+    `This call is being recorded and transcribed; a summary will be posted here when it ends.\n` +
+    `Being recorded: ${recorded.length ? recorded.join(', ') : '(nobody yet)'}\n` +
+    (skipped.length ? `Not recorded (no consent): ${skipped.join(', ')}\n` : '') +
+    `Duration: ${duration}\n` +
+    (AUDIO_ARCHIVE_ENABLED ? `Audio is kept with the transcript.\n` : '') +
+    (optInMode
+      ? `Only people who ran \`/consent on\` are recorded. To stop: \`/consent off\` or leave the voice channel.`
+      : `To opt out: run \`/consent off\` or leave the voice channel.`)
+  );
+}
+
+// Post the "recording in progress" notice, or refresh it (rate-limited) while the call runs.
+async function postOrUpdateNotice(session, voiceChannel, { force = false } = {}) {
+  if (!DISCORD_NOTICE_ENABLED || session.finishing) return;
+
+  const now = Date.now();
+  if (session.noticeMessageSent && !force && now - session.noticeUpdatedAtMs < DISCORD_NOTICE_UPDATE_SEC * 1000) return;
+
+  const text = buildNoticeText(session, voiceChannel);
+  if (session.noticeMessageSent && text === session.noticeText) return;
+  session.noticeUpdatedAtMs = now;
+
+  try {
+    if (!session.noticeMessageSent) {
+      const channel = getNoticeChannel(voiceChannel.guild);
+      if (!channel) return;
+      // Mark first so concurrent ticks don't post twice.
+      session.noticeMessageSent = true;
+      session.noticeMessage = await sendDiscordMessage({ channel, text });
+    } else if (session.noticeMessage) {
+      await sendDiscordMessage({ message: session.noticeMessage, text });
+    }
+    session.noticeText = text;
+  } catch (e) {
+    logger.warn('Failed to post/update Discord notice', e?.message || e);
+  }
+}
+
 function listHumansInChannel(voiceChannel) {
   return [...voiceChannel.members.values()].filter((m) => !m.user.bot);
 }
@@ -245,69 +288,48 @@ function shouldJoinCandidate(guild, voiceChannel) {
   const humans = listHumansInChannel(voiceChannel).length;
   if (humans === 0) return false;
 
+  const control = getGuildControl(guild.id);
   const now = Date.now();
-  if (!active.nonEmptySince || active.candidateChannelId !== voiceChannel.id) {
-    active.nonEmptySince = now;
-    active.candidateChannelId = voiceChannel.id;
+  if (!control.nonEmptySince || control.candidateChannelId !== voiceChannel.id) {
+    control.nonEmptySince = now;
+    control.candidateChannelId = voiceChannel.id;
     // Schedule a follow-up tick soon (don't wait for 5s interval)
-    if (joinTimer) clearTimeout(joinTimer);
-    joinTimer = setTimeout(() => {
-      tick().catch(() => {});
-    }, 2200);
+    scheduleTick(guild.id, 2200);
     return false;
   }
-  return now - active.nonEmptySince >= 2000; // 2s stable presence
+  return now - control.nonEmptySince >= 2000; // 2s stable presence
 }
 
-function scheduleTick(ms) {
-  if (joinTimer) clearTimeout(joinTimer);
-  joinTimer = setTimeout(() => {
+function scheduleTick(guildId, ms) {
+  const control = getGuildControl(guildId);
+  if (control.joinTimer) clearTimeout(control.joinTimer);
+  control.joinTimer = setTimeout(() => {
+    control.joinTimer = null;
     tick().catch(() => {});
   }, ms);
 }
 
-async function ffmpegPcmToWav(pcmPath, wavPath) {
-  // input is raw s16le, 48kHz, mono (our Opus decoder is configured for 1 channel)
-  return new Promise((resolve, reject) => {
-    const args = [
-      '-f', 's16le',
-      '-ar', '48000',
-      '-ac', '1',
-      '-i', pcmPath,
-      '-y',
-      wavPath,
-    ];
-    const p = spawn(ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
-    let err = '';
-    p.stderr.on('data', (d) => (err += d.toString('utf-8')));
-    p.on('close', (code) => {
-      if (code === 0) resolve();
-      else reject(new Error(`ffmpeg failed code=${code}: ${err.slice(0, 1000)}`));
-    });
-  });
-}
-
-async function playIntroIfNeeded(conn, voiceChannel) {
-  if (active.introPlayed) return;
+async function playIntroIfNeeded(session, conn, voiceChannel) {
+  if (session.introPlayed) return;
   if (!INTRO_OPUS_PATH) return; // intro disabled
 
   const humans = listHumansInChannel(voiceChannel).length;
   if (humans < 2) {
     // reset gate if people dropped below 2
-    active.introEligibleAt = null;
+    session.introEligibleAt = null;
     return;
   }
 
   // Delay: wait 10–15 seconds after the 2nd human appears
   const now = Date.now();
-  if (!active.introEligibleAt) {
-    active.introEligibleAt = now + 12_000; // 12s (middle of 10-15)
-    scheduleTick(12_500);
-    logger.info('Intro scheduled', { inMs: active.introEligibleAt - now });
+  if (!session.introEligibleAt) {
+    session.introEligibleAt = now + 12_000; // 12s (middle of 10-15)
+    scheduleTick(session.guildId, 12_500);
+    logger.info('Intro scheduled', { guildId: session.guildId, inMs: session.introEligibleAt - now });
     return;
   }
-  if (now < active.introEligibleAt) {
-    scheduleTick(active.introEligibleAt - now + 200);
+  if (now < session.introEligibleAt) {
+    scheduleTick(session.guildId, session.introEligibleAt - now + 200);
     return;
   }
 
@@ -350,33 +372,43 @@ async function playIntroIfNeeded(conn, voiceChannel) {
     });
     await entersState(conn, VoiceConnectionStatus.Ready, 30_000);
 
-    active.introPlayed = true;
+    session.introPlayed = true;
   } catch (e) {
     logger.warn('Intro playback failed', e?.message || e);
   }
 }
 
-async function ensureJoined(voiceChannel) {
-  if (active.joining) return null; // prevent join storms
+async function ensureJoined(voiceChannel, { manual = false } = {}) {
+  const guild = voiceChannel.guild;
+  const control = getGuildControl(guild.id);
+  if (control.joining) return null; // prevent join storms
 
-  const existing = getVoiceConnection(voiceChannel.guild.id);
-  if (existing && active.voiceChannelId === voiceChannel.id) return existing;
+  const existing = getVoiceConnection(guild.id);
+  const current = sessions.get(guild.id);
+  if (existing && current && current.voiceChannelId === voiceChannel.id && !current.finishing) return existing;
 
-  active.joining = true;
+  control.joining = true;
   try {
+    // One voice connection per guild: moving to another channel ends the current call.
+    if (current && !current.finishing) {
+      current.finishing = true;
+      sessions.delete(guild.id);
+      logger.info('Switching voice channel; finalizing previous call', current.voiceChannelId);
+      finalizeAndSend(guild, current).catch((e) => logger.error('Finalize failed', e?.message || e));
+    }
     if (existing) {
       try {
         existing.destroy();
       } catch {}
     }
 
-    logger.info('Joining voice channel', voiceChannel.guild.name, voiceChannel.name);
+    logger.info('Joining voice channel', guild.name, voiceChannel.name);
 
     // Join muted by default (UI shows mic off). We'll temporarily unmute when we need to play the intro.
     const conn = joinVoiceChannel({
       channelId: voiceChannel.id,
-      guildId: voiceChannel.guild.id,
-      adapterCreator: voiceChannel.guild.voiceAdapterCreator,
+      guildId: guild.id,
+      adapterCreator: guild.voiceAdapterCreator,
       selfDeaf: false,
       selfMute: true,
       // Disable DAVE voice encryption unless explicitly enabled; improves receiver stability.
@@ -385,175 +417,248 @@ async function ensureJoined(voiceChannel) {
 
     await entersState(conn, VoiceConnectionStatus.Ready, 30_000);
 
-    active.guildId = voiceChannel.guild.id;
-    active.voiceChannelId = voiceChannel.id;
-    active.startedAt = new Date();
-    active.participants = new Map();
-    active.transcripts = [];
-    active.noticeMessageSent = false;
-    active.finishing = false;
-    active.recordingUsers = new Set();
-    active.pending = [];
-    active.pendingMeta = [];
-    active.nonEmptySince = null;
-    active.candidateChannelId = null;
-    active.introPlayed = false;
-    active.introEligibleAt = null;
-
-    // reset metrics for new call
-    active.metrics = {
-      lastSpeechAt: null,
-      lastSttOkAt: null,
-      lastSttEmptyAt: null,
-      lastSttFailAt: null,
-      lastNonEmptyTextAt: null,
-
-      segmentsOk: 0,
-      segmentsEmpty: 0,
-      segmentsTotal: 0,
-
-      sttFailures: 0,
-      decodeFailures: 0,
-      totalAudioSeconds: 0,
-
-      lastSegmentSeconds: null,
-      lastSegmentWav: null,
-      lastSttTextLen: null,
-      lastSttSafeTextLen: null,
-    };
+    const session = createSession({ guildId: guild.id, voiceChannelId: voiceChannel.id, manual });
+    sessions.set(guild.id, session);
+    control.nonEmptySince = null;
+    control.candidateChannelId = null;
 
-    const dir = join(tmpdir(), `discord-voice-${Date.now()}`);
-    mkdirSync(dir, { recursive: true });
-    active.recordingsDir = dir;
+    await postOrUpdateNotice(session, voiceChannel, { force: true });
 
     // Try intro (will only actually play when 2+ humans are present)
-    await playIntroIfNeeded(conn, voiceChannel);
+    await playIntroIfNeeded(session, conn, voiceChannel);
 
     // Start receiving audio (register once per connection)
     const receiver = conn.receiver;
     receiver.speaking.removeAllListeners('start');
     receiver.speaking.on('start', async (userId) => {
-      if (active.finishing) return;
-      if (active.recordingUsers.has(userId)) return;
+      if (session.finishing) return;
+      if (session.recordingUsers.has(userId)) return;
+      // Reserve the user's slot before the first await, so another 'start' event meanwhile doesn't start a
+      // second recorder on the same stream; the recording replaces the placeholder below.
+      session.recordingUsers.set(userId, null);
+      const speechStartedAtMs = Date.now();
 
-      const guild = voiceChannel.guild;
       const member = await guild.members.fetch(userId).catch(() => null);
-      if (!member || member.user.bot) return;
+      if (!member || member.user.bot) {
+        session.recordingUsers.delete(userId);
+        return;
+      }
 
-      active.recordingUsers.add(userId);
-      active.participants.set(userId, member.displayName);
+      if (!consent.isAllowed(guild.id, userId)) {
+        session.recordingUsers.delete(userId);
+        session.notRecorded.set(userId, member.displayName);
+        return;
+      }
 
-      active.metrics.lastSpeechAt = new Date().toISOString();
+      session.participants.set(userId, member.displayName);
 
-      const { done } = startUserRecording({
-        receiver,
-        userId,
-        outDir: active.recordingsDir,
-        minSegmentSeconds: MIN_SEGMENT_SECONDS,
-        logger,
-      });
+      session.metrics.lastSpeechAt = new Date().toISOString();
 
       const meta = {
         userId,
         user: sanitizeLabel(member.displayName, { maxLen: 64 }) || `user:${userId}`,
-        startedAtMs: Date.now(),
+        startedAtMs: speechStartedAtMs,
         done: false,
         doneAtMs: null,
       };
-      active.pendingMeta.push(meta);
-
-      const job = done
-        .then(async ({ segmentPath: pcmPath, seconds }) => {
-          if (!pcmPath) return;
-          const wavPath = pcmPath.replace(/\.pcm$/, '.wav');
-          try {
-            await ffmpegPcmToWav(pcmPath, wavPath);
-
-            // Track last segment details for diagnostics (local only).
-            active.metrics.lastSegmentSeconds = Number(seconds) || 0;
-            active.metrics.lastSegmentWav = wavPath;
-
-            const text = await transcribeFile({
-              filePath: wavPath,
-              whisperCppBin: WHISPER_CPP_BIN,
-              whisperCppModel: WHISPER_CPP_MODEL,
-              pyCmdTemplate: PY_STT_CMD,
-              cudaVisibleDevices: process.env.CUDA_VISIBLE_DEVICES ?? null,
-            });
+      session.pendingMeta.push(meta);
+
+      // Long monologues arrive as several chunks; their texts are stitched into one transcript item.
+      const utterance = { item: null, chunks: [] };
+      const chunkJobs = [];
 
-            const rawText = String(text || '');
-            const safeUser = sanitizeLabel(member.displayName, { maxLen: 64 }) || `user:${userId}`;
-            const safeText = sanitizeLabel(rawText, { maxLen: MAX_SEGMENT_TEXT_CHARS });
-
-            // Always count audio time even if STT is empty.
-            active.metrics.totalAudioSeconds += Number(seconds) || 0;
-            active.metrics.segmentsTotal += 1;
-            active.metrics.lastSttTextLen = rawText.length;
-            active.metrics.lastSttSafeTextLen = safeText.length;
-
-            // Mirror last-seen diagnostics across sessions.
-            last.lastSegmentWav = wavPath;
-            last.lastSegmentSeconds = Number(seconds) || 0;
-            last.lastSttTextLen = rawText.length;
-            last.lastSttSafeTextLen = safeText.length;
-
-            if (safeText && safeText.trim().length > 0) {
-              active.transcripts.push({
-                at: new Date().toISOString(),
-                user: safeUser,
-                seconds,
-                text: safeText,
-              });
-
-              active.metrics.segmentsOk += 1;
-              active.metrics.lastSttOkAt = new Date().toISOString();
-              active.metrics.lastNonEmptyTextAt = new Date().toISOString();
-              last.nonEmptyTextAt = active.metrics.lastNonEmptyTextAt;
-
-              // Safety: prevent unbounded memory growth on long calls.
-              if (active.transcripts.length > MAX_TRANSCRIPT_ITEMS) {
-                active.transcripts.splice(0, active.transcripts.length - MAX_TRANSCRIPT_ITEMS);
-              }
-            } else {
-              active.metrics.segmentsEmpty += 1;
-              active.metrics.lastSttEmptyAt = new Date().toISOString();
-              last.sttEmptyAt = active.metrics.lastSttEmptyAt;
-              logger.info('STT empty', {
-                user: safeUser,
-                seconds: Number(seconds) || 0,
-                textLen: rawText.length,
-                safeLen: safeText.length,
-              });
-            }
-          } catch (e) {
-            active.metrics.sttFailures += 1;
-            active.metrics.lastSttFailAt = new Date().toISOString();
-            logger.warn('STT failed', e?.message || e);
-            await notifySttErrorOnce({ channelName: voiceChannel.name, err: e });
-          } finally {
-            rmSync(pcmPath, { force: true });
-            rmSync(wavPath, { force: true });
+      const recording = startUserRecording({
+        receiver,
+        userId,
+        outDir: session.recordingsDir,
+        minSegmentSeconds: MIN_SEGMENT_SECONDS,
+        chunkSeconds: CHUNK_SECONDS,
+        onChunk: ({ segmentPath, seconds, index, offsetSeconds }) => {
+          if (!consent.isAllowed(guild.id, userId)) {
+            rmSync(segmentPath, { force: true });
+            return;
+          }
+          // Call-relative start of this chunk, anchored at the moment the user started speaking.
+          // Discord sends no packets during short pauses, so offsets inside a long segment are
+          // approximate (they count speech time, not wall-clock time).
+          const chunkStartMs = meta.startedAtMs - session.startedAt.getTime() + offsetSeconds * 1000;
+          if (AUDIO_ARCHIVE_ENABLED) {
+            // Keep the PCM until the call ends; it is encoded into the audio archive in finalizeAndSend.
+            session.audioChunks.push({ userId, user: sanitizeLabel(member.displayName, { maxLen: 64 }), pcmPath: segmentPath, startMs: chunkStartMs, seconds });
           }
+          const job = sttQueue
+            .enqueue({
+              key: session,
+              tag: userId,
+              run: () => transcribeChunk({ session, member, voiceChannel, utterance, pcmPath: segmentPath, seconds, index, chunkStartMs }),
+              discard: () => {
+                // Archived audio stays, unless the speaker has opted out meanwhile.
+                if (!AUDIO_ARCHIVE_ENABLED || !consent.isAllowed(guild.id, userId)) discardChunkAudio(session, segmentPath);
+              },
+            })
+            .catch((e) => {
+              if (e?.code !== 'STT_DROPPED') throw e;
+              session.metrics.sttDropped += 1;
+            });
+          chunkJobs.push(job);
+        },
+      });
+
+      session.recordingUsers.set(userId, recording);
+
+      const job = recording.done
+        .finally(() => {
+          // Recording stream ended; the user can start a new segment while STT catches up.
+          session.recordingUsers.delete(userId);
         })
-        .catch((e) => {
-          active.metrics.decodeFailures += 1;
-          logger.warn('record pipeline failed', userId, e?.message || e);
+        .then(({ error }) => {
+          if (error) {
+            session.metrics.decodeFailures += 1;
+            logger.warn('record pipeline failed', userId, error?.message || error);
+          }
+          return Promise.allSettled(chunkJobs);
         })
         .finally(() => {
           meta.done = true;
           meta.doneAtMs = Date.now();
-          active.recordingUsers.delete(userId);
         });
 
-      active.pending.push(job);
+      session.pending.push(job);
     });
 
     return conn;
   } finally {
-    active.joining = false;
+    control.joining = false;
+  }
+}
+
+/**
+ * Transcribe one recorded chunk and merge it into its utterance's transcript item.
+ *
+ * Transcript items carry call-relative timings (ms since session start):
+ * { at, userId, user, startMs, endMs, seconds, text, language, segments: [{ startMs, endMs, text, avgLogProb, noSpeechProb, words }] }
+ */
+async function transcribeChunk({ session, member, voiceChannel, utterance, pcmPath, seconds, index, chunkStartMs }) {
+  const wavPath = pcmPath.replace(/\.pcm$/, '.wav');
+  try {
+    await ffmpegPcmToWav(pcmPath, wavPath);
+
+    // Track last segment details for diagnostics (local only).
+    session.metrics.lastSegmentSeconds = Number(seconds) || 0;
+    session.metrics.lastSegmentWav = wavPath;
+
+    const result = await transcribeFile({
+      filePath: wavPath,
+      whisperCppBin: WHISPER_CPP_BIN,
+      whisperCppModel: WHISPER_CPP_MODEL,
+      pyCmdTemplate: PY_STT_CMD,
+      pyWorker,
+      cudaVisibleDevices: process.env.CUDA_VISIBLE_DEVICES ?? null,
+    });
+    // The speaker opted out while this chunk was being transcribed.
+    if (!consent.isAllowed(session.guildId, member.id)) return;
+
+    const rawText = String(result?.text || '');
+    const safeUser = sanitizeLabel(member.displayName, { maxLen: 64 }) || `user:${member.id}`;
+    const safeText = sanitizeLabel(rawText, { maxLen: MAX_SEGMENT_TEXT_CHARS });
+
+    // Always count audio time even if STT is empty.
+    session.metrics.totalAudioSeconds += Number(seconds) || 0;
+    session.metrics.segmentsTotal += 1;
+    session.metrics.lastSttTextLen = rawText.length;
+    session.metrics.lastSttSafeTextLen = safeText.length;
+
+    // Mirror last-seen diagnostics across sessions.
+    last.lastSegmentWav = wavPath;
+    last.lastSegmentSeconds = Number(seconds) || 0;
+    last.lastSttTextLen = rawText.length;
+    last.lastSttSafeTextLen = safeText.length;
+
+    if (safeText && safeText.trim().length > 0) {
+      // Chunks may finish out of order; keep results by chunk index.
+      const toMs = (sec) => Math.round(chunkStartMs + (Number(sec) || 0) * 1000);
+      utterance.chunks[index] = {
+        text: safeText,
+        startMs: Math.round(chunkStartMs),
+        endMs: toMs(seconds),
+        language: result?.language ?? null,
+        segments: (result?.segments || []).map((seg) => ({
+          startMs: toMs(seg.start),
+          endMs: toMs(seg.end),
+          text: sanitizeLabel(seg.text, { maxLen: MAX_SEGMENT_TEXT_CHARS }),
+          avgLogProb: seg.avgLogProb,
+          noSpeechProb: seg.noSpeechProb,
+          words: seg.words
+            ? seg.words.map((w) => ({ word: w.word, probability: w.probability, startMs: toMs(w.start), endMs: toMs(w.end) }))
+            : null,
+        })),
+      };
+
+      const stitched = stitchChunks(utterance.chunks);
+
+      if (!utterance.item) {
+        utterance.item = {
+          at: new Date().toISOString(),
+          userId: member.id,
+          user: safeUser,
+          seconds,
+          ...stitched,
+        };
+        session.transcripts.push(utterance.item);
+      } else {
+        utterance.item.seconds += seconds;
+        Object.assign(utterance.item, stitched);
+      }
+
+      session.metrics.segmentsOk += 1;
+      session.metrics.lastSttOkAt = new Date().toISOString();
+      session.metrics.lastNonEmptyTextAt = new Date().toISOString();
+      last.nonEmptyTextAt = session.metrics.lastNonEmptyTextAt;
+
+      // Safety: prevent unbounded memory growth on long calls (drop the earliest speech).
+      if (session.transcripts.length > MAX_TRANSCRIPT_ITEMS) {
+        session.transcripts.sort((a, b) => a.startMs - b.startMs);
+        session.transcripts.splice(0, session.transcripts.length - MAX_TRANSCRIPT_ITEMS);
+      }
+    } else {
+      session.metrics.segmentsEmpty += 1;
+      session.metrics.lastSttEmptyAt = new Date().toISOString();
+      last.sttEmptyAt = session.metrics.lastSttEmptyAt;
+      logger.info('STT empty', {
+        user: safeUser,
+        chunk: index,
+        seconds: Number(seconds) || 0,
+        textLen: rawText.length,
+        safeLen: safeText.length,
+      });
+    }
+  } catch (e) {
+    session.metrics.sttFailures += 1;
+    session.metrics.lastSttFailAt = new Date().toISOString();
+    logger.warn('STT failed', { chunk: index }, e?.message || e);
+    await notifySttErrorOnce({ channelId: voiceChannel.id, channelName: voiceChannel.name, err: e });
+  } finally {
+    if (!AUDIO_ARCHIVE_ENABLED || !consent.isAllowed(session.guildId, member.id)) discardChunkAudio(session, pcmPath);
+    rmSync(wavPath, { force: true });
   }
 }
 
+function discardChunkAudio(session, pcmPath) {
+  rmSync(pcmPath, { force: true });
+  const i = session.audioChunks.findIndex((c) => c.pcmPath === pcmPath);
+  if (i >= 0) session.audioChunks.splice(i, 1);
+}
+
+/**
+ * `/consent off` during a call: end the user's current recording and drop their audio that isn't transcribed yet
+ * (queued STT jobs; chunks still being recorded or transcribed are discarded when they finish).
+ */
+function stopRecordingUser(session, userId) {
+  session.recordingUsers.get(userId)?.stop();
+  const cancelled = sttQueue.cancel(session, userId);
+  logger.info('Recording stopped after consent was withdrawn', { guildId: session.guildId, cancelledJobs: cancelled });
+}
+
 function channelHumansCount(guild, voiceChannelId) {
   const vc = guild.channels.cache.get(voiceChannelId);
   if (!vc || vc.type !== ChannelType.GuildVoice) return 0;
@@ -564,99 +669,53 @@ function channelIsEmpty(guild, voiceChannelId) {
   return channelHumansCount(guild, voiceChannelId) === 0;
 }
 
-function buildRawTranscript({ maxChars } = {}) {
-  const lines = active.transcripts
-    .map((t) => `[${t.user}] ${t.text}`)
-    .join('\n');
-
-  if (!lines) return '(no speech captured)';
-
-  if (Number.isFinite(maxChars) && maxChars > 0 && lines.length > maxChars) {
-    // Trim from the start for safety/cost control, but try not to start mid-line.
-    const sliceStart = lines.length - maxChars;
-    const nextNl = lines.indexOf('\n', sliceStart);
-    return (nextNl >= 0 ? lines.slice(nextNl + 1) : lines.slice(-maxChars));
-  }
-
-  return lines;
-}
-
-function summarizeToBullets(raw, { min = 5, max = 10 } = {}) {
-  if (!raw || raw === '(no speech captured)') return ['(нет распознанной речи)'];
-
-  // Split into sentences (very rough, RU/EN mixed ok)
-  const text = raw.replace(/\[[^\]]+\]\s*/g, '');
-  const sentences = text
-    .split(/(?<=[.!?…])\s+|\n+/)
-    .map((s) => s.trim())
-    .filter((s) => s.length >= 20);
-
-  // Heuristics: boost "decision/next step" cues
-  const cues = [
-    'решили', 'договор', 'договорились', 'итог', 'итоги', 'значит', 'надо', 'нужно',
-    'сделаем', 'делаем', 'давай', 'план', 'следующий', 'next', 'todo', 'задача',
-    'fix', 'почин', 'срок', 'today', 'завтра', 'понедельник'
-  ];
-
-  function scoreSentence(s) {
-    const lower = s.toLowerCase();
-    let score = 0;
-    // length sweet spot
-    if (s.length <= 180) score += 2;
-    if (s.length <= 120) score += 2;
-    // cue words
-    for (const c of cues) {
-      if (lower.includes(c)) score += 4;
-    }
-    // numbers / dates
-    if (/[0-9]{1,4}/.test(s)) score += 1;
-    // penalize filler
-    if (/(ээ+|ну\b|короче|типа|как бы)/.test(lower)) score -= 1;
-    return score;
-  }
-
-  const ranked = sentences
-    .map((s, i) => ({ s, i, score: scoreSentence(s) }))
-    .sort((a, b) => b.score - a.score || a.i - b.i);
-
-  const picked = [];
-  const used = new Set();
-  for (const r of ranked) {
-    // dedupe near-identical sentences
-    const key = r.s.toLowerCase().replace(/\s+/g, ' ').slice(0, 80);
-    if (used.has(key)) continue;
-    used.add(key);
-    picked.push(r.s);
-    if (picked.length >= max) break;
-  }
+function saveCallArchive({ session, transcripts, redaction = null, stem, channelName, endedAtIso, summary, audio = null }) {
+  const startedMs = session.startedAt ? session.startedAt.getTime() : 0;
+  const archive = {
+    call: {
+      guildId: session.guildId,
+      voiceChannelId: session.voiceChannelId,
+      channel: channelName,
+      startedAt: session.startedAt ? session.startedAt.toISOString() : null,
+      endedAt: endedAtIso,
+      durationMs: startedMs ? Date.parse(endedAtIso) - startedMs : null,
+    },
+    participants: [
+      ...[...session.participants.entries()].map(([userId, name]) => ({ userId, name, recorded: true })),
+      ...[...session.notRecorded.entries()]
+        .filter(([userId]) => !session.participants.has(userId))
+        .map(([userId, name]) => ({ userId, name, recorded: false })),
+    ],
+    utterances: archiveUtterances(transcripts, { startedMs }),
+    metrics: { ...(session.metrics || {}) },
+    audio,
+    redaction: redaction ? { counts: redaction.counts, unredactedLocal: CFG.REDACTION_KEEP_UNREDACTED } : null,
+    summary: archiveSummary(summary),
+  };
 
-  // If all scores were low and we picked too little, just take first sentences.
-  if (picked.length < min) {
-    for (const s of sentences) {
-      if (picked.length >= min) break;
-      if (!picked.includes(s)) picked.push(s);
-    }
+  try {
+    const outPath = writeCallArchiveJson({ dir: TRANSCRIPTS_DIR, stem, archive, encryptionKey: CFG.TRANSCRIPTS_ENCRYPTION_KEY });
+    logger.info('Call archive saved', outPath);
+  } catch (e) {
+    logger.warn('Failed to save call archive', e?.message || e);
   }
-
-  return picked.slice(0, max).map((s) => `• ${s.replace(/\s+/g, ' ')}`);
 }
 
-async function finalizeAndSend(guild) {
+async function finalizeAndSend(guild, session) {
   // Wait for last audio segments to flush (prefer reliability over speed).
-  const pendingAtStart = active.pendingMeta?.filter((p) => !p.done).length || 0;
+  const pendingAtStart = session.pendingMeta?.filter((p) => !p.done).length || 0;
   const waitStartMs = Date.now();
-  const FINALIZE_WAIT_MS = 30_000;
   let waitTimedOut = false;
   try {
     await Promise.race([
-      Promise.allSettled(active.pending),
+      Promise.allSettled(session.pending),
       new Promise((r) => setTimeout(r, FINALIZE_WAIT_MS)),
     ]);
     waitTimedOut = (Date.now() - waitStartMs) >= (FINALIZE_WAIT_MS - 50);
   } catch {
     // ignore
   }
-  const pendingAfterWait = active.pendingMeta?.filter((p) => !p.done).length || 0;
+  const pendingAfterWait = session.pendingMeta?.filter((p) => !p.done).length || 0;
   if (pendingAtStart > 0) {
     logger.info('Finalize wait', {
       pendingAtStart,
@@ -666,177 +725,208 @@ async function finalizeAndSend(guild) {
     });
   }
 
-  const vc = guild.channels.cache.get(active.voiceChannelId);
+  const vc = guild.channels.cache.get(session.voiceChannelId);
   const channelName = vc?.name || '(unknown)';
-  const startedAt = active.startedAt ? active.startedAt.toISOString() : '(unknown)';
+  const startedAt = session.startedAt ? session.startedAt.toISOString() : '(unknown)';
   const endedAtIso = new Date().toISOString();
-  const participants = [...new Set([...active.participants.values()])].join(', ') || '(none)';
+  const participants = [...new Set([...session.participants.values()])].join(', ') || '(none)';
+  const notRecorded = [...new Set(
+    [...session.notRecorded.entries()].filter(([id]) => !session.participants.has(id)).map(([, name]) => name)
+  )].join(', ');
+
+  // Redaction: whatever leaves the machine (LLM, delivery) is built from redacted items;
+  // local files too, unless REDACTION_KEEP_UNREDACTED.
+  const redacted = redactor ? redactTranscriptItems(session.transcripts, redactor) : null;
+  const sharedItems = redacted ? redacted.items : session.transcripts;
+  const localItems = redacted && !CFG.REDACTION_KEEP_UNREDACTED ? redacted.items : session.transcripts;
+  if (redacted) logger.info('Transcript redacted', redacted.counts);
 
   // Full transcript for saving to disk.
-  const raw = buildRawTranscript();
+  const raw = buildRawTranscript(localItems);
 
   // Bound transcript size passed to LLM (untrusted STT output; cost/DoS guard)
-  const rawForLLM = buildRawTranscript({ maxChars: MAX_TRANSCRIPT_CHARS_FOR_LLM });
+  const rawForLLM = buildRawTranscript(sharedItems, { maxChars: MAX_TRANSCRIPT_CHARS_FOR_LLM });
 
   last.finalizeAt = new Date().toISOString();
 
-  // Snapshot last call state for /status after we reset `active`.
+  // Snapshot last call state for /status after the session is dropped.
   last.call = {
-    guildId: active.guildId,
-    voiceChannelId: active.voiceChannelId,
+    guildId: session.guildId,
+    voiceChannelId: session.voiceChannelId,
     startedAt,
     endedAt: endedAtIso,
-    participants: active.participants?.size || 0,
-    metrics: { ...(active.metrics || {}) },
+    participants: session.participants?.size || 0,
+    metrics: { ...(session.metrics || {}) },
     pendingAtFinalizeStart: pendingAtStart,
     pendingAfterWait,
     finalizeWaitMs: Date.now() - waitStartMs,
     finalizeWaitTimedOut: waitTimedOut,
   };
   // Persist transcript to disk
+  const stem = callFileStem({ startedAt: session.startedAt, channelName });
   try {
-    const safeName = sanitizeLabel(channelName, { maxLen: 80 }).replace(/[^a-zA-Z0-9а-яА-Я._-]+/g, '_');
-    const fs = await import('node:fs');
-    const outDir = TRANSCRIPTS_DIR;
-    fs.mkdirSync(outDir, { recursive: true });
-    const startedStamp = active.startedAt ? active.startedAt.toISOString().replace(/[:]/g, '-') : 'unknown';
-    const outPath = `${outDir}/${startedStamp}__${safeName}.txt`;
-    const header =
-      `Channel: ${channelName}\n` +
-      `Started: ${startedAt}\n` +
-      `Ended: ${endedAtIso}\n` +
-      `Participants: ${participants}\n\n`;
-    fs.writeFileSync(outPath, header + raw + '\n', { encoding: 'utf-8' });
+    const header = formatTranscriptHeader({ channelName, startedAt, endedAt: endedAtIso, participants, notRecorded });
+    const outPath = writeTranscriptText({ dir: TRANSCRIPTS_DIR, stem, text: header + raw + '\n', encryptionKey: CFG.TRANSCRIPTS_ENCRYPTION_KEY });
     logger.info('Transcript saved', outPath);
+  } catch (e) {
+    logger.warn('Failed to save transcript', e?.message || e);
+  }
 
-    // Retention: prune old local transcripts
+  // Opt-in audio archive: encode kept PCM chunks next to the transcript (before recordingsDir is wiped).
+  let audio = null;
+  if (AUDIO_ARCHIVE_ENABLED) {
     try {
-      pruneOldFiles({
+      audio = await writeAudioArchive({
+        chunks: session.audioChunks,
         dir: TRANSCRIPTS_DIR,
-        maxFiles: TRANSCRIPTS_MAX_FILES,
-        maxAgeDays: TRANSCRIPTS_MAX_AGE_DAYS,
+        stem,
+        workDir: session.recordingsDir,
+        mix: CFG.AUDIO_ARCHIVE_MIX,
+        bitrateKbps: CFG.AUDIO_ARCHIVE_BITRATE_KBPS,
+        encryptionKey: CFG.TRANSCRIPTS_ENCRYPTION_KEY,
         logger,
       });
     } catch (e) {
-      logger.warn('Transcript retention prune failed', e?.message || e);
+      logger.warn('Failed to save audio archive', e?.message || e);
     }
-  } catch (e) {
-    logger.warn('Failed to save transcript', e?.message || e);
   }
 
+  // Inline code spans can't contain backticks.
+  const safeInlineCode = (s) => String(s || '').replace(/`/g, "'");
+
   // If nobody spoke / nothing captured and call was very short, skip spammy messages.
-  const durationMs = active.startedAt ? Date.now() - active.startedAt.getTime() : 0;
+  const durationMs = session.startedAt ? Date.now() - session.startedAt.getTime() : 0;
+  let summary = null;
   if ((raw === '(no speech captured)') && durationMs < SKIP_EMPTY_CALL_UNDER_MS) {
     logger.info('Skipping empty short call notification', sanitizeLabel(channelName), durationMs, { SKIP_EMPTY_CALL_UNDER_MS });
+    saveCallArchive({ session, transcripts: localItems, redaction: redacted, stem, channelName, endedAtIso, summary, audio });
+
+    // Don't leave a stale "recording in progress" notice behind.
+    if (session.noticeMessage) {
+      await sendDiscordMessage({
+        message: session.noticeMessage,
+        text: `Recording ended in \`${safeInlineCode(channelName)}\` (no speech captured).`,
+      }).catch((e) => logger.warn('Failed to update Discord notice', e?.message || e));
+    }
   } else {
     let summaryText = '';
     try {
-      summaryText = await summarizeTranscriptWithLLM({
+      summary = await summarizeTranscriptWithLLM({
         transcript: rawForLLM,
+        logger,
       });
+      summaryText = summary.text;
     } catch (e) {
       logger.warn('LLM summary failed; falling back to heuristics', e?.message || e);
-      summaryText =
-        '1. Краткое резюме звонка (5–10 пунктов)\n' +
-        summarizeToBullets(raw, { min: 5, max: 10 }).join('\n') +
-        '\n\n' +
-        '2. Принятые решения (если есть)\nРешений не зафиксировано.\n\n' +
-        '3. Задачи / To-Do\n(не удалось извлечь автоматически)\n\n' +
-        '4. Риски / Блокеры (если обсуждались)\nНет';
+      summaryText = fallbackSummaryText(buildRawTranscript(sharedItems));
+      summary = { text: summaryText, fallback: true, error: redactErrorMessage(e) };
+    }
+    if (redactor) {
+      // The LLM only saw redacted text, but don't let anything it reconstructs leave either.
+      summaryText = redactSummary(summary, redactor).text;
     }
+    const callParticipants = [...session.participants.entries()].map(([userId, name]) => ({ userId, name }));
+    const resolver = createIdentityResolver({ identityMap, participants: callParticipants });
+    if (summary.minutes) summary.minutes = resolveMinutesOwners(summary.minutes, resolver);
 
-    // Telegram Markdown note: underscores in usernames (e.g., Artyom_Payments) are parsed as italics.
-    // Wrap variable header fields in inline code to keep them readable.
-    const safeInlineCode = (s) => String(s || '').replace(/`/g, "'");
+    saveCallArchive({ session, transcripts: localItems, redaction: redacted, stem, channelName, endedAtIso, summary, audio });
 
-    const msg =
-      `Discord call summary\n` +
-      `Channel: \`${safeInlineCode(channelName)}\`\n` +
-      `Started: \`${safeInlineCode(startedAt)}\`\n` +
-      `Ended: \`${safeInlineCode(endedAtIso)}\`\n` +
-      `Participants: \`${safeInlineCode(participants)}\`\n\n` +
-      `${summaryText}`;
+    const source = summarySource(summary);
+    const { text: msg, texts, mentionUserIds } = buildSummaryMessages({ channelName, startedAt, endedAt: endedAtIso, participants, summary, source, resolver });
 
-    const webhookPayload = {
-      channel: channelName,
+    const webhookPayload = buildWebhookPayload({
+      callId: stem,
+      channelName,
       startedAt,
       endedAt: endedAtIso,
-      participants: participants.split(',').map((s) => s.trim()).filter(Boolean),
-      summary: summaryText,
-    };
+      participants,
+      summaryText,
+      source,
+      minutes: summary.minutes,
+      resolver,
+      guildId: session.guildId,
+      channelId: session.voiceChannelId,
+      callParticipants,
+      metrics: session.metrics,
+    });
 
     try {
       await deliverSummary({
         logger,
-        telegram: {
-          enabled: true,
-          token: TELEGRAM_BOT_TOKEN,
-          chatId: TELEGRAM_CHAT_ID,
-        },
-        slack: {
-          enabled: Boolean(SLACK_WEBHOOK_URL),
-          webhookUrl: SLACK_WEBHOOK_URL,
-          channel: SLACK_CHANNEL,
-          username: SLACK_USERNAME,
-          iconEmoji: SLACK_ICON_EMOJI,
-          timeoutMs: SLACK_TIMEOUT_MS,
-          maxChars: SLACK_MAX_CHARS,
-        },
-        webhook: {
-          enabled: Boolean(WEBHOOK_URL),
-          url: WEBHOOK_URL,
-          timeoutMs: WEBHOOK_TIMEOUT_MS,
+        delivery: CFG.DELIVERY,
+        summary: {
+          text: msg,
+          texts,
+          mentionUserIds,
+          webhookPayload,
+          callId: stem,
+          channelId: session.voiceChannelId,
+          transcript: {
+            filename: `${stem}.txt`,
+            text: formatTranscriptHeader({ channelName, startedAt, endedAt: endedAtIso, participants, notRecorded }) + buildRawTranscript(sharedItems) + '\n',
+          },
+          participantContacts: participantContacts(callParticipants, resolver),
+          discord: {
+            message: session.noticeMessage,
+            channel: session.noticeMessage ? null : getNoticeChannel(guild),
+          },
         },
-        text: msg,
-        webhookPayload,
       });
       last.summarySentAt = new Date().toISOString();
       // Keep latest ids for convenience
-      last.call.guildId = active.guildId;
-      last.call.voiceChannelId = active.voiceChannelId;
+      last.call.guildId = session.guildId;
+      last.call.voiceChannelId = session.voiceChannelId;
     } catch (e) {
       logger.warn('Delivery failed (one or more destinations)', e?.message || e);
     }
   }
 
-  // cleanup
+  // Retention: prune old local transcripts (all files of a call together)
   try {
-    rmSync(active.recordingsDir, { recursive: true, force: true });
+    pruneOldFiles({
+      dir: TRANSCRIPTS_DIR,
+      maxCalls: TRANSCRIPTS_MAX_CALLS,
+      maxAgeDays: TRANSCRIPTS_MAX_AGE_DAYS,
+      logger,
+    });
+  } catch (e) {
+    logger.warn('Transcript retention prune failed', e?.message || e);
+  }
+
+  // cleanup (jobs still queued for this call would only find deleted audio)
+  sttQueue.cancel(session);
+  try {
+    rmSync(session.recordingsDir, { recursive: true, force: true });
   } catch {}
+}
 
-  active = {
-    guildId: null,
-    voiceChannelId: null,
-    startedAt: null,
-    participants: new Map(),
-    recordingsDir: null,
-    transcripts: [],
-    noticeMessageSent: false,
-    joining: false,
-    finishing: false,
-    recordingUsers: new Set(),
-    pending: [],
-    nonEmptySince: null,
-    candidateChannelId: null,
-    introPlayed: false,
-    introEligibleAt: null,
-
-    manual: false,
-    manualGuildId: null,
-    manualVoiceChannelId: null,
-
-    metrics: {
-      lastSpeechAt: null,
-      lastSttOkAt: null,
-      lastSttFailAt: null,
-      lastFinalizeAt: null,
-      lastSummarySentAt: null,
-      segmentsOk: 0,
-      sttFailures: 0,
-      decodeFailures: 0,
-      totalAudioSeconds: 0,
-    },
-  };
+async function finishSession(guild, session) {
+  logger.info('Voice channel empty; finalizing', session.voiceChannelId);
+
+  // grace period so last speech segments can end cleanly
+  const FINALIZE_GRACE_MS = 2000;
+  await new Promise((r) => setTimeout(r, FINALIZE_GRACE_MS));
+
+  try {
+    await finalizeAndSend(guild, session).catch((e) => logger.error('Finalize failed', e?.message || e));
+  } finally {
+    if (sessions.get(guild.id) === session) {
+      sessions.delete(guild.id);
+      const conn = getVoiceConnection(guild.id);
+      if (conn) {
+        try {
+          conn.destroy();
+        } catch {}
+      }
+    }
+
+    // Manual mode lasts for one call.
+    if (session.manual) {
+      const control = getGuildControl(guild.id);
+      control.manual = false;
+      control.manualVoiceChannelId = null;
+    }
+  }
 }
 
 async function tick() {
@@ -846,9 +936,10 @@ async function tick() {
     for (const guild of client.guilds.cache.values()) {
       if (GUILD_ID && guild.id !== GUILD_ID) continue;
 
-      if (!active.voiceChannelId) {
+      const session = sessions.get(guild.id);
+      if (!session) {
         // If manually controlled, do not auto-pick channels.
-        if (!active.manual) {
+        if (!getGuildControl(guild.id).manual) {
           const vc = pickChannelToRecord(guild);
           if (vc && shouldJoinCandidate(guild, vc)) {
             await ensureJoined(vc).catch((e) => logger.error('Failed to join', e?.message || e));
@@ -857,33 +948,21 @@ async function tick() {
         continue;
       }
 
+      if (session.finishing) continue;
+
       // Active recording: play intro once there are 2+ humans
-      if (active.guildId === guild.id && active.voiceChannelId) {
-        const vc = guild.channels.cache.get(active.voiceChannelId);
-        const conn = getVoiceConnection(guild.id);
-        if (vc && conn && !active.introPlayed) {
-          await playIntroIfNeeded(conn, vc);
-        }
+      const vc = guild.channels.cache.get(session.voiceChannelId);
+      const conn = getVoiceConnection(guild.id);
+      if (vc && conn && !session.introPlayed) {
+        await playIntroIfNeeded(session, conn, vc);
       }
+      if (vc) await postOrUpdateNotice(session, vc);
 
-      // Active recording: wait until empty
-      if (active.guildId === guild.id && channelIsEmpty(guild, active.voiceChannelId)) {
-        if (active.finishing) continue;
-        active.finishing = true;
-        logger.info('Voice channel empty; finalizing', active.voiceChannelId);
-
-        // grace period so last speech segments can end cleanly
-        const FINALIZE_GRACE_MS = 2000;
-        await new Promise((r) => setTimeout(r, FINALIZE_GRACE_MS));
-
-        await finalizeAndSend(guild).catch((e) => logger.error('Finalize failed', e?.message || e));
-
-        const conn = getVoiceConnection(guild.id);
-        if (conn) {
-          try {
-            conn.destroy();
-          } catch {}
-        }
+      // Active recording: wait until empty. Finalization runs in the background so other
+      // guilds' sessions keep being managed while this call's STT/LLM/delivery completes.
+      if (channelIsEmpty(guild, session.voiceChannelId)) {
+        session.finishing = true;
+        finishSession(guild, session).catch((e) => logger.error('Finalize failed', e?.message || e));
       }
     }
   } finally {
@@ -929,6 +1008,31 @@ async function registerSlashCommands() {
         },
       ],
     },
+    {
+      name: 'consent',
+      description: 'Allow or refuse recording of your voice in this server',
+      dm_permission: false,
+      options: [
+        { name: 'on', description: 'Allow the bot to record and transcribe you', type: 1 }, // Subcommand
+        { name: 'off', description: 'Do not record or transcribe you', type: 1 },
+        { name: 'show', description: 'Show your current recording consent', type: 1 },
+      ],
+    },
+    {
+      name: 'consent_mode',
+      description: 'Set the recording consent default for this server',
+      dm_permission: false,
+      default_member_permissions: '32', // ManageGuild
+      options: [
+        {
+          name: 'mode',
+          description: 'opt-in: record only users who ran /consent on; opt-out: record everyone except /consent off',
+          type: 3, // String
+          required: true,
+          choices: CONSENT_MODES.map((m) => ({ name: m, value: m })),
+        },
+      ],
+    },
   ];
 
   if (GUILD_ID) {
@@ -951,6 +1055,11 @@ client.once('clientReady', async () => {
   setInterval(() => {
     tick().catch((e) => logger.error('tick error', e?.message || e));
   }, 5_000);
+
+  // Deliveries queued by earlier failures (e.g. the webhook outbox), also those from before a restart.
+  const retryPending = () => retryPendingDeliveries({ logger, delivery: CFG.DELIVERY });
+  retryPending();
+  setInterval(retryPending, 60_000);
 });
 
 client.on('interactionCreate', async (interaction) => {
@@ -958,43 +1067,47 @@ client.on('interactionCreate', async (interaction) => {
 
   try {
     if (interaction.commandName === 'status') {
-      const started = active.startedAt ? active.startedAt.toISOString() : '(none)';
-      const dur = active.startedAt ? Math.round((Date.now() - active.startedAt.getTime()) / 1000) : 0;
-      const m = active.metrics || {};
-      const health = (() => {
-        const sttOk = Number(m.segmentsOk || 0);
-        const sttEmpty = Number(m.segmentsEmpty || 0);
-        const sttTotal = Number(m.segmentsTotal || 0);
-        const sttFail = Number(m.sttFailures || 0);
-        const decFail = Number(m.decodeFailures || 0);
-        const audio = Number(m.totalAudioSeconds || 0);
-
-        if (sttFail > 0 && sttOk === 0) return 'BAD (STT failing)';
-        if (decFail > 0 && sttOk === 0) return 'BAD (decode failing)';
-        if (decFail > 0 || sttFail > 0) return 'WARN';
-
-        // Audio is flowing but recognition is consistently empty.
-        if (audio > 10 && sttOk === 0 && (sttEmpty > 0 || sttTotal > 0)) return 'WARN (no recognized speech)';
-
-        // Still early or just joined.
-        if (dur > 180 && sttOk === 0) return 'WARN (no text yet)';
-        return 'OK';
-      })();
+      const now = Date.now();
+      const sessionLines = [...sessions.values()].map((s) => {
+        const dur = s.startedAt ? Math.round((now - s.startedAt.getTime()) / 1000) : 0;
+        return (
+          `- guild=${s.guildId} voice=${s.voiceChannelId} health=${sessionHealth(s, { now })}` +
+          ` manual=${s.manual} finishing=${s.finishing} duration_s=${dur}` +
+          ` participants=${s.participants.size} segments=${s.transcripts.length}` +
+          ` pending_not_done=${s.pendingMeta.filter((p) => !p.done).length} queued=${sttQueue.depthFor(s)}`
+        );
+      });
+
+      // Detailed metrics for the session in the guild where the command was issued.
+      const here = interaction.guildId ? sessions.get(interaction.guildId) : null;
+      const started = here?.startedAt ? here.startedAt.toISOString() : '(none)';
+      const dur = here?.startedAt ? Math.round((now - here.startedAt.getTime()) / 1000) : 0;
+      const m = here?.metrics || {};
+
+      const q = sttQueue.snapshot();
 
       const text =
         `Status\n` +
-        `health: ${health}\n` +
-        `manual: ${active.manual}\n` +
-        `guild: ${active.guildId || '(none)'}\n` +
-        `voice: ${active.voiceChannelId || '(none)'}\n` +
+        `sessions: ${sessions.size}\n` +
+        `stt_queue: depth=${q.depth} running=${q.running}/${q.concurrency} max_depth=${q.maxDepth}` +
+        ` done=${q.completed} failed=${q.failed} dropped=${q.dropped} avg_wait_ms=${q.avgWaitMs ?? '-'}\n` +
+        (pyWorker
+          ? `stt_worker: running=${pyWorker.status().running} pid=${pyWorker.status().pid ?? '-'} restarts=${pyWorker.status().restarts}\n`
+          : '') +
+        (sessionLines.length ? sessionLines.join('\n') + '\n' : '') +
+        `\n` +
+        `This guild\n` +
+        `health: ${here ? sessionHealth(here, { now }) : '(idle)'}\n` +
+        `manual: ${interaction.guildId ? getGuildControl(interaction.guildId).manual : false}\n` +
+        `voice: ${here?.voiceChannelId || '(none)'}\n` +
         `started: ${started}\n` +
         `duration_s: ${dur}\n` +
-        `participants: ${active.participants.size}\n` +
-        `segments_total: ${active.transcripts.length}\n` +
-        `pending_jobs: ${active.pending.length}\n` +
-        `pending_not_done: ${active.pendingMeta?.filter((p) => !p.done).length || 0}\n` +
+        `participants: ${here?.participants.size ?? 0}\n` +
+        `segments_total: ${here?.transcripts.length ?? 0}\n` +
+        `pending_jobs: ${here?.pending.length ?? 0}\n` +
+        `pending_not_done: ${here?.pendingMeta.filter((p) => !p.done).length || 0}\n` +
         `\n` +
-        `Metrics (active)\n` +
+        `Metrics (this guild)\n` +
         `lastSpeechAt: ${m.lastSpeechAt || '(none)'}\n` +
         `lastSttOkAt: ${m.lastSttOkAt || '(none)'}\n` +
         `lastSttEmptyAt: ${m.lastSttEmptyAt || '(none)'}\n` +
@@ -1004,6 +1117,7 @@ client.on('interactionCreate', async (interaction) => {
         `segmentsEmpty: ${m.segmentsEmpty || 0}\n` +
         `segmentsTotal: ${m.segmentsTotal || 0}\n` +
         `sttFailures: ${m.sttFailures || 0}\n` +
+        `sttDropped: ${m.sttDropped || 0}\n` +
         `decodeFailures: ${m.decodeFailures || 0}\n` +
         `totalAudioSeconds: ${Math.round((m.totalAudioSeconds || 0) * 10) / 10}\n` +
         `lastSegSeconds: ${m.lastSegmentSeconds ?? '(none)'}\n` +
@@ -1032,7 +1146,48 @@ client.on('interactionCreate', async (interaction) => {
         `lastSttOkAt: ${last.call?.metrics?.lastSttOkAt || '(none)'}\n` +
         `lastSttEmptyAt: ${last.call?.metrics?.lastSttEmptyAt || '(none)'}\n` +
         `lastNonEmptyTextAt: ${last.call?.metrics?.lastNonEmptyTextAt || '(none)'}`;
-      await interaction.reply({ content: '```\n' + text + '\n```', ephemeral: true });
+
+      // Discord message limit is 2000 chars (incl. code fence).
+      const content = '```\n' + text.slice(0, 1980) + '\n```';
+      await interaction.reply({ content, ephemeral: true });
+      return;
+    }
+
+    if (interaction.commandName === 'consent') {
+      const gid = interaction.guildId;
+      if (!gid) {
+        await interaction.reply({ content: 'This command only works in a server.', ephemeral: true });
+        return;
+      }
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'on' || sub === 'off') {
+        consent.setUserConsent(gid, interaction.user.id, sub === 'on');
+        logger.info('Recording consent updated', { guildId: gid, userId: interaction.user.id, consent: sub });
+        const session = sessions.get(gid);
+        if (session && !consent.isAllowed(gid, interaction.user.id)) stopRecordingUser(session, interaction.user.id);
+      }
+      const allowed = consent.isAllowed(gid, interaction.user.id);
+      const explicit = consent.getUserConsent(gid, interaction.user.id) !== null;
+      await interaction.reply({
+        content:
+          `Recording consent: **${allowed ? 'on' : 'off'}**` +
+          (explicit ? '' : ` (server default: ${consent.getGuildMode(gid)})`) +
+          (sub === 'off' ? '\nYour speech will not be recorded from now on; audio not transcribed yet is discarded.' : ''),
+        ephemeral: true,
+      });
+      return;
+    }
+
+    if (interaction.commandName === 'consent_mode') {
+      const gid = interaction.guildId;
+      if (!gid) {
+        await interaction.reply({ content: 'This command only works in a server.', ephemeral: true });
+        return;
+      }
+      const mode = interaction.options.getString('mode', true);
+      consent.setGuildMode(gid, mode);
+      logger.info('Consent mode updated', { guildId: gid, mode });
+      await interaction.reply({ content: `OK. Consent mode for this server: ${mode}`, ephemeral: true });
       return;
     }
 
@@ -1049,44 +1204,27 @@ client.on('interactionCreate', async (interaction) => {
       if (conn) {
         try { conn.destroy(); } catch {}
       }
-      // reset state
-      active.guildId = null;
-      active.voiceChannelId = null;
-      active.startedAt = null;
-      active.participants = new Map();
-      active.recordingsDir = null;
-      active.transcripts = [];
-      active.pending = [];
-      active.recordingUsers = new Set();
-      active.nonEmptySince = null;
-      active.candidateChannelId = null;
-      active.introPlayed = false;
-      active.introEligibleAt = null;
-      active.finishing = false;
-      active.manual = false;
-      active.manualGuildId = null;
-      active.manualVoiceChannelId = null;
-
-      active.metrics = {
-        lastSpeechAt: null,
-        lastSttOkAt: null,
-        lastSttEmptyAt: null,
-        lastSttFailAt: null,
-        lastNonEmptyTextAt: null,
-
-        segmentsOk: 0,
-        segmentsEmpty: 0,
-        segmentsTotal: 0,
-
-        sttFailures: 0,
-        decodeFailures: 0,
-        totalAudioSeconds: 0,
-
-        lastSegmentSeconds: null,
-        lastSegmentWav: null,
-        lastSttTextLen: null,
-        lastSttSafeTextLen: null,
-      };
+      // drop this guild's session (other guilds keep recording)
+      const session = gid ? sessions.get(gid) : null;
+      if (session) {
+        session.finishing = true;
+        sessions.delete(gid);
+        sttQueue.cancel(session);
+        try {
+          rmSync(session.recordingsDir, { recursive: true, force: true });
+        } catch {}
+        if (session.noticeMessage) {
+          await sendDiscordMessage({ message: session.noticeMessage, text: 'Recording stopped (`/leave`); no summary will be posted.' })
+            .catch((e) => logger.warn('Failed to update Discord notice', e?.message || e));
+        }
+      }
+      if (gid) {
+        const control = getGuildControl(gid);
+        control.nonEmptySince = null;
+        control.candidateChannelId = null;
+        control.manual = false;
+        control.manualVoiceChannelId = null;
+      }
 
       await interaction.reply({ content: 'OK. Left voice channel and cleared manual mode.', ephemeral: true });
       return;
@@ -1100,12 +1238,22 @@ client.on('interactionCreate', async (interaction) => {
       }
       const vc = ch;
 
-      active.manual = true;
-      active.manualGuildId = vc.guild.id;
-      active.manualVoiceChannelId = vc.id;
+      // Discord allows one voice connection per guild, so a guild records one channel at a time.
+      const current = sessions.get(vc.guild.id);
+      if (current && !current.finishing && current.voiceChannelId !== vc.id) {
+        await interaction.reply({
+          content: `Already recording <#${current.voiceChannelId}> in this server (one voice channel per server). Use /leave first to record ${vc.name} instead.`,
+          ephemeral: true,
+        });
+        return;
+      }
+
+      const control = getGuildControl(vc.guild.id);
+      control.manual = true;
+      control.manualVoiceChannelId = vc.id;
 
       await interaction.reply({ content: `OK. Joining ${vc.name} (manual mode).`, ephemeral: true });
-      await ensureJoined(vc).catch((e) => logger.error('Manual join failed', e?.message || e));
+      await ensureJoined(vc, { manual: true }).catch((e) => logger.error('Manual join failed', e?.message || e));
       return;
     }
 
@@ -0,0 +1,314 @@
+import 'dotenv/config';
+import { mkdtempSync, readdirSync, rmSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { basename, extname, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { makeLogger } from './logger.js';
+import { loadConfigFromEnv } from './config.js';
+import { sanitizeLabel } from './security.js';
+import { ffmpegToWav } from './audio.js';
+import { transcribeFile, createPyWorker } from './stt.js';
+import { summarizeTranscriptWithLLM, summarySource } from './llm_summary.js';
+import { buildRawTranscript, fallbackSummaryText, formatTranscriptHeader } from './transcript.js';
+import { callFileStem, writeTranscriptText, writeCallArchiveJson, archiveUtterances, archiveSummary } from './archive.js';
+import { pruneOldFiles } from './retention.js';
+import { createRedactorFromConfig, redactSummary, redactTranscriptItems } from './redaction.js';
+import { deliverSummary, assertCliDelivery, buildSummaryMessages, buildWebhookPayload } from './delivery.js';
+import { createIdentityResolver, loadIdentityMapFromConfig, participantContacts, resolveMinutesOwners } from './identities.js';
+
+// Offline ingestion: run recordings made elsewhere through the same STT -> summary -> archive/delivery pipeline.
+
+const AUDIO_EXTENSIONS = new Set(['.wav', '.ogg', '.opus', '.oga', '.mp3', '.m4a', '.flac', '.webm']);
+
+const USAGE = `Usage: node src/ingest.js <audio file | speaker dir>... [options]
+
+Each argument is processed as one call:
+  audio file   a single recording (WAV/OGG/Opus/MP3/M4A/FLAC/WebM), all speech attributed to --speaker
+  directory    one track per speaker (speaker name = file name without extension), all starting together
+
+Options:
+  --channel <name>     Call label (default: file/directory name)
+  --started <ISO>      Call start time (default: recording modification time minus its duration)
+  --speaker <name>     Speaker label for a single-file recording (default: Speaker)
+  --prompt <file>      Prompt template in ./prompts (default: SUMMARY_PROMPT)
+  --lang <language>    Output language (default: SUMMARY_LANG)
+  --format <fmt>       text | json (structured minutes) (default: SUMMARY_FORMAT)
+  --provider <name>    openai | azure | anthropic | http (default: LLM_PROVIDER)
+  --model <name>       Model (default: LLM_MODEL / OPENAI_MODEL)
+  --stt-timeout <sec>  Max STT time per track (default: 3600)
+  --deliver            Send the summary to the configured destinations (see DELIVERY_TARGETS)
+  -h, --help           Show this help
+`;
+
+function isAudioFile(name) {
+  return AUDIO_EXTENSIONS.has(extname(name).toLowerCase());
+}
+
+function listTracks(input, { speaker }) {
+  const st = statSync(input);
+  if (st.isDirectory()) {
+    const tracks = readdirSync(input)
+      .filter(isAudioFile)
+      .sort()
+      .map((name) => {
+        const path = join(input, name);
+        return { path, speaker: sanitizeLabel(basename(name, extname(name)), { maxLen: 64 }), mtimeMs: statSync(path).mtimeMs };
+      });
+    if (!tracks.length) throw new Error(`No audio tracks in ${input}`);
+    return tracks;
+  }
+  if (!isAudioFile(input)) throw new Error(`Unsupported audio file: ${input}`);
+  return [{ path: input, speaker: sanitizeLabel(speaker, { maxLen: 64 }) || 'Speaker', mtimeMs: st.mtimeMs }];
+}
+
+// One transcript item per track; STT segment times are already relative to the start of the recording.
+function transcriptItemFromResult({ speaker, result, maxSegmentChars }) {
+  const toMs = (sec) => Math.round((Number(sec) || 0) * 1000);
+  const segments = (result?.segments || [])
+    .map((seg) => ({
+      startMs: toMs(seg.start),
+      endMs: toMs(seg.end),
+      text: sanitizeLabel(seg.text, { maxLen: maxSegmentChars }),
+      avgLogProb: seg.avgLogProb,
+      noSpeechProb: seg.noSpeechProb,
+      words: seg.words
+        ? seg.words.map((w) => ({ word: w.word, probability: w.probability, startMs: toMs(w.start), endMs: toMs(w.end) }))
+        : null,
+    }))
+    .filter((seg) => seg.text);
+
+  const text = segments.length
+    ? segments.map((seg) => seg.text).join(' ')
+    : sanitizeLabel(result?.text, { maxLen: maxSegmentChars });
+  if (!text) return null;
+
+  const durationMs = toMs(result?.duration);
+  return {
+    at: new Date().toISOString(),
+    userId: null,
+    user: speaker,
+    seconds: Number(result?.duration) || 0,
+    text,
+    startMs: segments.length ? segments[0].startMs : 0,
+    endMs: segments.length ? segments[segments.length - 1].endMs : durationMs,
+    language: result?.language ?? null,
+    segments,
+  };
+}
+
+async function ingestCall(input, { cfg, values, pyWorker, redactor, sttTimeoutMs, logger }) {
+  const tracks = listTracks(input, { speaker: values.speaker });
+  const channelName = sanitizeLabel(values.channel || basename(input, extname(input)), { maxLen: 80 }) || '(unknown)';
+
+  const transcripts = [];
+  let totalAudioSeconds = 0;
+  let recordingMs = 0;
+  const dir = mkdtempSync(join(tmpdir(), 'discord2sum-ingest-'));
+  try {
+    for (const [i, track] of tracks.entries()) {
+      const wavPath = join(dir, `${i}.wav`);
+      logger.info('Transcribing', { call: channelName, speaker: track.speaker, file: basename(track.path) });
+      await ffmpegToWav(track.path, wavPath, { timeoutMs: sttTimeoutMs });
+      const result = await transcribeFile({
+        filePath: wavPath,
+        whisperCppBin: cfg.WHISPER_CPP_BIN,
+        whisperCppModel: cfg.WHISPER_CPP_MODEL,
+        pyCmdTemplate: cfg.PY_STT_CMD,
+        pyWorker,
+        cudaVisibleDevices: process.env.CUDA_VISIBLE_DEVICES ?? null,
+        timeoutMs: sttTimeoutMs,
+      });
+      rmSync(wavPath, { force: true });
+
+      totalAudioSeconds += Number(result?.duration) || 0;
+      recordingMs = Math.max(recordingMs, Math.round((Number(result?.duration) || 0) * 1000));
+      const item = transcriptItemFromResult({ speaker: track.speaker, result, maxSegmentChars: cfg.MAX_SEGMENT_TEXT_CHARS });
+      if (item) transcripts.push(item);
+      else logger.info('STT empty', { speaker: track.speaker, file: basename(track.path) });
+    }
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  let startedAtDate;
+  if (values.started) {
+    startedAtDate = new Date(values.started);
+    if (Number.isNaN(startedAtDate.getTime())) throw new Error(`Invalid --started: ${values.started}`);
+  } else {
+    startedAtDate = new Date(Math.max(...tracks.map((t) => t.mtimeMs)) - recordingMs);
+  }
+  const startedAt = startedAtDate.toISOString();
+  const endedAt = new Date(startedAtDate.getTime() + recordingMs).toISOString();
+  const participants = [...new Set(tracks.map((t) => t.speaker))].join(', ') || '(none)';
+
+  // Same redaction split as live calls: LLM/delivery get redacted items, local files unless REDACTION_KEEP_UNREDACTED.
+  const redacted = redactor ? redactTranscriptItems(transcripts, redactor) : null;
+  const sharedItems = redacted ? redacted.items : transcripts;
+  const localItems = redacted && !cfg.REDACTION_KEEP_UNREDACTED ? redacted.items : transcripts;
+  if (redacted) logger.info('Transcript redacted', redacted.counts);
+
+  const raw = buildRawTranscript(localItems);
+  const stem = callFileStem({ startedAt: startedAtDate, channelName });
+  const txtPath = writeTranscriptText({
+    dir: cfg.TRANSCRIPTS_DIR,
+    stem,
+    text: formatTranscriptHeader({ channelName, startedAt, endedAt, participants }) + raw + '\n',
+    encryptionKey: cfg.TRANSCRIPTS_ENCRYPTION_KEY,
+  });
+  logger.info('Transcript saved', txtPath);
+
+  let summary = null;
+  if (raw === '(no speech captured)') {
+    logger.warn('No speech recognized; skipping summary', { call: channelName });
+  } else {
+    try {
+      summary = await summarizeTranscriptWithLLM({
+        transcript: buildRawTranscript(sharedItems, { maxChars: cfg.MAX_TRANSCRIPT_CHARS_FOR_LLM }),
+        provider: values.provider,
+        model: values.model,
+        promptName: values.prompt,
+        lang: values.lang,
+        format: values.format,
+        logger,
+      });
+    } catch (e) {
+      logger.warn('LLM summary failed; falling back to heuristics', e?.message || e);
+      summary = { text: fallbackSummaryText(buildRawTranscript(sharedItems)), fallback: true, error: String(e?.message || e).slice(0, 300) };
+    }
+    if (redactor) redactSummary(summary, redactor);
+  }
+  // Tracks carry speaker names only; owners resolve through the identity map's names.
+  const resolver = createIdentityResolver({ identityMap: loadIdentityMapFromConfig(cfg) });
+  if (summary?.minutes) summary.minutes = resolveMinutesOwners(summary.minutes, resolver);
+
+  const metrics = { tracks: tracks.length, totalAudioSeconds, segmentsOk: transcripts.length };
+  const jsonPath = writeCallArchiveJson({
+    dir: cfg.TRANSCRIPTS_DIR,
+    stem,
+    archive: {
+      call: {
+        guildId: null,
+        voiceChannelId: null,
+        channel: channelName,
+        startedAt,
+        endedAt,
+        durationMs: recordingMs,
+        source: { type: 'file', files: tracks.map((t) => basename(t.path)) },
+      },
+      participants: tracks.map((t) => ({ userId: null, name: t.speaker, recorded: true })),
+      utterances: archiveUtterances(localItems, { startedMs: startedAtDate.getTime() }),
+      metrics,
+      redaction: redacted ? { counts: redacted.counts, unredactedLocal: cfg.REDACTION_KEEP_UNREDACTED } : null,
+      summary: archiveSummary(summary),
+    },
+    encryptionKey: cfg.TRANSCRIPTS_ENCRYPTION_KEY,
+  });
+  logger.info('Call archive saved', jsonPath);
+
+  if (summary) process.stdout.write(`\n== ${channelName} ==\n${summary.text}\n`);
+
+  if (summary && values.deliver) {
+    await deliverSummary({
+      logger,
+      delivery: cfg.DELIVERY,
+      summary: {
+        ...buildSummaryMessages({ channelName, startedAt, endedAt, participants, summary, source: summarySource(summary), resolver }),
+        webhookPayload: buildWebhookPayload({
+          callId: stem,
+          channelName,
+          startedAt,
+          endedAt,
+          durationMs: recordingMs,
+          participants,
+          summaryText: summary.text,
+          source: summarySource(summary),
+          minutes: summary.minutes,
+          resolver,
+          metrics,
+        }),
+        callId: stem,
+        transcript: {
+          filename: `${stem}.txt`,
+          text: formatTranscriptHeader({ channelName, startedAt, endedAt, participants }) + buildRawTranscript(sharedItems) + '\n',
+        },
+        participantContacts: participantContacts(tracks.map((t) => ({ userId: null, name: t.speaker })), resolver),
+      },
+    });
+    logger.info('Summary delivered', { call: channelName });
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      channel: { type: 'string' },
+      started: { type: 'string' },
+      speaker: { type: 'string', default: 'Speaker' },
+      prompt: { type: 'string' },
+      lang: { type: 'string' },
+      format: { type: 'string' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      'stt-timeout': { type: 'string', default: '3600' },
+      deliver: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help || !positionals.length) {
+    process.stdout.write(USAGE);
+    if (!values.help) process.exitCode = 2;
+    return;
+  }
+
+  const logger = makeLogger(process.env.LOG_LEVEL || 'info');
+  const cfg = loadConfigFromEnv(process.env);
+  if (!cfg.PY_STT_CMD && !(cfg.WHISPER_CPP_BIN && cfg.WHISPER_CPP_MODEL)) {
+    throw new Error('No STT configured: set PY_STT_CMD or WHISPER_CPP_BIN+WHISPER_CPP_MODEL');
+  }
+  if (values.deliver) assertCliDelivery(cfg);
+  if (values.channel && positionals.length > 1) {
+    logger.warn('--channel applies to every input; calls will share the label');
+  }
+
+  const redactor = createRedactorFromConfig(cfg);
+  const sttTimeoutMs = Math.max(60, Number(values['stt-timeout']) || 3600) * 1000;
+  const pyWorker = cfg.PY_STT_CMD && cfg.PY_STT_SERVER
+    ? createPyWorker({ pyCmdTemplate: cfg.PY_STT_CMD, cudaVisibleDevices: process.env.CUDA_VISIBLE_DEVICES ?? null, requestTimeoutMs: sttTimeoutMs, logger })
+    : null;
+
+  let failed = 0;
+  try {
+    for (const input of positionals) {
+      try {
+        await ingestCall(resolve(process.cwd(), input), { cfg, values, pyWorker, redactor, sttTimeoutMs, logger });
+      } catch (e) {
+        failed += 1;
+        logger.error('Ingest failed', { input }, e?.message || e);
+      }
+    }
+  } finally {
+    pyWorker?.close();
+  }
+
+  try {
+    pruneOldFiles({
+      dir: cfg.TRANSCRIPTS_DIR,
+      maxCalls: cfg.TRANSCRIPTS_MAX_CALLS,
+      maxAgeDays: cfg.TRANSCRIPTS_MAX_AGE_DAYS,
+      logger,
+    });
+  } catch (e) {
+    logger.warn('Transcript retention prune failed', e?.message || e);
+  }
+
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  // eslint-disable-next-line no-console
+  console.error(`ingest failed: ${e?.message || e}`);
+  process.exitCode = 1;
+});
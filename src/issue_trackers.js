@@ -0,0 +1,281 @@
+import { createHash } from 'node:crypto';
+import fetch from 'node-fetch';
+
+import { createJsonStore } from './json_store.js';
+
+// Issue trackers for action items (ISSUE_TRACKER). Each tracker exposes
+// `createIssue({ title, body, labels, assignee, dueDate }) -> { id, url }`; `assignee` is the tracker's own
+// user id from the identity map (github login / jira accountId / linear user id, see identities.js).
+// `findIssues(marker) -> [{ id, url, title, body }]` lists the issues whose body contains `marker` (see callMarker).
+
+export const ISSUE_TRACKERS = ['github', 'jira', 'linear'];
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function trimSlash(url) {
+  return String(url || '').trim().replace(/\/+$/, '');
+}
+
+async function requestJson({ url, method = 'POST', headers = {}, body = null, timeoutMs, label }) {
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+      signal: ac.signal,
+    });
+    const text = await res.text().catch(() => '');
+    if (!res.ok) throw new Error(`${label} failed: ${res.status} ${text.slice(0, 500)}`);
+    try {
+      return JSON.parse(text || '{}');
+    } catch {
+      throw new Error(`${label} returned invalid JSON`);
+    }
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// GitHub Issues REST API.
+function githubTracker({ apiUrl, token, repo, timeoutMs }) {
+  const headers = { Authorization: `Bearer ${token}`, Accept: 'application/vnd.github+json' };
+  return {
+    name: 'github',
+    // Issue search (open and closed); the index lags a few seconds behind issue creation.
+    async findIssues(marker) {
+      const q = encodeURIComponent(`"${marker}" repo:${repo} is:issue in:body`);
+      const json = await requestJson({
+        url: `${trimSlash(apiUrl)}/search/issues?q=${q}&per_page=100`,
+        method: 'GET',
+        headers,
+        timeoutMs,
+        label: 'GitHub issue search',
+      });
+      return (json.items || []).map((i) => ({ id: String(i.number ?? i.id), url: i.html_url || null, title: i.title, body: i.body || '' }));
+    },
+    async createIssue({ title, body, labels, assignee }) {
+      const json = await requestJson({
+        url: `${trimSlash(apiUrl)}/repos/${repo}/issues`,
+        headers,
+        body: { title, body, labels, ...(assignee ? { assignees: [assignee] } : {}) },
+        timeoutMs,
+        label: 'GitHub issue',
+      });
+      return { id: String(json.number ?? json.id), url: json.html_url || null };
+    },
+  };
+}
+
+// Jira Cloud REST API v2 (plain-text description).
+function jiraTracker({ baseUrl, email, apiToken, projectKey, issueType, timeoutMs }) {
+  const base = trimSlash(baseUrl);
+  const headers = { Authorization: `Basic ${Buffer.from(`${email}:${apiToken}`).toString('base64')}` };
+  return {
+    name: 'jira',
+    async findIssues(marker) {
+      const jql = encodeURIComponent(`project = "${projectKey}" AND text ~ "\\"${marker}\\""`);
+      const json = await requestJson({
+        url: `${base}/rest/api/2/search?jql=${jql}&fields=summary,description&maxResults=100`,
+        method: 'GET',
+        headers,
+        timeoutMs,
+        label: 'Jira issue search',
+      });
+      return (json.issues || []).map((i) => ({ id: i.key, url: `${base}/browse/${i.key}`, title: i.fields?.summary || '', body: i.fields?.description || '' }));
+    },
+    async createIssue({ title, body, labels, assignee, dueDate }) {
+      const json = await requestJson({
+        url: `${base}/rest/api/2/issue`,
+        headers,
+        body: {
+          fields: {
+            project: { key: projectKey },
+            issuetype: { name: issueType },
+            summary: title,
+            description: body,
+            // Jira labels cannot contain spaces.
+            labels: labels.map((l) => l.replace(/\s+/g, '-')),
+            ...(assignee ? { assignee: { accountId: assignee } } : {}),
+            ...(dueDate ? { duedate: dueDate } : {}),
+          },
+        },
+        timeoutMs,
+        label: 'Jira issue',
+      });
+      return { id: json.key || String(json.id), url: json.key ? `${base}/browse/${json.key}` : null };
+    },
+  };
+}
+
+// Linear GraphQL API. Labels are Linear label IDs.
+function linearTracker({ apiUrl, apiKey, teamId, timeoutMs }) {
+  return {
+    name: 'linear',
+    async findIssues(marker) {
+      const json = await requestJson({
+        url: apiUrl,
+        headers: { Authorization: apiKey },
+        body: {
+          query:
+            'query Issues($marker: String!) { issues(first: 100, filter: { description: { contains: $marker } }) { nodes { id identifier url title description } } }',
+          variables: { marker },
+        },
+        timeoutMs,
+        label: 'Linear issue search',
+      });
+      if (json.errors?.length) throw new Error(`Linear issue search failed: ${JSON.stringify(json.errors).slice(0, 500)}`);
+      return (json.data?.issues?.nodes || []).map((i) => ({ id: i.identifier || i.id, url: i.url || null, title: i.title, body: i.description || '' }));
+    },
+    async createIssue({ title, body, labels, assignee, dueDate }) {
+      const json = await requestJson({
+        url: apiUrl,
+        headers: { Authorization: apiKey },
+        body: {
+          query:
+            'mutation IssueCreate($input: IssueCreateInput!) { issueCreate(input: $input) { success issue { id identifier url } } }',
+          variables: {
+            input: {
+              teamId,
+              title,
+              description: body,
+              ...(labels.length ? { labelIds: labels } : {}),
+              ...(assignee ? { assigneeId: assignee } : {}),
+              ...(dueDate ? { dueDate } : {}),
+            },
+          },
+        },
+        timeoutMs,
+        label: 'Linear issue',
+      });
+      if (json.errors?.length) throw new Error(`Linear issue failed: ${JSON.stringify(json.errors).slice(0, 500)}`);
+      const issue = json.data?.issueCreate?.issue;
+      if (!json.data?.issueCreate?.success || !issue) throw new Error('Linear issue failed: issueCreate was not successful');
+      return { id: issue.identifier || issue.id, url: issue.url || null };
+    },
+  };
+}
+
+/**
+ * Tracker client from the `issues` delivery target options (see targets/issues.js).
+ */
+export function createIssueTracker(opts) {
+  if (opts.tracker === 'github') return githubTracker(opts.github);
+  if (opts.tracker === 'jira') return jiraTracker(opts.jira);
+  if (opts.tracker === 'linear') return linearTracker(opts.linear);
+  throw new Error(`Unknown ISSUE_TRACKER: ${opts.tracker} (use ${ISSUE_TRACKERS.join(', ')})`);
+}
+
+function normalizeTask(task) {
+  return String(task ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Token of a call written into its issues' bodies, so they can be found on the tracker (see findIssues).
+ */
+export function callMarker(callId) {
+  return `dvs-${createHash('sha256').update(String(callId)).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Local dedupe key of an action item: the same task of the same call maps to the same issue.
+ */
+export function issueKey({ tracker, callId, task }) {
+  return createHash('sha256').update(`${tracker}\n${callId}\n${normalizeTask(task)}`).digest('hex').slice(0, 24);
+}
+
+function taskSimilarity(a, b) {
+  const ta = new Set(normalizeTask(a).split(' ').filter(Boolean));
+  const tb = new Set(normalizeTask(b).split(' ').filter(Boolean));
+  if (!ta.size || !tb.size) return 0;
+  let common = 0;
+  for (const t of ta) if (tb.has(t)) common += 1;
+  return common / (ta.size + tb.size - common);
+}
+
+function ownerName(owner) {
+  const name = normalizeTask(owner);
+  return name === 'unassigned' ? '' : name;
+}
+
+/**
+ * Existing issue of the same call that an action item duplicates: the same task, or a similarly worded one
+ * (at least half of the words shared) with the same owner — a re-summarized call words its tasks differently.
+ * `issues`: [{ id, url, task, owner }]; returns the best match or null.
+ */
+export function findDuplicateIssue(item, issues) {
+  let best = null;
+  let bestScore = 0;
+  for (const issue of issues) {
+    const a = ownerName(item.owner);
+    const b = ownerName(issue.owner);
+    if (a && b && a !== b) continue;
+    const score = normalizeTask(item.task) === normalizeTask(issue.task) ? 1 : taskSimilarity(item.task, issue.task);
+    if (score >= 0.5 && score > bestScore) {
+      best = issue;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Issues of a call as returned by findIssues, in the form findDuplicateIssue compares.
+ */
+export function parseTrackerIssues(found) {
+  return found.map((i) => ({
+    id: i.id,
+    url: i.url,
+    task: i.title,
+    owner: String(i.body || '').match(/^- Owner: (.*)$/m)?.[1]?.trim() || '',
+  }));
+}
+
+/**
+ * Issue fields for an action item (see minutes.js; `ownerContacts` as in the webhook payload).
+ * The body ends with the call's marker (see callMarker) and the item's key.
+ */
+export function buildIssue({ item, tracker, key, marker, channelName, startedAt, labels }) {
+  const lines = [
+    `Action item from the call \`${channelName}\` (${startedAt}).`,
+    '',
+    `- Owner: ${item.owner || 'Unassigned'}`,
+    `- Deadline: ${item.deadline || '—'}`,
+    '',
+    `<!-- discord-voice-summarizer:${marker}:${key} -->`,
+  ];
+  return {
+    title: String(item.task).slice(0, 250),
+    body: lines.join('\n'),
+    labels,
+    assignee: item.ownerContacts?.[tracker] || null,
+    dueDate: item.deadline && ISO_DATE_RE.test(item.deadline) ? item.deadline : null,
+  };
+}
+
+/**
+ * Issues already created, so re-delivering a call doesn't duplicate them.
+ *
+ * Stored as JSON: { version, issues: { [key]: { tracker, id, url, callId, task, owner, at } } }
+ */
+export function createIssueStore({ path, logger = null }) {
+  const file = createJsonStore({ path, field: 'issues', readError: 'Failed to read issue store; duplicates are possible', logger });
+  const data = file.read();
+  const save = () => file.write(data);
+
+  function get(key) {
+    return data.issues[key] || null;
+  }
+
+  function set(key, entry) {
+    data.issues[key] = { ...entry, at: new Date().toISOString() };
+    save();
+  }
+
+  function forCall(tracker, callId) {
+    return Object.values(data.issues).filter((e) => e.tracker === tracker && e.callId === callId);
+  }
+
+  return { get, set, forCall };
+}
@@ -0,0 +1,44 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+/**
+ * JSON state file of the form { version, [field]: { ... } } (consent, Slack messages, issues, webhook outbox).
+ *
+ * `read()` returns the file's content, or an empty store when it is missing or unreadable. An unreadable file is
+ * moved aside to `<path>.corrupt-<timestamp>` (logged with `readError`), so the next write doesn't replace what
+ * may still be recovered by hand. `write(data)` replaces it atomically (temp file + rename, mode 0600). Without
+ * `path` nothing is persisted.
+ */
+export function createJsonStore({ path, field, readError = 'Failed to read store', logger = null }) {
+  const empty = () => ({ version: 1, [field]: {} });
+
+  function read() {
+    if (!path || !existsSync(path)) return empty();
+    let err;
+    try {
+      const parsed = JSON.parse(readFileSync(path, 'utf-8'));
+      if (parsed && typeof parsed === 'object' && parsed[field] && typeof parsed[field] === 'object') return parsed;
+      err = `no "${field}" object`;
+    } catch (e) {
+      err = e?.message || String(e);
+    }
+    const movedTo = `${path}.corrupt-${Date.now()}`;
+    try {
+      renameSync(path, movedTo);
+      logger?.error?.(readError, { path, movedTo, err });
+    } catch (e) {
+      logger?.error?.(readError, { path, err, moveErr: e?.message || String(e) });
+    }
+    return empty();
+  }
+
+  function write(data) {
+    if (!path) return;
+    mkdirSync(dirname(path), { recursive: true });
+    const tmp = `${path}.tmp`;
+    writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', { encoding: 'utf-8', mode: 0o600 });
+    renameSync(tmp, path);
+  }
+
+  return { read, write };
+}
@@ -0,0 +1,269 @@
+// LLM providers for summarization. Each provider has its own auth and response format;
+// all expose the same `complete(prompt) -> text` so llm_summary.js doesn't care which one runs.
+
+export const LLM_PROVIDERS = ['openai', 'azure', 'anthropic', 'http'];
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_ANTHROPIC_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+function trimSlash(url) {
+  return String(url || '').trim().replace(/\/+$/, '');
+}
+
+async function postJson({ url, headers = {}, body, timeoutMs, label }) {
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), timeoutMs);
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: ac.signal,
+  }).finally(() => clearTimeout(t));
+
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(`${label} error: ${res.status} ${JSON.stringify(json)}`);
+    err.status = res.status;
+    const retryAfter = res.headers.get('retry-after');
+    if (retryAfter && Number.isFinite(Number(retryAfter))) err.retryAfterMs = Math.max(0, Number(retryAfter)) * 1000;
+    throw err;
+  }
+  return json;
+}
+
+// OpenAI Chat Completions; also any OpenAI-compatible server (vLLM, LM Studio, llama.cpp server) via OPENAI_BASE_URL.
+function openaiProvider({ env, model, timeoutMs }) {
+  const baseUrl = trimSlash(env.OPENAI_BASE_URL) || DEFAULT_OPENAI_BASE_URL;
+  const apiKey = env.OPENAI_API_KEY || null;
+  const chosenModel = model || env.LLM_MODEL || env.OPENAI_MODEL || 'gpt-4o-mini';
+
+  return {
+    name: 'openai',
+    model: chosenModel,
+    async complete(prompt) {
+      // Local OpenAI-compatible servers usually don't need a key; api.openai.com does.
+      if (!apiKey && baseUrl === DEFAULT_OPENAI_BASE_URL) throw new Error('OPENAI_API_KEY is not set');
+      const json = await postJson({
+        url: `${baseUrl}/chat/completions`,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: {
+          model: chosenModel,
+          temperature: 0.2,
+          messages: [{ role: 'user', content: prompt }],
+        },
+        timeoutMs,
+        label: 'OpenAI',
+      });
+      const text = json?.choices?.[0]?.message?.content?.trim();
+      if (!text) throw new Error('OpenAI returned empty summary');
+      return text;
+    },
+  };
+}
+
+// Azure OpenAI: deployment-scoped URL, `api-key` header, api-version query parameter.
+function azureProvider({ env, model, timeoutMs }) {
+  const endpoint = trimSlash(env.AZURE_OPENAI_ENDPOINT);
+  const apiKey = env.AZURE_OPENAI_API_KEY || null;
+  const deployment = model || env.AZURE_OPENAI_DEPLOYMENT || '';
+  const apiVersion = env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+
+  return {
+    name: 'azure',
+    model: deployment,
+    async complete(prompt) {
+      if (!endpoint) throw new Error('AZURE_OPENAI_ENDPOINT is not set');
+      if (!apiKey) throw new Error('AZURE_OPENAI_API_KEY is not set');
+      if (!deployment) throw new Error('AZURE_OPENAI_DEPLOYMENT is not set');
+      const json = await postJson({
+        url: `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+        headers: { 'api-key': apiKey },
+        body: {
+          temperature: 0.2,
+          messages: [{ role: 'user', content: prompt }],
+        },
+        timeoutMs,
+        label: 'Azure OpenAI',
+      });
+      const text = json?.choices?.[0]?.message?.content?.trim();
+      if (!text) throw new Error('Azure OpenAI returned empty summary');
+      return text;
+    },
+  };
+}
+
+// Anthropic Messages API.
+function anthropicProvider({ env, model, timeoutMs }) {
+  const baseUrl = trimSlash(env.ANTHROPIC_BASE_URL) || DEFAULT_ANTHROPIC_BASE_URL;
+  const apiKey = env.ANTHROPIC_API_KEY || null;
+  const chosenModel = model || env.LLM_MODEL || env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+  const maxTokens = Number(env.LLM_MAX_TOKENS || '2048');
+
+  return {
+    name: 'anthropic',
+    model: chosenModel,
+    async complete(prompt) {
+      if (!apiKey) throw new Error('ANTHROPIC_API_KEY is not set');
+      const json = await postJson({
+        url: `${baseUrl}/v1/messages`,
+        headers: { 'x-api-key': apiKey, 'anthropic-version': ANTHROPIC_VERSION },
+        body: {
+          model: chosenModel,
+          max_tokens: maxTokens,
+          temperature: 0.2,
+          messages: [{ role: 'user', content: prompt }],
+        },
+        timeoutMs,
+        label: 'Anthropic',
+      });
+      const text = (json?.content || [])
+        .filter((b) => b?.type === 'text')
+        .map((b) => b.text)
+        .join('')
+        .trim();
+      if (!text) throw new Error('Anthropic returned empty summary');
+      return text;
+    },
+  };
+}
+
+// Generic JSON API:
+//   Request: { model?: string, prompt: string }   Response: { text: string }
+// Also supports Ollama /api/generate (non-stream):
+//   Request: { model: string, prompt: string, stream: false }   Response: { response: string, ... }
+function httpProvider({ env, model, timeoutMs }) {
+  const url = String(env.LLM_HTTP_URL || '').trim();
+  const chosenModel = model || env.LLM_MODEL || null;
+  const isOllamaGenerate = /\/api\/generate\b/.test(url);
+
+  return {
+    name: 'http',
+    model: chosenModel,
+    async complete(prompt) {
+      if (!url) throw new Error('LLM_HTTP_URL is not set');
+      const json = await postJson({
+        url,
+        body: {
+          model: chosenModel || undefined,
+          prompt,
+          ...(isOllamaGenerate ? { stream: false } : {}),
+        },
+        timeoutMs,
+        label: 'HTTP LLM',
+      });
+      const text = (json?.text ?? json?.response ?? json?.result)?.trim();
+      if (!text) throw new Error('HTTP LLM returned empty text');
+      return text;
+    },
+  };
+}
+
+const FACTORIES = {
+  openai: openaiProvider,
+  azure: azureProvider,
+  anthropic: anthropicProvider,
+  http: httpProvider,
+};
+
+/**
+ * Default provider when LLM_PROVIDER is empty: the HTTP LLM if LLM_HTTP_URL is set, otherwise OpenAI.
+ */
+export function defaultProviderName(env = process.env) {
+  return String(env.LLM_HTTP_URL || '').trim() ? 'http' : 'openai';
+}
+
+/**
+ * Create a provider by name (see LLM_PROVIDERS). `model` overrides the provider's configured model
+ * (for Azure: the deployment).
+ */
+export function createLlmProvider({ name, model = null, env = process.env, timeoutMs = 60_000 }) {
+  const key = String(name || defaultProviderName(env)).toLowerCase().trim();
+  const factory = FACTORIES[key];
+  if (!factory) throw new Error(`Unknown LLM_PROVIDER: ${key} (use ${LLM_PROVIDERS.join(', ')})`);
+  return factory({ env, model, timeoutMs });
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Rate limits, server errors, timeouts and network failures are worth retrying; config/auth errors are not.
+function isRetryable(e) {
+  if (e?.status != null) return e.status === 429 || e.status >= 500;
+  return e?.name === 'AbortError' || e?.name === 'TypeError';
+}
+
+/**
+ * Parse LLM_PROVIDER: a single provider or an ordered, comma-separated fallback list ("http,openai").
+ */
+export function parseProviderList(value, env = process.env) {
+  const names = String(value || '')
+    .split(',')
+    .map((s) => s.toLowerCase().trim())
+    .filter(Boolean);
+  return names.length ? names : [defaultProviderName(env)];
+}
+
+/**
+ * Ordered fallback chain over providers. Each provider gets `retries` extra attempts with exponential
+ * backoff (honoring Retry-After) on 429/5xx/timeouts; when it is exhausted the chain moves on to the
+ * next provider and stays there for the rest of the summary (later map-reduce chunks included).
+ * A Retry-After longer than `maxRetryAfterMs` (default: twice the request timeout) gives up on the provider
+ * right away instead of waiting.
+ *
+ * `model` (and LLM_MODEL) apply to the first provider only; fallbacks use their own configured model,
+ * since a model name rarely exists at another provider.
+ *
+ * `current()` is the provider that answered last; `failures` lists providers that were given up on.
+ */
+export function createLlmChain({ names, model = null, env = process.env, timeoutMs = 60_000, retries = 2, retryBaseMs = 1000, maxRetryAfterMs = 2 * timeoutMs, logger = null }) {
+  const providers = names.map((name, i) =>
+    i === 0 ? createLlmProvider({ name, model, env, timeoutMs }) : createLlmProvider({ name, env: { ...env, LLM_MODEL: '' }, timeoutMs }),
+  );
+  const failures = []; // { provider, error }
+  let index = 0;
+
+  async function completeWith(llm, prompt) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await llm.complete(prompt);
+      } catch (e) {
+        if (attempt >= retries || !isRetryable(e)) throw e;
+        if (e?.retryAfterMs > maxRetryAfterMs) {
+          logger?.warn?.(`LLM ${llm.name} asks to retry after ${Math.round(e.retryAfterMs / 1000)}s; not waiting`, { maxRetryAfterMs });
+          throw e;
+        }
+        const delay = e?.retryAfterMs ?? retryBaseMs * Math.pow(2, attempt);
+        logger?.warn?.(`LLM ${llm.name} failed; retrying`, { attempt: attempt + 1, delayMs: delay, err: String(e?.message || e).slice(0, 300) });
+        await sleep(delay);
+      }
+    }
+  }
+
+  async function complete(prompt) {
+    let lastErr = null;
+    while (index < providers.length) {
+      const llm = providers[index];
+      try {
+        return await completeWith(llm, prompt);
+      } catch (e) {
+        lastErr = e;
+        failures.push({ provider: llm.name, error: String(e?.message || e).slice(0, 300) });
+        if (index + 1 < providers.length) {
+          logger?.warn?.(`LLM ${llm.name} failed; falling back to ${providers[index + 1].name}`, String(e?.message || e).slice(0, 300));
+        }
+        index += 1;
+      }
+    }
+    throw lastErr || new Error('No LLM provider configured');
+  }
+
+  function current() {
+    const llm = providers[Math.min(index, providers.length - 1)];
+    return { name: llm.name, model: llm.model };
+  }
+
+  return { complete, current, failures };
+}
@@ -1,6 +1,10 @@
 import { readFileSync } from 'node:fs';
 import { resolve } from 'node:path';
 
+import { createLlmChain, parseProviderList } from './llm_providers.js';
+import { clampNumber } from './security.js';
+import { SUMMARY_FORMATS, buildRepairPrompt, parseMinutes, renderMinutesText } from './minutes.js';
+
 function loadTemplate(path) {
   const p = resolve(process.cwd(), path);
   return readFileSync(p, 'utf-8');
@@ -14,68 +18,13 @@ function applyTemplate(tpl, vars) {
   return out;
 }
 
-async function callOpenAI({ apiKey, model, prompt, timeoutMs }) {
-  const ac = new AbortController();
-  const t = setTimeout(() => ac.abort(), timeoutMs);
-
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model,
-      temperature: 0.2,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-    signal: ac.signal,
-  }).finally(() => clearTimeout(t));
-
-  const json = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    throw new Error(`OpenAI error: ${res.status} ${JSON.stringify(json)}`);
-  }
-
-  const text = json?.choices?.[0]?.message?.content?.trim();
-  if (!text) throw new Error('OpenAI returned empty summary');
-  return text;
-}
-
-async function callHttpLLM({ url, model, prompt, timeoutMs }) {
-  // Supports a simple JSON API.
-  //
-  // Request (generic): { model?: string, prompt: string }
-  // Response (generic): { text: string }
-  //
-  // Also supports Ollama /api/generate (non-stream):
-  // Request: { model: string, prompt: string, stream: false }
-  // Response: { response: string, ... }
-
-  const ac = new AbortController();
-  const t = setTimeout(() => ac.abort(), timeoutMs);
-
-  const isOllamaGenerate = /\/api\/generate\b/.test(url);
-
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model: model || undefined,
-      prompt,
-      ...(isOllamaGenerate ? { stream: false } : {}),
-    }),
-    signal: ac.signal,
-  }).finally(() => clearTimeout(t));
-
-  const json = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    throw new Error(`HTTP LLM error: ${res.status} ${JSON.stringify(json)}`);
-  }
-
-  const text = (json?.text ?? json?.response ?? json?.result)?.trim();
-  if (!text) throw new Error('HTTP LLM returned empty text');
-  return text;
+// Bound transcript size passed to the LLM: keep the tail, but try not to start mid-line.
+export function trimTranscriptForLLM(text, maxChars) {
+  const t = String(text || '');
+  if (!Number.isFinite(maxChars) || maxChars <= 0 || t.length <= maxChars) return t;
+  const sliceStart = t.length - maxChars;
+  const nextNl = t.indexOf('\n', sliceStart);
+  return (nextNl >= 0 ? t.slice(nextNl + 1) : t.slice(-maxChars));
 }
 
 function splitIntoChunksByNewline(text, { maxChars }) {
@@ -114,18 +63,43 @@ function splitIntoChunksByNewline(text, { maxChars }) {
   return chunks;
 }
 
-export async function summarizeTranscriptWithLLM({ transcript }) {
+/**
+ * Summarize a transcript with the configured LLM.
+ *
+ * Settings come from env (LLM_PROVIDER, LLM_MODEL, SUMMARY_PROMPT, SUMMARY_LANG, ...; see llm_providers.js);
+ * `provider`, `model`, `promptName` and `lang` override them for one call (e.g. offline re-summarize).
+ *
+ * LLM_PROVIDER may list several providers ("http,openai"): they are tried in order, each with
+ * LLM_RETRIES retries on 429/5xx (see createLlmChain).
+ *
+ * With SUMMARY_FORMAT=json (or `format: 'json'`) the LLM returns structured minutes (see minutes.js,
+ * default prompt minutes.txt). Invalid answers are sent back for repair up to SUMMARY_JSON_REPAIR_ATTEMPTS
+ * times; if they still fail validation this throws, like any other LLM failure.
+ *
+ * Returns { text, minutes, format, provider, model, prompt, lang, chunks, failedProviders } — `text` is the
+ * Markdown summary (rendered from `minutes` in json format, which is null otherwise), `provider`/`model`
+ * are the ones that produced it, `prompt` is the template file name, `chunks` the number of map-reduce
+ * chunks (1 for single-shot), `failedProviders` the providers skipped after failing.
+ */
+export async function summarizeTranscriptWithLLM({ transcript, provider: providerOverride = null, model: modelOverride = null, promptName = null, lang: langOverride = null, format: formatOverride = null, logger = null }) {
   const timeoutMs = Number(process.env.LLM_HTTP_TIMEOUT_MS || process.env.OPENAI_HTTP_TIMEOUT_MS || '60000');
 
-  const provider = String(process.env.LLM_PROVIDER || '').toLowerCase().trim();
-  const httpUrl = String(process.env.LLM_HTTP_URL || '').trim();
+  const llm = createLlmChain({
+    names: parseProviderList(providerOverride || process.env.LLM_PROVIDER, process.env),
+    model: modelOverride,
+    env: process.env,
+    timeoutMs,
+    retries: clampNumber('LLM_RETRIES', process.env.LLM_RETRIES, { min: 0, max: 10, fallback: 2 }),
+    retryBaseMs: clampNumber('LLM_RETRY_BASE_MS', process.env.LLM_RETRY_BASE_MS, { min: 100, max: 60_000, fallback: 1000 }),
+    logger,
+  });
 
-  // Default behavior: OpenAI if OPENAI_API_KEY is set.
-  const apiKey = process.env.OPENAI_API_KEY;
-  const model = process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+  const format = String(formatOverride || process.env.SUMMARY_FORMAT || '').toLowerCase().trim() || 'text';
+  if (!SUMMARY_FORMATS.includes(format)) throw new Error(`Unknown SUMMARY_FORMAT: ${format} (use ${SUMMARY_FORMATS.join(', ')})`);
+  const isJson = format === 'json';
 
-  const summaryPromptName = String(process.env.SUMMARY_PROMPT || '').trim();
-  const chosenName = summaryPromptName || 'summary_ru.txt';
+  const summaryPromptName = String(promptName || process.env.SUMMARY_PROMPT || '').trim();
+  const chosenName = summaryPromptName || (isJson ? 'minutes.txt' : 'summary_ru.txt');
 
   // Security: only allow simple filenames; force prompts/ prefix.
   if (!/^[a-zA-Z0-9._-]+$/.test(chosenName)) {
@@ -135,22 +109,34 @@ export async function summarizeTranscriptWithLLM({ transcript }) {
   const promptFile = `prompts/${chosenName}`;
   const template = loadTemplate(promptFile);
 
-  const lang = String(process.env.SUMMARY_LANG || process.env.LLM_OUTPUT_LANG || '').trim() || 'English';
+  const lang = String(langOverride || process.env.SUMMARY_LANG || process.env.LLM_OUTPUT_LANG || '').trim() || 'English';
 
-  // Provider selection:
-  // - LLM_PROVIDER=http + LLM_HTTP_URL => use local/remote HTTP LLM
-  // - otherwise => OpenAI (requires OPENAI_API_KEY)
-  const useHttp = provider === 'http' || (provider !== 'openai' && Boolean(httpUrl));
+  const callLLM = (prompt) => llm.complete(prompt);
+  const repairAttempts = clampNumber('SUMMARY_JSON_REPAIR_ATTEMPTS', process.env.SUMMARY_JSON_REPAIR_ATTEMPTS, { min: 0, max: 5, fallback: 1 });
 
-  async function callLLM(prompt) {
-    if (useHttp) {
-      if (!httpUrl) throw new Error('LLM_HTTP_URL is not set');
-      return callHttpLLM({ url: httpUrl, model, prompt, timeoutMs });
+  // Final answer -> { text, minutes }; in json format the answer is validated and repaired first.
+  async function finish(answer) {
+    if (!isJson) return { text: answer, minutes: null };
+    let parsed = parseMinutes(answer);
+    for (let attempt = 1; !parsed.ok && attempt <= repairAttempts; attempt++) {
+      logger?.warn?.('LLM minutes failed validation; asking for repair', { attempt, errors: parsed.errors.slice(0, 5) });
+      answer = await callLLM(buildRepairPrompt(answer, parsed.errors));
+      parsed = parseMinutes(answer);
     }
-    if (!apiKey) throw new Error('OPENAI_API_KEY is not set');
-    return callOpenAI({ apiKey, model, prompt, timeoutMs });
+    if (!parsed.ok) throw new Error(`LLM returned invalid minutes JSON: ${parsed.errors.slice(0, 5).join('; ')}`);
+    return { text: renderMinutesText(parsed.minutes), minutes: parsed.minutes };
   }
 
+  // Provider/model of whichever provider in the chain produced the final text.
+  const meta = () => ({
+    format,
+    provider: llm.current().name,
+    model: llm.current().model,
+    prompt: chosenName,
+    lang,
+    failedProviders: llm.failures.map((f) => f.provider),
+  });
+
   const chunkChars = Number(process.env.LLM_CHUNK_CHARS || '8000');
   const maxChunks = Number(process.env.LLM_MAX_CHUNKS || '12');
 
@@ -158,7 +144,8 @@ export async function summarizeTranscriptWithLLM({ transcript }) {
   const t = String(transcript || '');
   if (!t || t.length <= chunkChars) {
     const prompt = applyTemplate(template, { TRANSCRIPT: t, LANG: lang });
-    return callLLM(prompt);
+    const result = await finish(await callLLM(prompt));
+    return { ...result, ...meta(), chunks: 1 };
   }
 
   // Map-reduce for long transcripts.
@@ -174,7 +161,9 @@ export async function summarizeTranscriptWithLLM({ transcript }) {
     const chunk = chunks[i];
     const chunkHeader =
       `You will receive a transcript chunk ${i + 1}/${chunks.length}. ` +
-      `Produce a structured partial summary in ${lang} using the exact required format. ` +
+      (isJson
+        ? `Produce partial minutes for this chunk only, as the required JSON object. `
+        : `Produce a structured partial summary in ${lang} using the exact required format. `) +
       `Do not reference other chunks.\n\n`;
 
     const basePrompt = applyTemplate(template, { TRANSCRIPT: chunk, LANG: lang });
@@ -186,10 +175,36 @@ export async function summarizeTranscriptWithLLM({ transcript }) {
     (omittedCount > 0
       ? `Note: ${omittedCount} earlier chunk(s) were omitted due to LLM_MAX_CHUNKS. Focus on the provided chunks.\n`
       : '') +
-    `Merge them into ONE final structured summary in ${lang}, using the SAME format as the partial summaries.\n` +
+    (isJson
+      ? `Merge them into ONE JSON object with the SAME keys as the partial summaries (text in ${lang}); return only the JSON.\n`
+      : `Merge them into ONE final structured summary in ${lang}, using the SAME format as the partial summaries.\n`) +
     `Deduplicate repeated points, consolidate decisions/tasks, and keep owners/deadlines if present.\n\n` +
     `PARTIAL SUMMARIES:\n\n` +
     partials.map((p, idx) => `--- PART ${idx + 1}/${partials.length} ---\n${p}\n`).join('\n');
 
-  return callLLM(mergePrompt);
+  const result = await finish(await callLLM(mergePrompt));
+  return { ...result, ...meta(), chunks: chunks.length };
+}
+
+/**
+ * Which provider produced a summary (see summarizeTranscriptWithLLM), or null when unknown.
+ */
+export function summarySource(summary) {
+  if (!summary) return null;
+  return {
+    provider: summary.fallback ? null : summary.provider ?? null,
+    model: summary.fallback ? null : summary.model ?? null,
+    fallback: Boolean(summary.fallback),
+    failedProviders: summary.failedProviders || [],
+  };
+}
+
+/**
+ * "Summary by" text of a summary source (see summarySource).
+ */
+export function describeSummarySource(source) {
+  if (source.fallback) return 'heuristic (LLM unavailable)';
+  let s = source.model ? `${source.provider} / ${source.model}` : String(source.provider || 'llm');
+  if (source.failedProviders?.length) s += ` (after ${source.failedProviders.join(', ')} failed)`;
+  return s;
 }
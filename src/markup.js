@@ -0,0 +1,162 @@
+// Text helpers shared by the chat senders: sanitizing, chunking, and HTML for the Markdown subset the summaries use
+// (**bold**, `code`, "- " bullets, plain lines).
+
+/**
+ * Strip C0/C1 control characters except \n and \t, and normalize line endings.
+ */
+export function sanitizeMessageText(input) {
+  return String(input ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g, '')
+    .replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Split text into chunks of at most `limit` characters, preferring line breaks.
+ */
+export function splitMessage(text, limit) {
+  const t = String(text ?? '');
+  if (t.length <= limit) return [t];
+
+  const parts = [];
+  let rest = t;
+  while (rest.length > limit) {
+    let cut = rest.lastIndexOf('\n', limit);
+    if (cut < limit * 0.6) cut = limit; // fallback hard cut
+    parts.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  if (rest.trim().length) parts.push(rest);
+  return parts;
+}
+
+// Tags open after `token` (an HTML tag or any other token), given those open before it.
+function htmlTagStack(stack, token) {
+  const m = /^<(\/?)([a-z][\w-]*)/i.exec(token);
+  if (!m) return stack;
+  const name = m[2].toLowerCase();
+  if (!m[1]) return [...stack, { name, open: token }];
+  const at = stack.map((t) => t.name).lastIndexOf(name);
+  return at < 0 ? stack : stack.slice(0, at);
+}
+
+/**
+ * Split an HTML message into chunks of at most `limit` characters (markup included), preferring line breaks and
+ * never cutting inside a tag or entity. Tags still open at a cut are closed at the end of the chunk and reopened at
+ * the start of the next one, so every chunk is well-formed.
+ */
+export function splitHtmlMessage(html, limit) {
+  const s = String(html ?? '');
+  if (s.length <= limit) return [s];
+
+  const tokens = s.match(/<[^>]*>|&#?\w+;|[\s\S]/gu);
+  const opens = (stack) => stack.map((t) => t.open).join('');
+  const closes = (stack) => stack.map((t) => `</${t.name}>`).reverse().join('');
+  const parts = [];
+  let stack = [];
+  let chunk = '';
+  let start = 0; // length of the tags reopened at the start of `chunk`
+  let lineBreak = null; // last line break in `chunk`: { i, stack, chunk } before it
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t === '\n' && chunk.length === start) continue;
+    const next = htmlTagStack(stack, t);
+    if (chunk.length > start && chunk.length + t.length + closes(next).length > limit) {
+      if (lineBreak && lineBreak.chunk.length >= limit * 0.6) {
+        parts.push(lineBreak.chunk + closes(lineBreak.stack));
+        stack = lineBreak.stack;
+        i = lineBreak.i;
+      } else {
+        // fallback hard cut (before `t`)
+        parts.push(chunk + closes(stack));
+        i -= 1;
+      }
+      chunk = opens(stack);
+      start = chunk.length;
+      lineBreak = null;
+      continue;
+    }
+    if (t === '\n') lineBreak = { i, stack, chunk };
+    chunk += t;
+    stack = next;
+  }
+  if (chunk.length > start) parts.push(chunk + closes(stack));
+  return parts;
+}
+
+/**
+ * Plain text of an HTML message: tags dropped, the entities escapeHtml produces decoded.
+ */
+export function htmlToText(html) {
+  return String(html ?? '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+export function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function inlineHtml(s) {
+  return escapeHtml(s)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/`([^`]+)`/g, '<code>$1</code>');
+}
+
+/**
+ * HTML fragment (<p>, <ul>/<li>, <strong>, <code>) for a summary message; everything else is escaped.
+ */
+export function markdownToHtml(text) {
+  const out = [];
+  let list = [];
+  const flush = () => {
+    if (list.length) out.push(`<ul>${list.map((li) => `<li>${li}</li>`).join('')}</ul>`);
+    list = [];
+  };
+  for (const line of String(text ?? '').replace(/\r\n?/g, '\n').split('\n')) {
+    const bullet = line.match(/^\s*[-•]\s+(.*)$/);
+    if (bullet) {
+      list.push(inlineHtml(bullet[1]));
+      continue;
+    }
+    flush();
+    if (line.trim()) out.push(`<p>${inlineHtml(line)}</p>`);
+  }
+  flush();
+  return out.join('\n');
+}
+
+function telegramInline(s) {
+  return escapeHtml(s)
+    .replace(/\*\*([^*]+)\*\*/g, '<b>$1</b>')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?![*\w])/g, '$1<i>$2</i>')
+    .replace(/~~([^~]+)~~/g, '<s>$1</s>')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>');
+}
+
+/**
+ * Telegram HTML (parse_mode=HTML) for a summary message: **bold**, *italic*, ~~strike~~, `code`, [links](https://…)
+ * and # headings (as bold); everything else is escaped. Underscores are left alone (they appear in usernames).
+ */
+export function markdownToTelegramHtml(text) {
+  return String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line) => {
+      const heading = line.match(/^#{1,6}\s+(.*)$/);
+      const body = heading ? heading[1] : line;
+      // Code spans first, so nothing inside them is formatted.
+      const html = body
+        .split(/(`[^`\n]+`)/)
+        .map((piece, i) => (i % 2 ? `<code>${escapeHtml(piece.slice(1, -1))}</code>` : telegramInline(piece)))
+        .join('');
+      return heading ? `<b>${html}</b>` : html;
+    })
+    .join('\n');
+}
@@ -0,0 +1,57 @@
+import fetch from 'node-fetch';
+
+import { markdownToHtml, sanitizeMessageText, splitMessage } from './markup.js';
+
+/**
+ * Send a message to a Matrix room (client-server API, m.room.message with an HTML formatted body).
+ * https://spec.matrix.org/latest/client-server-api/#put_matrixclientv3roomsroomidsendeventtypetxnid
+ *
+ * Long messages are split into several events. `txnId` makes retries idempotent: chunk i is sent with
+ * `${txnId}-${i}`, so the homeserver drops a chunk it already accepted.
+ */
+export async function sendMatrixMessage({
+  homeserverUrl,
+  accessToken,
+  roomId,
+  text,
+  txnId,
+  msgtype = 'm.text',
+  timeoutMs = 15000,
+  maxChars = 30000,
+}) {
+  if (!homeserverUrl || !accessToken || !roomId) throw new Error('Matrix homeserverUrl/accessToken/roomId missing');
+
+  const base = String(homeserverUrl).replace(/\/+$/, '');
+  const chunks = splitMessage(sanitizeMessageText(text), maxChars);
+
+  let last = null;
+  for (const [i, chunk] of chunks.entries()) {
+    const url = `${base}/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/send/m.room.message/${encodeURIComponent(`${txnId}-${i}`)}`;
+    const payload = { msgtype, body: chunk, format: 'org.matrix.custom.html', formatted_body: markdownToHtml(chunk) };
+
+    const ac = new AbortController();
+    const t = setTimeout(() => ac.abort(), timeoutMs);
+    try {
+      const res = await fetch(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+        body: JSON.stringify(payload),
+        signal: ac.signal,
+      });
+
+      const body = await res.text().catch(() => '');
+      if (!res.ok) {
+        throw new Error(`Matrix send failed: ${res.status} ${body.slice(0, 500)}`);
+      }
+      let eventId = null;
+      try {
+        eventId = JSON.parse(body).event_id ?? null;
+      } catch {}
+      last = { ok: true, eventId };
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  return last || { ok: true };
+}
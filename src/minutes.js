@@ -0,0 +1,165 @@
+// Structured call minutes (SUMMARY_FORMAT=json): the LLM returns JSON in this shape, which is validated,
+// repaired by the LLM if needed, and then rendered into the usual Markdown summary.
+//
+//   {
+//     "summary":     ["..."],                                      // 1+ bullets
+//     "decisions":   ["..."],
+//     "actionItems": [{ "task": "...", "owner": "..." | null, "deadline": "..." | null }],
+//     "risks":       ["..."]
+//   }
+
+export const MINUTES_SCHEMA_VERSION = 1;
+
+export const SUMMARY_FORMATS = ['text', 'json'];
+
+const MAX_ITEMS = 100;
+const MAX_ITEM_CHARS = 2000;
+
+// Placeholders the model uses for "unknown" despite being asked for null.
+const UNKNOWN_VALUES = new Set(['', '-', '—', 'n/a', 'none', 'unknown', 'unassigned', 'tbd', 'null']);
+
+/**
+ * The JSON object in an LLM answer: tolerates code fences and text around it. Throws if there is none.
+ */
+export function extractJson(text) {
+  const s = String(text ?? '').trim();
+  const fenced = s.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1].trim() : s;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start < 0 || end <= start) throw new Error('No JSON object in LLM answer');
+  return JSON.parse(body.slice(start, end + 1));
+}
+
+function cleanText(v) {
+  return String(v).replace(/\s+/g, ' ').trim().slice(0, MAX_ITEM_CHARS);
+}
+
+function optionalText(v) {
+  if (v == null) return null;
+  const s = cleanText(v);
+  return UNKNOWN_VALUES.has(s.toLowerCase()) ? null : s;
+}
+
+function stringList(value, path, errors, { required = false } = {}) {
+  if (value == null) value = [];
+  if (!Array.isArray(value)) {
+    errors.push(`${path} must be an array of strings`);
+    return [];
+  }
+  const out = [];
+  value.forEach((v, i) => {
+    if (typeof v !== 'string') {
+      errors.push(`${path}[${i}] must be a string`);
+      return;
+    }
+    const s = cleanText(v);
+    if (s) out.push(s);
+  });
+  if (required && !out.length) errors.push(`${path} must not be empty`);
+  return out.slice(0, MAX_ITEMS);
+}
+
+function actionItemList(value, errors) {
+  if (value == null) value = [];
+  if (!Array.isArray(value)) {
+    errors.push('actionItems must be an array');
+    return [];
+  }
+  const out = [];
+  value.forEach((item, i) => {
+    const path = `actionItems[${i}]`;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (typeof item.task !== 'string' || !item.task.trim()) {
+      errors.push(`${path}.task must be a non-empty string`);
+      return;
+    }
+    for (const key of ['owner', 'deadline']) {
+      if (item[key] != null && typeof item[key] !== 'string') errors.push(`${path}.${key} must be a string or null`);
+    }
+    out.push({
+      task: cleanText(item.task),
+      owner: typeof item.owner === 'string' ? optionalText(item.owner) : null,
+      deadline: typeof item.deadline === 'string' ? optionalText(item.deadline) : null,
+    });
+  });
+  return out.slice(0, MAX_ITEMS);
+}
+
+/**
+ * Check parsed JSON against the minutes schema. Returns { ok, errors, minutes } where `minutes` is the
+ * normalized object (trimmed strings, "unknown" owners/deadlines as null) when ok.
+ */
+export function validateMinutes(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    return { ok: false, errors: ['top level must be a JSON object'], minutes: null };
+  }
+  const errors = [];
+  const minutes = {
+    summary: stringList(obj.summary, 'summary', errors, { required: true }),
+    decisions: stringList(obj.decisions, 'decisions', errors),
+    actionItems: actionItemList(obj.actionItems, errors),
+    risks: stringList(obj.risks, 'risks', errors),
+  };
+  return errors.length ? { ok: false, errors, minutes: null } : { ok: true, errors: [], minutes };
+}
+
+/**
+ * Parse and validate an LLM answer. Returns { ok, errors, minutes }.
+ */
+export function parseMinutes(text) {
+  let obj;
+  try {
+    obj = extractJson(text);
+  } catch (e) {
+    return { ok: false, errors: [`invalid JSON: ${e?.message || e}`], minutes: null };
+  }
+  return validateMinutes(obj);
+}
+
+/**
+ * Prompt asking the LLM to fix an answer that failed validation.
+ */
+export function buildRepairPrompt(badAnswer, errors) {
+  return (
+    `Your previous answer was not valid JSON for the required schema.\n` +
+    `Problems:\n${errors.map((e) => `- ${e}`).join('\n')}\n\n` +
+    `Return ONLY the corrected JSON object (no Markdown, no comments) with exactly these keys:\n` +
+    `{"summary": [string], "decisions": [string], "actionItems": [{"task": string, "owner": string|null, "deadline": string|null}], "risks": [string]}\n` +
+    `Keep the content; only fix the structure.\n\n` +
+    `PREVIOUS ANSWER:\n${String(badAnswer ?? '').slice(0, 20_000)}`
+  );
+}
+
+/**
+ * Markdown summary in the same layout as prompts/summary.txt, so text destinations look the same
+ * in both summary formats. `ownerLabel(item)` renders action item owners (e.g. as mentions, see identities.js).
+ */
+export function renderMinutesText(minutes, { ownerLabel = (a) => a.owner || 'Unassigned' } = {}) {
+  const bullets = (items, empty) => (items.length ? items.map((s) => `- ${s}`) : [`- ${empty}`]).join('\n');
+  const tasks = minutes.actionItems.map(
+    (a) => `- Task: ${a.task} | Owner: ${ownerLabel(a)} | Deadline: ${a.deadline || '—'}`,
+  );
+  return [
+    `**1) Brief call summary**\n${bullets(minutes.summary, '—')}`,
+    `**2) Decisions**\n${bullets(minutes.decisions, 'No decisions recorded.')}`,
+    `**3) Tasks / To‑Do**\n${tasks.length ? tasks.join('\n') : '- No tasks recorded.'}`,
+    `**4) Risks / Blockers**\n${bullets(minutes.risks, 'None.')}`,
+  ].join('\n\n');
+}
+
+/**
+ * Copy of the minutes with every string passed through `redactor` (see redaction.js).
+ */
+export function redactMinutes(minutes, redactor) {
+  const r = (s) => (s == null ? s : redactor.redact(s).text);
+  return {
+    summary: minutes.summary.map(r),
+    decisions: minutes.decisions.map(r),
+    actionItems: minutes.actionItems.map((a) => ({ ...a, task: r(a.task), owner: r(a.owner), deadline: r(a.deadline) })),
+    risks: minutes.risks.map(r),
+  };
+}
@@ -1,15 +1,142 @@
-import { createWriteStream, mkdirSync } from 'node:fs';
-import { dirname, join } from 'node:path';
+import { createWriteStream, mkdirSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { Writable } from 'node:stream';
 import { pipeline } from 'node:stream/promises';
 
 import { EndBehaviorType } from '@discordjs/voice';
 import prism from 'prism-media';
 
+// Decoded PCM: s16le, 48kHz, mono
+const BYTES_PER_SECOND = 48000 * 1 * 2;
+
 /**
- * Records a single user's Opus stream to a WAV file (16-bit PCM, 48kHz, stereo).
+ * Writable that stores PCM as chunk files `${prefix}-000.pcm`, `${prefix}-001.pcm`, ... in `outDir`, rotating
+ * to a new file every `chunkSeconds` (0: a single file). `onChunk({ segmentPath, seconds, index, offsetSeconds,
+ * startedAtMs })` is called for each finished chunk; chunks shorter than `minSegmentSeconds` are deleted.
+ * `abort()` deletes the chunk being written and drops the rest. `seconds()` is the audio length written so far.
+ */
+export function createChunkWriter({ outDir, prefix, startedAtMs = Date.now(), chunkSeconds = 0, minSegmentSeconds = 1.0, onChunk = null }) {
+  const chunkBytes = Number(chunkSeconds) > 0 ? Math.floor(chunkSeconds * BYTES_PER_SECOND) : Infinity;
+
+  let index = 0;
+  let file = null;
+  let filePath = null;
+  let fileBytes = 0;
+  let totalBytes = 0;
+  let aborted = false;
+  const chunks = [];
+
+  function openChunk() {
+    filePath = join(outDir, `${prefix}-${String(index).padStart(3, '0')}.pcm`);
+    file = createWriteStream(filePath);
+    fileBytes = 0;
+  }
+
+  async function closeChunk() {
+    const f = file;
+    const p = filePath;
+    const bytes = fileBytes;
+    const i = index;
+    file = null;
+    filePath = null;
+    index += 1;
+
+    await new Promise((resolve, reject) => {
+      f.once('error', reject);
+      f.end(resolve);
+    });
+
+    // duration in seconds: bytes / (rate * channels * bytesPerSample)
+    const seconds = bytes / BYTES_PER_SECOND;
+    if (seconds < minSegmentSeconds || aborted) {
+      // too short; ignore
+      rmSync(p, { force: true });
+      return;
+    }
+    const chunk = { segmentPath: p, seconds, index: i, offsetSeconds: (totalBytes - bytes) / BYTES_PER_SECOND, startedAtMs };
+    chunks.push(chunk);
+    onChunk?.(chunk);
+  }
+
+  const sink = new Writable({
+    write(data, _enc, cb) {
+      if (aborted) return cb();
+      if (!file) openChunk();
+      fileBytes += data.length;
+      totalBytes += data.length;
+      const ok = file.write(data);
+      if (fileBytes >= chunkBytes) {
+        closeChunk().then(() => cb(), cb);
+      } else if (!ok) {
+        // 'close': abort() destroyed the file while waiting.
+        const f = file;
+        const next = () => {
+          f.off('drain', next);
+          f.off('close', next);
+          cb();
+        };
+        f.on('drain', next);
+        f.on('close', next);
+      } else {
+        cb();
+      }
+    },
+    final(cb) {
+      if (!file) return cb();
+      closeChunk().then(() => cb(), cb);
+    },
+  });
+
+  function abort() {
+    aborted = true;
+    if (file) {
+      // Writes still in flight fail once the file is destroyed; they don't matter any more.
+      file.on('error', () => {});
+      try { file.destroy(); } catch {}
+      rmSync(filePath, { force: true });
+      file = null;
+    }
+  }
+
+  return { sink, chunks, abort, seconds: () => totalBytes / BYTES_PER_SECOND };
+}
+
+/**
+ * Transcript fields of an utterance from its transcribed chunks, indexed by chunk (chunks may finish out of order;
+ * missing or empty ones are skipped): { text, startMs, endMs, language, segments }.
+ */
+export function stitchChunks(chunks) {
+  const parts = chunks.filter(Boolean);
+  const segments = parts.flatMap((c) => c.segments || []);
+  return {
+    text: parts.map((c) => c.text).join(' '),
+    // Prefer speech timings from STT; fall back to the chunk boundaries.
+    startMs: segments.length ? segments[0].startMs : parts[0]?.startMs ?? null,
+    endMs: segments.length ? segments[segments.length - 1].endMs : parts[parts.length - 1]?.endMs ?? null,
+    language: parts.find((c) => c.language)?.language ?? null,
+    segments,
+  };
+}
+
+/**
+ * Records a single user's Opus stream to raw PCM files (16-bit, 48kHz, mono).
  * The voice receiver gives Opus frames; we decode to PCM.
+ *
+ * A speech segment ends after 2.5s of silence. While the user keeps talking, the output is rotated
+ * into a new chunk file every `chunkSeconds` (see createChunkWriter), and `onChunk` is called for each finished
+ * chunk so it can be transcribed while recording continues.
+ * `stop()` ends the recording early and deletes the chunk being written (e.g. when the user withdraws consent).
+ *
+ * `done` resolves with { chunks, seconds, error }: `error` is set when the stream failed (not after `stop()`).
  */
-export function startUserRecording({ receiver, userId, outDir, minSegmentSeconds = 1.0, logger }) {
+export function startUserRecording({
+  receiver,
+  userId,
+  outDir,
+  minSegmentSeconds = 1.0,
+  chunkSeconds = 0,
+  onChunk = null,
+}) {
   mkdirSync(outDir, { recursive: true });
 
   const opusStream = receiver.subscribe(userId, {
@@ -23,29 +150,26 @@ export function startUserRecording({ receiver, userId, outDir, minSegmentSeconds
   const decoder = new prism.opus.Decoder({ frameSize: 960, channels: 1, rate: 48000 });
 
   // We'll write raw PCM for simplicity. (WAV header needs length; we can wrap later with ffmpeg.)
-  const segmentPath = join(outDir, `${Date.now()}-${userId}.pcm`);
-  const file = createWriteStream(segmentPath);
-
-  let pcmBytes = 0;
-  decoder.on('data', (chunk) => {
-    pcmBytes += chunk.length;
-  });
+  const startedAtMs = Date.now();
+  const writer = createChunkWriter({ outDir, prefix: `${startedAtMs}-${userId}`, startedAtMs, chunkSeconds, minSegmentSeconds, onChunk });
+  let stopped = false;
 
   const done = (async () => {
+    let error = null;
     try {
-      await pipeline(opusStream, decoder, file);
-      // duration in seconds: bytes / (rate * channels * bytesPerSample)
-      const seconds = pcmBytes / (48000 * 1 * 2);
-      if (seconds < minSegmentSeconds) {
-        // too short; ignore
-        return { segmentPath: null, seconds };
-      }
-      return { segmentPath, seconds };
+      await pipeline(opusStream, decoder, writer.sink);
     } catch (e) {
-      logger?.warn('record pipeline failed', userId, e?.message || e);
-      return { segmentPath: null, seconds: 0 };
+      if (!stopped) error = e;
+      writer.abort();
     }
+    return { chunks: writer.chunks, seconds: writer.seconds(), error };
   })();
 
-  return { segmentPath, done };
+  function stop() {
+    stopped = true;
+    writer.abort();
+    opusStream.destroy();
+  }
+
+  return { startedAtMs, done, stop };
 }
@@ -0,0 +1,158 @@
+import { readFileSync } from 'node:fs';
+
+import { redactMinutes } from './minutes.js';
+
+export const REDACTION_TYPES = ['email', 'phone', 'card', 'secret'];
+
+// Token formats flagged by scripts/security_check.sh (PATTERN_LITERAL / PATTERN_VARLIKE); keep them in sync.
+const SECRET_PATTERNS = [
+  /xox[baprs]-[A-Za-z0-9-]{10,}/g,
+  /sk-[A-Za-z0-9]{20,}/g,
+  /AIza[0-9A-Za-z\-_]{20,}/g,
+  /-----BEGIN (?:RSA|EC|OPENSSH|PGP) PRIVATE KEY-----[\s\S]*?(?:-----END (?:RSA|EC|OPENSSH|PGP) PRIVATE KEY-----|$)/g,
+  /\b(OPENAI_API_KEY|ANTHROPIC_API_KEY|GROQ_API_KEY|TOGETHER_API_KEY|TELEGRAM_BOT_TOKEN|DISCORD_TOKEN|SLACK_(?:BOT_)?TOKEN)(\s*[:=]\s*)\S+/g,
+];
+
+const EMAIL_RE = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+const CARD_RE = /\b\d(?:[ -]?\d){12,18}\b/g;
+const PHONE_RE = /(?<![\w+])\+?\d[\d\s().-]{6,}\d(?!\w)/g;
+const DATE_RE = /^\d{1,4}[-./]\d{1,2}[-./]\d{1,4}$/;
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function countDigits(s) {
+  return (s.match(/\d/g) || []).length;
+}
+
+/**
+ * Redaction of personal data and secrets in STT text.
+ *
+ * `types` picks built-in detectors (email, phone, card, secret); `patterns` are extra regex sources
+ * (matched globally, replaced with [REDACTED]). `redact(text)` returns { text, counts } where counts
+ * maps detector name -> replacements made.
+ */
+export function createRedactor({ types = REDACTION_TYPES, patterns = [] } = {}) {
+  const enabled = new Set(types);
+  const custom = patterns.map((p) => {
+    try {
+      return new RegExp(p, 'g');
+    } catch (e) {
+      throw new Error(`Invalid redaction pattern ${JSON.stringify(p)}: ${e?.message || e}`);
+    }
+  });
+
+  function redact(input) {
+    let text = String(input ?? '');
+    const counts = {};
+    const bump = (name) => {
+      counts[name] = (counts[name] || 0) + 1;
+    };
+
+    // Order matters: secrets and cards first, so their digits aren't taken for phone numbers.
+    if (enabled.has('secret')) {
+      for (const re of SECRET_PATTERNS) {
+        text = text.replace(re, (m, name, sep) => {
+          bump('secret');
+          return typeof name === 'string' && typeof sep === 'string' ? `${name}${sep}[SECRET]` : '[SECRET]';
+        });
+      }
+    }
+    if (enabled.has('email')) {
+      text = text.replace(EMAIL_RE, () => {
+        bump('email');
+        return '[EMAIL]';
+      });
+    }
+    if (enabled.has('card')) {
+      text = text.replace(CARD_RE, (m) => {
+        if (!luhnValid(m.replace(/\D/g, ''))) return m;
+        bump('card');
+        return '[CARD]';
+      });
+    }
+    if (enabled.has('phone')) {
+      text = text.replace(PHONE_RE, (m) => {
+        const n = countDigits(m);
+        if (n < 7 || n > 15 || DATE_RE.test(m)) return m;
+        // Short digit runs are only phones when written like one ("+7 ...", "(495) ...", "555-1234"),
+        // not amounts such as "1 000 000".
+        if (n < 10 && !/[+(-]/.test(m)) return m;
+        bump('phone');
+        return '[PHONE]';
+      });
+    }
+    for (const re of custom) {
+      text = text.replace(re, () => {
+        bump('custom');
+        return '[REDACTED]';
+      });
+    }
+
+    return { text, counts };
+  }
+
+  return { redact };
+}
+
+/**
+ * Redactor from config (REDACTION_*), or null when redaction is disabled.
+ */
+export function createRedactorFromConfig(cfg) {
+  if (!cfg.REDACTION_ENABLED) return null;
+  const patterns = cfg.REDACTION_PATTERNS_FILE
+    ? readFileSync(cfg.REDACTION_PATTERNS_FILE, 'utf-8')
+      .split('\n')
+      .map((l) => l.trim())
+      .filter((l) => l && !l.startsWith('#'))
+    : [];
+  return createRedactor({ types: cfg.REDACTION_TYPES, patterns });
+}
+
+export function mergeCounts(into, counts) {
+  for (const [k, v] of Object.entries(counts)) into[k] = (into[k] || 0) + v;
+  return into;
+}
+
+/**
+ * Redact an LLM summary (see summarizeTranscriptWithLLM) in place: its text and, in json format, its minutes.
+ */
+export function redactSummary(summary, redactor) {
+  summary.text = redactor.redact(summary.text).text;
+  if (summary.minutes) summary.minutes = redactMinutes(summary.minutes, redactor);
+  return summary;
+}
+
+/**
+ * Redacted copies of transcript items (see transcript.js). Word timings are dropped from
+ * segments whose text changed, since they would still carry the original words.
+ */
+export function redactTranscriptItems(items, redactor) {
+  const counts = {};
+  const redactText = (s) => {
+    const r = redactor.redact(s);
+    mergeCounts(counts, r.counts);
+    return r.text;
+  };
+
+  const redacted = items.map((t) => {
+    const segments = (t.segments || []).map((seg) => {
+      const text = redactText(seg.text);
+      return text === seg.text ? seg : { ...seg, text, words: null };
+    });
+    // The item text repeats its segments' text; only count it when there are no segments.
+    const text = segments.length ? redactor.redact(t.text).text : redactText(t.text);
+    return { ...t, text, segments };
+  });
+  return { items: redacted, counts };
+}
@@ -0,0 +1,197 @@
+import 'dotenv/config';
+import { existsSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { makeLogger } from './logger.js';
+import { loadConfigFromEnv } from './config.js';
+import { summarizeTranscriptWithLLM, summarySource, trimTranscriptForLLM } from './llm_summary.js';
+import { archiveSummary, readCallFile, resolveCallPath, writeCallArchiveJson } from './archive.js';
+import { ENCRYPTED_SUFFIX } from './encryption.js';
+import { formatDuration, formatTranscriptHeader } from './transcript.js';
+import { createRedactorFromConfig, redactSummary } from './redaction.js';
+import { deliverSummary, assertCliDelivery, buildSummaryMessages, buildWebhookPayload } from './delivery.js';
+import { createIdentityResolver, loadIdentityMapFromConfig, participantContacts, resolveMinutesOwners } from './identities.js';
+
+// Offline re-summarize: run the LLM summary again for a transcript saved in TRANSCRIPTS_DIR.
+
+const USAGE = `Usage: node src/resummarize.js <transcript> [options]
+
+<transcript>  File in TRANSCRIPTS_DIR (name or path; .txt or .json of the same call, encrypted .enc files too)
+
+Options:
+  --prompt <file>      Prompt template in ./prompts (default: SUMMARY_PROMPT)
+  --lang <language>    Output language (default: SUMMARY_LANG)
+  --format <fmt>       text | json (structured minutes) (default: SUMMARY_FORMAT)
+  --provider <name>    openai | azure | anthropic | http (default: LLM_PROVIDER)
+  --model <name>       Model (default: LLM_MODEL / OPENAI_MODEL)
+  --write              Store the new summary in the call's .json archive (previous one is kept in history)
+  --deliver            Send the new summary to the configured destinations (see DELIVERY_TARGETS)
+  -h, --help           Show this help
+`;
+
+// Saved .txt: "Key: value" header lines, a blank line, then the dialogue.
+function parseTranscriptText(text) {
+  const idx = text.indexOf('\n\n');
+  const headerText = idx >= 0 ? text.slice(0, idx) : '';
+  const body = (idx >= 0 ? text.slice(idx + 2) : text).trim();
+  const header = {};
+  for (const line of headerText.split('\n')) {
+    const m = /^([^:]+):\s*(.*)$/.exec(line);
+    if (m) header[m[1].trim().toLowerCase()] = m[2];
+  }
+  return { header, body };
+}
+
+// Prefer the plaintext file; fall back to the encrypted one (TRANSCRIPTS_ENCRYPTION_KEY).
+function findCallFile(dir, name) {
+  for (const candidate of [name, name + ENCRYPTED_SUFFIX]) {
+    const p = join(dir, candidate);
+    if (existsSync(p)) return p;
+  }
+  return null;
+}
+
+export function loadSavedCall(path, { encryptionKey = null } = {}) {
+  const stem = basename(path).split('.')[0];
+  const dir = dirname(path);
+  const txtPath = findCallFile(dir, `${stem}.txt`);
+  const jsonPath = findCallFile(dir, `${stem}.json`);
+
+  if (!txtPath && !jsonPath) throw new Error(`No transcript found for ${stem}`);
+
+  const archive = jsonPath ? JSON.parse(readCallFile(jsonPath, { encryptionKey })) : null;
+  const { header, body } = txtPath
+    ? parseTranscriptText(readCallFile(txtPath, { encryptionKey }))
+    : { header: {}, body: '' };
+
+  const transcript = body || (archive?.utterances || [])
+    .map((u) => `[${formatDuration(u.startMs)}] ${u.user}: ${u.text}`)
+    .join('\n');
+
+  const recorded = (archive?.participants || []).filter((p) => p.recorded !== false).map((p) => p.name);
+  return {
+    stem,
+    dir,
+    txtPath,
+    jsonPath,
+    archive,
+    transcript: transcript || '(no speech captured)',
+    channelName: archive?.call?.channel ?? header.channel ?? '(unknown)',
+    startedAt: archive?.call?.startedAt ?? header.started ?? '(unknown)',
+    endedAt: archive?.call?.endedAt ?? header.ended ?? '(unknown)',
+    participants: recorded.length ? recorded.join(', ') : (header.participants ?? '(none)'),
+  };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      prompt: { type: 'string' },
+      lang: { type: 'string' },
+      format: { type: 'string' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      write: { type: 'boolean', default: false },
+      deliver: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help || positionals.length !== 1) {
+    process.stdout.write(USAGE);
+    if (!values.help) process.exitCode = 2;
+    return;
+  }
+
+  const logger = makeLogger(process.env.LOG_LEVEL || 'info');
+  const cfg = loadConfigFromEnv(process.env);
+  if (values.deliver) assertCliDelivery(cfg);
+  const call = loadSavedCall(resolveCallPath(positionals[0], cfg.TRANSCRIPTS_DIR), { encryptionKey: cfg.TRANSCRIPTS_ENCRYPTION_KEY });
+
+  // Saved transcripts may be unredacted (REDACTION_KEEP_UNREDACTED); redact again before anything leaves.
+  const redactor = createRedactorFromConfig(cfg);
+  const transcript = redactor ? redactor.redact(call.transcript).text : call.transcript;
+
+  const summary = await summarizeTranscriptWithLLM({
+    transcript: trimTranscriptForLLM(transcript, cfg.MAX_TRANSCRIPT_CHARS_FOR_LLM),
+    provider: values.provider,
+    model: values.model,
+    promptName: values.prompt,
+    lang: values.lang,
+    format: values.format,
+    logger,
+  });
+  if (redactor) redactSummary(summary, redactor);
+  // People archived with recorded:false didn't consent; they are neither owners nor email recipients.
+  const recordedParticipants = call.archive ? (call.archive.participants || []).filter((p) => p.recorded !== false) : null;
+  const resolver = createIdentityResolver({
+    identityMap: loadIdentityMapFromConfig(cfg),
+    participants: (recordedParticipants || []).filter((p) => p.userId),
+  });
+  if (summary.minutes) summary.minutes = resolveMinutesOwners(summary.minutes, resolver);
+  logger.info('Summary generated', { call: call.stem, provider: summary.provider, model: summary.model, prompt: summary.prompt, failedProviders: summary.failedProviders });
+
+  process.stdout.write(summary.text + '\n');
+
+  if (values.write) {
+    if (!call.jsonPath) {
+      logger.warn('No .json archive for this call; --write skipped');
+    } else {
+      const archive = call.archive;
+      if (archive.summary) {
+        archive.summaryHistory = [...(archive.summaryHistory || []), archive.summary];
+      }
+      archive.summary = { ...archiveSummary(summary), generatedAt: new Date().toISOString() };
+      // Keep the file's form: an encrypted archive stays encrypted, a plaintext one stays plaintext.
+      const encryptionKey = call.jsonPath.endsWith(ENCRYPTED_SUFFIX) ? cfg.TRANSCRIPTS_ENCRYPTION_KEY : null;
+      const outPath = writeCallArchiveJson({ dir: call.dir, stem: call.stem, archive, encryptionKey });
+      logger.info('Call archive updated', outPath);
+    }
+  }
+
+  if (values.deliver) {
+    const { channelName, startedAt, endedAt, participants } = call;
+    await deliverSummary({
+      logger,
+      delivery: cfg.DELIVERY,
+      summary: {
+        ...buildSummaryMessages({ channelName, startedAt, endedAt, participants, summary, source: summarySource(summary), resolver }),
+        webhookPayload: buildWebhookPayload({
+          callId: call.stem,
+          channelName,
+          startedAt,
+          endedAt,
+          durationMs: call.archive?.call?.durationMs ?? null,
+          participants,
+          summaryText: summary.text,
+          source: summarySource(summary),
+          minutes: summary.minutes,
+          resolver,
+          guildId: call.archive?.call?.guildId ?? null,
+          channelId: call.archive?.call?.voiceChannelId ?? null,
+          callParticipants: recordedParticipants,
+          metrics: call.archive?.metrics ?? null,
+        }),
+        callId: call.stem,
+        channelId: call.archive?.call?.voiceChannelId ?? null,
+        transcript: {
+          filename: `${call.stem}.txt`,
+          text: formatTranscriptHeader({ channelName, startedAt, endedAt, participants }) + transcript + '\n',
+        },
+        participantContacts: participantContacts(
+          recordedParticipants ?? participants.split(',').map((name) => ({ userId: null, name: name.trim() })),
+          resolver,
+        ),
+      },
+    });
+    logger.info('Summary delivered');
+  }
+}
+
+main().catch((e) => {
+  // eslint-disable-next-line no-console
+  console.error(`resummarize failed: ${e?.message || e}`);
+  process.exitCode = 1;
+});
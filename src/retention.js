@@ -1,10 +1,20 @@
 import { readdirSync, statSync, unlinkSync } from 'node:fs';
 import { join } from 'node:path';
 
-export function pruneOldFiles({ dir, maxFiles = 0, maxAgeDays = 0, logger = null } = {}) {
+// All files of one call share a dot-free stem (see callFileStem): <stem>.txt, <stem>.json, ...
+function callKey(name) {
+  return name.split('.')[0];
+}
+
+/**
+ * Prune old call files in `dir`. Files are grouped per call and pruned as a unit:
+ * - maxAgeDays: delete a call once its newest file is older than N days
+ * - maxCalls: keep only the newest N calls
+ */
+export function pruneOldFiles({ dir, maxCalls = 0, maxAgeDays = 0, logger = null } = {}) {
   if (!dir) return;
 
-  const mf = Number(maxFiles) || 0;
+  const mf = Number(maxCalls) || 0;
   const mad = Number(maxAgeDays) || 0;
   if (mf <= 0 && mad <= 0) return;
 
@@ -18,7 +28,7 @@ export function pruneOldFiles({ dir, maxFiles = 0, maxAgeDays = 0, logger = null
   const now = Date.now();
   const maxAgeMs = mad > 0 ? mad * 24 * 60 * 60_000 : 0;
 
-  const entries = [];
+  const groups = new Map(); // key -> { key, files: [], mtimeMs }
   for (const name of files) {
     if (name === '.gitkeep') continue;
     const full = join(dir, name);
@@ -29,43 +39,44 @@ export function pruneOldFiles({ dir, maxFiles = 0, maxAgeDays = 0, logger = null
       continue;
     }
     if (!st.isFile()) continue;
-    entries.push({ name, full, mtimeMs: st.mtimeMs, size: st.size });
+    const key = callKey(name);
+    let g = groups.get(key);
+    if (!g) {
+      g = { key, files: [], mtimeMs: 0 };
+      groups.set(key, g);
+    }
+    g.files.push({ name, full });
+    g.mtimeMs = Math.max(g.mtimeMs, st.mtimeMs);
   }
 
-  // 1) Age-based pruning
-  if (maxAgeMs > 0) {
-    for (const e of entries) {
-      if (now - e.mtimeMs > maxAgeMs) {
-        try {
-          unlinkSync(e.full);
-          logger?.info?.('Pruned old transcript file', { file: e.name, reason: 'age', maxAgeDays: mad });
-        } catch (err) {
-          logger?.warn?.('Failed to prune old transcript file', { file: e.name, err: err?.message || String(err) });
-        }
+  function deleteGroup(g, meta) {
+    for (const f of g.files) {
+      try {
+        unlinkSync(f.full);
+        logger?.info?.('Pruned old transcript file', { file: f.name, ...meta });
+      } catch (err) {
+        logger?.warn?.('Failed to prune transcript file', { file: f.name, err: err?.message || String(err) });
       }
     }
   }
 
-  // Refresh list after deletions
-  const remaining = [];
-  for (const e of entries) {
-    try {
-      const st = statSync(e.full);
-      if (st.isFile()) remaining.push({ ...e, mtimeMs: st.mtimeMs });
-    } catch {}
+  let remaining = [...groups.values()];
+
+  // 1) Age-based pruning
+  if (maxAgeMs > 0) {
+    const kept = [];
+    for (const g of remaining) {
+      if (now - g.mtimeMs > maxAgeMs) deleteGroup(g, { reason: 'age', maxAgeDays: mad });
+      else kept.push(g);
+    }
+    remaining = kept;
   }
 
-  // 2) Count-based pruning: keep newest `maxFiles`
+  // 2) Count-based pruning: keep newest `maxCalls` calls
   if (mf > 0 && remaining.length > mf) {
     remaining.sort((a, b) => b.mtimeMs - a.mtimeMs);
-    const toDelete = remaining.slice(mf);
-    for (const e of toDelete) {
-      try {
-        unlinkSync(e.full);
-        logger?.info?.('Pruned old transcript file', { file: e.name, reason: 'maxFiles', maxFiles: mf });
-      } catch (err) {
-        logger?.warn?.('Failed to prune transcript file', { file: e.name, err: err?.message || String(err) });
-      }
+    for (const g of remaining.slice(mf)) {
+      deleteGroup(g, { reason: 'maxCalls', maxCalls: mf });
     }
   }
 }
@@ -0,0 +1,23 @@
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Run `fn` up to `retries + 1` times with exponential backoff (baseDelayMs, 2x, 4x, ...).
+ */
+export async function withRetries(fn, { retries = 2, baseDelayMs = 800, logger = null, name = 'op' } = {}) {
+  let lastErr = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      return await fn({ attempt });
+    } catch (e) {
+      lastErr = e;
+      const msg = e?.message || e;
+      if (attempt >= retries) break;
+      const delay = baseDelayMs * Math.pow(2, attempt);
+      logger?.warn?.(`${name} failed; retrying`, { attempt: attempt + 1, delayMs: delay, err: String(msg).slice(0, 300) });
+      await sleep(delay);
+    }
+  }
+  throw lastErr;
+}
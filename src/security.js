@@ -8,6 +8,12 @@ export function clampNumber(name, value, { min, max, fallback }) {
   return n;
 }
 
+// Boolean env flag: "true" (any case) is on; unset/empty keeps `fallback`.
+export function isTruthy(value, fallback = false) {
+  if (value == null || value === '') return fallback;
+  return String(value).toLowerCase() === 'true';
+}
+
 export function sanitizeLabel(input, { maxLen = 80 } = {}) {
   const s = String(input ?? '')
     .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g, '')
@@ -26,7 +26,7 @@ function run(cmd, args, { timeoutMs = 30_000 } = {}) {
   });
 }
 
-export async function runSttSelfTest({ transcribeFile, whisperCppBin, whisperCppModel, pyCmdTemplate, logger }) {
+export async function runSttSelfTest({ transcribeFile, whisperCppBin, whisperCppModel, pyCmdTemplate, pyWorker = null, logger }) {
   const dir = mkdtempSync(join(tmpdir(), 'discord2sum-selftest-'));
   const wavPath = join(dir, 'silence.wav');
 
@@ -42,15 +42,16 @@ export async function runSttSelfTest({ transcribeFile, whisperCppBin, whisperCpp
       wavPath,
     ], { timeoutMs: 30_000 });
 
-    const text = await transcribeFile({
+    const result = await transcribeFile({
       filePath: wavPath,
       whisperCppBin,
       whisperCppModel,
       pyCmdTemplate,
+      pyWorker,
     });
 
     // Text may be empty; success is "no exception".
-    logger?.info?.('STT self-test OK', { resultLen: (text || '').length });
+    logger?.info?.('STT self-test OK', { resultLen: (result?.text || '').length, language: result?.language ?? null });
     return true;
   } catch (e) {
     logger?.error?.('STT self-test FAILED', e?.message || e);
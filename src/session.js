@@ -0,0 +1,85 @@
+import { mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+export function createMetrics() {
+  return {
+    lastSpeechAt: null,
+    lastSttOkAt: null,
+    lastSttEmptyAt: null,
+    lastSttFailAt: null,
+    lastNonEmptyTextAt: null,
+
+    segmentsOk: 0,
+    segmentsEmpty: 0,
+    segmentsTotal: 0,
+
+    sttFailures: 0,
+    sttDropped: 0,
+    decodeFailures: 0,
+    totalAudioSeconds: 0,
+
+    // Debug (best-effort; local paths)
+    lastSegmentSeconds: null,
+    lastSegmentWav: null,
+    lastSttTextLen: null,
+    lastSttSafeTextLen: null,
+  };
+}
+
+/**
+ * State of one recorded call.
+ *
+ * Discord allows a bot a single voice connection per guild, so sessions are keyed by guild id;
+ * calls in different guilds are recorded, finalized and delivered independently.
+ */
+export function createSession({ guildId, voiceChannelId, manual = false }) {
+  const recordingsDir = join(tmpdir(), `discord-voice-${guildId}-${Date.now()}`);
+  mkdirSync(recordingsDir, { recursive: true });
+
+  return {
+    guildId,
+    voiceChannelId,
+    startedAt: new Date(),
+    participants: new Map(), // userId -> username
+    notRecorded: new Map(), // userId -> username (spoke, but no recording consent)
+    recordingsDir,
+    transcripts: [],
+    audioChunks: [], // kept PCM chunks { userId, user, pcmPath, startMs, seconds } (AUDIO_ARCHIVE_ENABLED)
+    noticeMessageSent: false,
+    noticeMessage: null,
+    noticeUpdatedAtMs: 0,
+    noticeText: null,
+    finishing: false,
+    recordingUsers: new Map(), // userId -> active recording ({ stop })
+    pending: [],
+    pendingMeta: [],
+    introPlayed: false,
+    introEligibleAt: null,
+    manual,
+    metrics: createMetrics(),
+  };
+}
+
+export function sessionHealth(session, { now = Date.now() } = {}) {
+  const m = session?.metrics || {};
+  const dur = session?.startedAt ? Math.round((now - session.startedAt.getTime()) / 1000) : 0;
+
+  const sttOk = Number(m.segmentsOk || 0);
+  const sttEmpty = Number(m.segmentsEmpty || 0);
+  const sttTotal = Number(m.segmentsTotal || 0);
+  const sttFail = Number(m.sttFailures || 0);
+  const decFail = Number(m.decodeFailures || 0);
+  const audio = Number(m.totalAudioSeconds || 0);
+
+  if (sttFail > 0 && sttOk === 0) return 'BAD (STT failing)';
+  if (decFail > 0 && sttOk === 0) return 'BAD (decode failing)';
+  if (decFail > 0 || sttFail > 0) return 'WARN';
+
+  // Audio is flowing but recognition is consistently empty.
+  if (audio > 10 && sttOk === 0 && (sttEmpty > 0 || sttTotal > 0)) return 'WARN (no recognized speech)';
+
+  // Still early or just joined.
+  if (dur > 180 && sttOk === 0) return 'WARN (no text yet)';
+  return 'OK';
+}
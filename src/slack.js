@@ -1,35 +1,16 @@
 import fetch from 'node-fetch';
 
-function sanitizeSlackText(input) {
-  const text = String(input ?? '');
-  // Slack accepts UTF-8; strip control chars except \n and \t.
-  return text
-    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g, '')
-    .replace(/\r\n?/g, '\n');
-}
+import { createJsonStore } from './json_store.js';
+import { sanitizeMessageText, splitMessage } from './markup.js';
 
 /**
  * Send a message to Slack.
  *
  * Preferred: Incoming Webhook URL.
  * https://api.slack.com/messaging/webhooks
+ *
+ * `progress` ({ sent }) records the chunks already sent; passing the same object again (a retry) sends only the rest.
  */
-function splitSlack(text, limit = 35000) {
-  const t = String(text ?? '');
-  if (t.length <= limit) return [t];
-
-  const parts = [];
-  let rest = t;
-  while (rest.length > limit) {
-    let cut = rest.lastIndexOf('\n', limit);
-    if (cut < limit * 0.6) cut = limit; // fallback hard cut
-    parts.push(rest.slice(0, cut).trimEnd());
-    rest = rest.slice(cut).trimStart();
-  }
-  if (rest.trim().length) parts.push(rest);
-  return parts;
-}
-
 export async function sendSlackMessage({
   webhookUrl,
   text,
@@ -38,15 +19,16 @@ export async function sendSlackMessage({
   iconEmoji = null,
   timeoutMs = 15000,
   maxChars = 35000,
+  progress = { sent: 0 },
 }) {
   if (!webhookUrl) throw new Error('Slack webhookUrl missing');
 
-  const safe = sanitizeSlackText(text);
-  const chunks = splitSlack(safe, maxChars);
+  // Slack accepts UTF-8; control characters are stripped.
+  const chunks = splitMessage(sanitizeMessageText(text), maxChars);
 
   let last = null;
-  for (const chunk of chunks) {
-    const payload = { text: chunk };
+  for (let i = progress.sent; i < chunks.length; i++) {
+    const payload = { text: chunks[i] };
     if (channel) payload.channel = channel;
     if (username) payload.username = username;
     if (iconEmoji) payload.icon_emoji = iconEmoji;
@@ -66,6 +48,7 @@ export async function sendSlackMessage({
         throw new Error(`Slack webhook failed: ${res.status} ${body.slice(0, 500)}`);
       }
       last = { ok: true, body: String(body).trim().slice(0, 200) };
+      progress.sent = i + 1;
     } finally {
       clearTimeout(t);
     }
@@ -73,3 +56,183 @@ export async function sendSlackMessage({
 
   return last || { ok: true };
 }
+
+// --- Web API (bot token) ---
+
+// Block Kit limits: 3000 chars per section text, 50 blocks per message, 150 chars per header.
+const SECTION_MAX_CHARS = 3000;
+const MAX_BLOCKS = 50;
+
+/**
+ * Slack mrkdwn for a summary message: **bold** becomes *bold*, "- " bullets become "• ", and &, <, > are
+ * escaped except in Slack's own tokens (<@U…> mentions, <#C…> channels, <!here>).
+ */
+export function toSlackMrkdwn(text) {
+  return sanitizeMessageText(text)
+    .split(/(<[@#!][^<>\s]+>)/)
+    .map((piece, i) => (i % 2 ? piece : piece.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')))
+    .join('')
+    .replace(/\*\*([^*\n]+)\*\*/g, '*$1*')
+    .replace(/^(\s*)- /gm, '$1• ');
+}
+
+/**
+ * Block Kit blocks for a summary message: a header, then one section per paragraph (long ones split).
+ * Returns a list of block lists, one per message (Slack allows 50 blocks per message).
+ */
+export function buildSlackBlocks({ title, text }) {
+  const sections = [];
+  for (const para of toSlackMrkdwn(text).split(/\n{2,}/)) {
+    if (!para.trim()) continue;
+    for (const chunk of splitMessage(para, SECTION_MAX_CHARS)) {
+      sections.push({ type: 'section', text: { type: 'mrkdwn', text: chunk } });
+    }
+  }
+  const messages = [];
+  let blocks = [{ type: 'header', text: { type: 'plain_text', text: String(title).slice(0, 150), emoji: true } }];
+  for (const section of sections) {
+    if (blocks.length >= MAX_BLOCKS) {
+      messages.push(blocks);
+      blocks = [];
+    }
+    blocks.push(section);
+  }
+  messages.push(blocks);
+  return messages;
+}
+
+/**
+ * Call a Slack Web API method with a bot token (JSON body, or form-encoded with `form`). Throws on HTTP
+ * errors and on `ok: false`; the Slack error code is in `err.slackError`.
+ * https://api.slack.com/web
+ */
+export async function slackApi({ apiUrl = 'https://slack.com/api', token, method, body, form = false, timeoutMs = 15000 }) {
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), timeoutMs);
+  try {
+    const res = await fetch(`${String(apiUrl).replace(/\/+$/, '')}/${method}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json; charset=utf-8',
+        Authorization: `Bearer ${token}`,
+      },
+      body: form ? new URLSearchParams(body).toString() : JSON.stringify(body),
+      signal: ac.signal,
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json.ok) {
+      const err = new Error(`Slack ${method} failed: ${res.status} ${json.error || ''}`.trim());
+      err.slackError = json.error || null;
+      throw err;
+    }
+    return json;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+/**
+ * Upload a text file into a channel (optionally into a thread) with the external upload flow
+ * (files.getUploadURLExternal, upload, files.completeUploadExternal).
+ */
+export async function uploadSlackFile({ apiUrl, token, channel, threadTs = null, filename, content, title = filename, timeoutMs = 15000 }) {
+  const data = Buffer.from(String(content ?? ''), 'utf-8');
+  const ticket = await slackApi({
+    apiUrl,
+    token,
+    method: 'files.getUploadURLExternal',
+    body: { filename, length: String(data.length) },
+    form: true,
+    timeoutMs,
+  });
+
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), timeoutMs);
+  try {
+    const res = await fetch(ticket.upload_url, { method: 'POST', body: data, signal: ac.signal });
+    if (!res.ok) throw new Error(`Slack file upload failed: ${res.status}`);
+  } finally {
+    clearTimeout(t);
+  }
+
+  return slackApi({
+    apiUrl,
+    token,
+    method: 'files.completeUploadExternal',
+    body: { files: [{ id: ticket.file_id, title }], channel_id: channel, ...(threadTs ? { thread_ts: threadTs } : {}) },
+    timeoutMs,
+  });
+}
+
+/**
+ * Slack messages already posted per call, so a re-delivery (e.g. `resummarize --deliver`) edits the
+ * summary message instead of posting a new one.
+ *
+ * Stored as JSON: { version, messages: { [callId]: { channel, ts, moreTs, transcriptPosted, at } } }
+ */
+export function createSlackMessageStore({ path, logger = null }) {
+  const file = createJsonStore({ path, field: 'messages', readError: 'Failed to read Slack message store; summaries will be posted anew', logger });
+  const data = file.read();
+  const save = () => file.write(data);
+
+  function get(callId) {
+    return data.messages[callId] || null;
+  }
+
+  function set(callId, entry) {
+    data.messages[callId] = { ...data.messages[callId], ...entry, at: new Date().toISOString() };
+    save();
+  }
+
+  return { get, set };
+}
+
+/**
+ * Post (or, with `previous` from the message store, update) a summary with a bot token as Block Kit.
+ * Blocks beyond one message continue in the thread. Returns { channel, ts, moreTs } (`moreTs`: those replies).
+ */
+export async function sendSlackSummary({ apiUrl, token, channel, title, text, previous = null, timeoutMs = 15000 }) {
+  const api = (method, body) => slackApi({ apiUrl, token, method, body, timeoutMs });
+  const [first, ...rest] = buildSlackBlocks({ title, text });
+  // Notification/fallback text; the blocks carry the full message.
+  const fallback = sanitizeMessageText(text).slice(0, 3000);
+
+  // Edits a message from an earlier delivery; null if it is gone (deleted, channel archived, ...).
+  const update = async (ts, body) => {
+    try {
+      return await api('chat.update', { channel: previous.channel, ts, ...body });
+    } catch (e) {
+      if (['message_not_found', 'cant_update_message', 'channel_not_found'].includes(e.slackError)) return null;
+      throw e;
+    }
+  };
+
+  let posted = previous?.ts && previous.channel ? await update(previous.ts, { text: fallback, blocks: first }) : null;
+  const updating = Boolean(posted);
+  if (!posted) posted = await api('chat.postMessage', { channel, text: fallback, blocks: first, unfurl_links: false });
+
+  const oldMore = updating ? previous.moreTs || [] : [];
+  const moreTs = [];
+  for (const [i, blocks] of rest.entries()) {
+    const reply = (oldMore[i] && (await update(oldMore[i], { text: title, blocks }))) ||
+      (await api('chat.postMessage', { channel: posted.channel, thread_ts: posted.ts, text: title, blocks }));
+    moreTs.push(reply.ts);
+  }
+  // A shorter corrected summary leaves no stale continuation behind.
+  for (const ts of oldMore.slice(rest.length)) {
+    await api('chat.delete', { channel: posted.channel, ts }).catch(() => {});
+  }
+  return { channel: posted.channel, ts: posted.ts, moreTs };
+}
+
+/**
+ * Post plain text (e.g. a transcript) as replies in a thread, split to `maxChars` per reply. `progress` ({ sent })
+ * records the replies already posted; passing the same object again (a retry) posts only the rest.
+ */
+export async function postSlackThreadText({ apiUrl, token, channel, threadTs, text, maxChars = 35000, timeoutMs = 15000, progress = { sent: 0 } }) {
+  const chunks = splitMessage(sanitizeMessageText(text), maxChars);
+  for (let i = progress.sent; i < chunks.length; i++) {
+    await slackApi({ apiUrl, token, method: 'chat.postMessage', body: { channel, thread_ts: threadTs, text: chunks[i], mrkdwn: false }, timeoutMs });
+    progress.sent = i + 1;
+  }
+}
@@ -1,5 +1,5 @@
 import { spawn } from 'node:child_process';
-import { mkdtempSync, rmSync, existsSync } from 'node:fs';
+import { mkdtempSync, rmSync, existsSync, readFileSync } from 'node:fs';
 import { tmpdir } from 'node:os';
 import { basename, join, resolve } from 'node:path';
 import { parse as shellParse } from 'shell-quote';
@@ -32,10 +32,6 @@ function run(cmd, args, { timeoutMs = 10 * 60_000, env = {} } = {}) {
   });
 }
 
-/**
- * Transcribe with whisper.cpp if configured.
- * Returns plain text.
- */
 function parsePyCmd(cmdline) {
   const tokens = shellParse(cmdline);
 
@@ -98,16 +94,261 @@ function parsePyCmd(cmdline) {
   return { cmd, args, env: {} };
 }
 
-export async function transcribeFile({ filePath, whisperCppBin, whisperCppModel, pyCmdTemplate, cudaVisibleDevices = null }) {
+function num(v) {
+  const n = Number(v);
+  return v === null || v === undefined || !Number.isFinite(n) ? null : n;
+}
+
+/**
+ * Normalize an STT result to:
+ * { text, language, languageProbability, duration,
+ *   segments: [{ start, end, text, avgLogProb, noSpeechProb, words: [{ start, end, word, probability }] | null }] }
+ * Times are seconds from the start of the audio file.
+ */
+export function normalizeSttResult(raw) {
+  if (raw === null || raw === undefined || typeof raw === 'string') {
+    const text = String(raw ?? '').trim();
+    return { text, language: null, languageProbability: null, duration: null, segments: [] };
+  }
+
+  const segments = (Array.isArray(raw.segments) ? raw.segments : [])
+    .map((seg) => ({
+      start: num(seg.start) ?? 0,
+      end: num(seg.end) ?? num(seg.start) ?? 0,
+      text: String(seg.text ?? '').trim(),
+      avgLogProb: num(seg.avg_logprob ?? seg.avgLogProb),
+      noSpeechProb: num(seg.no_speech_prob ?? seg.noSpeechProb),
+      words: Array.isArray(seg.words)
+        ? seg.words.map((w) => ({
+          start: num(w.start) ?? 0,
+          end: num(w.end) ?? 0,
+          word: String(w.word ?? ''),
+          probability: num(w.probability),
+        }))
+        : null,
+    }))
+    .filter((seg) => seg.text);
+
+  const text = String(raw.text ?? segments.map((seg) => seg.text).join(' ')).trim();
+  return {
+    text,
+    language: raw.language ? String(raw.language) : null,
+    languageProbability: num(raw.language_probability ?? raw.languageProbability),
+    duration: num(raw.duration),
+    segments,
+  };
+}
+
+// whisper.cpp `-oj` output: { result: { language }, transcription: [{ offsets: { from, to } (ms), text, tokens? }] }
+export function parseWhisperCppJson(json) {
+  const segments = (Array.isArray(json?.transcription) ? json.transcription : []).map((t) => {
+    // Average log-probability over text tokens when token probabilities are present (-ojf).
+    const probs = (Array.isArray(t.tokens) ? t.tokens : [])
+      .filter((tok) => typeof tok?.p === 'number' && tok.p > 0 && !/^\[_/.test(String(tok.text || '')))
+      .map((tok) => Math.log(tok.p));
+    return {
+      start: (num(t.offsets?.from) ?? 0) / 1000,
+      end: (num(t.offsets?.to) ?? 0) / 1000,
+      text: t.text,
+      avg_logprob: probs.length ? probs.reduce((a, b) => a + b, 0) / probs.length : null,
+      no_speech_prob: null,
+    };
+  });
+  return normalizeSttResult({ language: json?.result?.language ?? null, segments });
+}
+
+function cudaEnv(cudaVisibleDevices) {
+  const extraEnv = {};
+  if (cudaVisibleDevices !== null && cudaVisibleDevices !== undefined && String(cudaVisibleDevices) !== '') {
+    extraEnv.CUDA_VISIBLE_DEVICES = String(cudaVisibleDevices);
+  }
+  return extraEnv;
+}
+
+/**
+ * Long-lived faster-whisper worker (`transcribe_faster_whisper.py --server`).
+ *
+ * The model is loaded once; requests/responses are JSON lines on stdin/stdout.
+ * The command goes through the same `parsePyCmd` allowlist as one-shot mode.
+ * The process is started lazily and restarted with backoff if it exits or a request times out.
+ * The worker handles one request at a time: requests wait in a local queue and are sent when the previous one
+ * is answered, so `requestTimeoutMs` only counts the worker's own time on a request, not the wait behind others
+ * (STT_CONCURRENCY > 1 only lines requests up here). Resolves with a normalized result (see normalizeSttResult).
+ */
+export function createPyWorker({ pyCmdTemplate, cudaVisibleDevices = null, requestTimeoutMs = 10 * 60_000, logger = null }) {
+  const { cmd, args } = parsePyCmd(pyCmdTemplate);
+  const finalArgs = [...args, '--server'];
+
+  let child = null;
+  let ready = null; // Promise resolved on {"ready": true}
+  let nextId = 1;
+  const queue = []; // requests not sent yet: { filePath, resolve, reject }
+  let current = null; // the request the worker is on: { id, resolve, reject, timer } (timer set once sent)
+  let restarts = 0;
+  let restartAfterMs = 0;
+  let startAt = 0;
+  let closed = false;
+
+  function settleCurrent() {
+    const p = current;
+    current = null;
+    clearTimeout(p.timer);
+    return p;
+  }
+
+  function start() {
+    const proc = spawn(cmd, finalArgs, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ...cudaEnv(cudaVisibleDevices) },
+    });
+    child = proc;
+    let buf = '';
+    let err = '';
+
+    ready = new Promise((resolve, reject) => {
+      proc.once('error', reject);
+      proc.once('exit', (code) => reject(new Error(`STT worker exited before ready (code=${code})\n${err.slice(-2000)}`)));
+
+      proc.stdout.on('data', (d) => {
+        buf += d.toString('utf-8');
+        let nl;
+        while ((nl = buf.indexOf('\n')) >= 0) {
+          const line = buf.slice(0, nl).trim();
+          buf = buf.slice(nl + 1);
+          if (!line) continue;
+          let msg;
+          try {
+            msg = JSON.parse(line);
+          } catch {
+            logger?.warn?.('STT worker: non-JSON output ignored', line.slice(0, 200));
+            continue;
+          }
+          if (msg.ready) {
+            restartAfterMs = 0;
+            logger?.info?.('STT worker ready', { pid: proc.pid });
+            resolve();
+            continue;
+          }
+          if (current?.id !== msg.id) continue;
+          const p = settleCurrent();
+          if (msg.error) p.reject(new Error(`STT worker error: ${msg.error}`));
+          else p.resolve(normalizeSttResult(msg.result ?? msg.text));
+          pump();
+        }
+      });
+    });
+    // Avoid unhandled rejection if nobody is waiting on `ready` when it fails.
+    ready.catch(() => {});
+
+    proc.stderr.on('data', (d) => {
+      err = (err + d.toString('utf-8')).slice(-8000);
+    });
+
+    // The worker is gone: it exited, or failed to spawn (ENOENT/EACCES emit 'error' and may never emit 'exit').
+    let gone = false;
+    function onGone(reason) {
+      if (gone) return;
+      gone = true;
+      if (child === proc) child = null;
+      // Only a request the worker had received fails; a start failure is reported by pump().
+      if (current?.timer) settleCurrent().reject(new Error(`STT worker ${reason}\n${err.slice(-2000)}`));
+      if (closed) return;
+      restarts += 1;
+      restartAfterMs = Math.min(30_000, Math.max(1000, restartAfterMs * 2));
+      startAt = Date.now() + restartAfterMs;
+      logger?.warn?.(`STT worker ${reason}; will restart on next request`, { backoffMs: restartAfterMs });
+      pump();
+    }
+    proc.on('exit', (code, signal) => onGone(`exited (code=${code}, signal=${signal})`));
+    proc.on('error', (e) => onGone(`failed: ${e?.message || e}`));
+    // Writes to a dying worker surface via 'exit'; don't crash on EPIPE.
+    proc.stdin.on('error', () => {});
+  }
+
+  async function ensureStarted() {
+    if (closed) throw new Error('STT worker closed');
+    if (!child) {
+      const wait = startAt - Date.now();
+      if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+      if (!child) start();
+    }
+    await ready;
+  }
+
+  // Send the next queued request once the worker is free (starting it if needed).
+  async function pump() {
+    if (current || !queue.length) return;
+    const { filePath, resolve, reject } = queue.shift();
+    const id = nextId++;
+    current = { id, resolve, reject, timer: null };
+
+    let proc;
+    try {
+      await ensureStarted();
+      proc = child;
+      if (!proc) throw new Error('STT worker not running');
+    } catch (e) {
+      if (current?.id === id) settleCurrent();
+      reject(e);
+      pump();
+      return;
+    }
+
+    current.timer = setTimeout(() => {
+      if (current?.id !== id) return;
+      settleCurrent().reject(new Error(`STT worker timeout after ${requestTimeoutMs}ms`));
+      // A stuck model can't be trusted with the next request; restart it (the exit handler sends the next one).
+      try { proc.kill('SIGKILL'); } catch {}
+    }, requestTimeoutMs);
+    proc.stdin.write(JSON.stringify({ id, file: filePath }) + '\n');
+  }
+
+  function transcribe(filePath) {
+    if (closed) return Promise.reject(new Error('STT worker closed'));
+    return new Promise((resolve, reject) => {
+      queue.push({ filePath, resolve, reject });
+      pump();
+    });
+  }
+
+  function close() {
+    closed = true;
+    const err = new Error('STT worker closed');
+    if (current) settleCurrent().reject(err);
+    for (const p of queue.splice(0)) p.reject(err);
+    if (child) {
+      try { child.kill('SIGTERM'); } catch {}
+    }
+  }
+
+  function status() {
+    return { running: Boolean(child), pid: child?.pid ?? null, pending: queue.length + (current ? 1 : 0), restarts };
+  }
+
+  return { transcribe, close, status };
+}
+
+/**
+ * Transcribe one audio file with the configured backend (persistent worker, faster-whisper script or whisper.cpp).
+ * Returns a normalized result (see normalizeSttResult). `timeoutMs` bounds one-shot commands
+ * (the persistent worker uses its own request timeout).
+ */
+export async function transcribeFile({ filePath, whisperCppBin, whisperCppModel, pyCmdTemplate, pyWorker = null, cudaVisibleDevices = null, timeoutMs = 10 * 60_000 }) {
+  if (pyWorker) {
+    return pyWorker.transcribe(filePath);
+  }
+
   if (pyCmdTemplate) {
     const { cmd, args } = parsePyCmd(pyCmdTemplate);
-    const finalArgs = [...args, filePath];
-    const extraEnv = {};
-    if (cudaVisibleDevices !== null && cudaVisibleDevices !== undefined && String(cudaVisibleDevices) !== '') {
-      extraEnv.CUDA_VISIBLE_DEVICES = String(cudaVisibleDevices);
+    const finalArgs = [...args, ...(args.includes('--json') ? [] : ['--json']), filePath];
+    const { stdout } = await run(cmd, finalArgs, { timeoutMs, env: cudaEnv(cudaVisibleDevices) });
+    let parsed;
+    try {
+      parsed = JSON.parse(stdout);
+    } catch {
+      parsed = stdout;
     }
-    const { stdout } = await run(cmd, finalArgs, { env: extraEnv });
-    return stdout.trim();
+    return normalizeSttResult(parsed);
   }
 
   if (!whisperCppBin || !whisperCppModel) {
@@ -117,19 +358,22 @@ export async function transcribeFile({ filePath, whisperCppBin, whisperCppModel,
   // whisper.cpp writes output files; use a temp dir.
   const dir = mkdtempSync(join(tmpdir(), 'whispercpp-'));
   try {
-    // We ask it to output text only.
+    // We ask for text + JSON (segment offsets, language).
     // NOTE: flags may vary by version; user may need to adjust.
     const args = [
       '-m', whisperCppModel,
       '-f', filePath,
       '-otxt',
+      '-oj',
       '-of', join(dir, 'out'),
       '-nt',
     ];
-    await run(whisperCppBin, args);
-    const fs = await import('node:fs');
-    const txt = fs.readFileSync(join(dir, 'out.txt'), 'utf-8');
-    return txt.trim();
+    await run(whisperCppBin, args, { timeoutMs });
+    const jsonPath = join(dir, 'out.json');
+    if (existsSync(jsonPath)) {
+      return parseWhisperCppJson(JSON.parse(readFileSync(jsonPath, 'utf-8')));
+    }
+    return normalizeSttResult(readFileSync(join(dir, 'out.txt'), 'utf-8'));
   } finally {
     rmSync(dir, { recursive: true, force: true });
   }
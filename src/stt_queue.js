@@ -0,0 +1,133 @@
+export const OVERFLOW_POLICIES = ['keep', 'drop-oldest', 'drop-newest'];
+
+/**
+ * FIFO job queue for transcription with bounded concurrency.
+ *
+ * Jobs only hold file paths: audio waits on disk (raw PCM) until the job runs, so a long queue
+ * costs disk space, not memory. When more than `maxQueue` jobs are waiting, `overflow` decides:
+ * - keep: keep queueing (audio stays on disk), warn once per overflow episode
+ * - drop-oldest: discard the oldest waiting job
+ * - drop-newest: discard the job being enqueued
+ *
+ * Dropped/cancelled jobs have `discard()` called and their promise rejected with `err.code = 'STT_DROPPED'`.
+ */
+export function createSttQueue({ concurrency = 1, maxQueue = 50, overflow = 'keep', logger = null } = {}) {
+  const waiting = [];
+  let running = 0;
+  let overflowWarned = false;
+
+  const stats = {
+    enqueued: 0,
+    started: 0,
+    completed: 0,
+    failed: 0,
+    dropped: 0,
+    maxDepth: 0,
+    lastWaitMs: null,
+    totalWaitMs: 0,
+  };
+
+  function droppedError(reason) {
+    const err = new Error(`STT job dropped (${reason})`);
+    err.code = 'STT_DROPPED';
+    return err;
+  }
+
+  function drop(job, reason) {
+    stats.dropped += 1;
+    try {
+      job.discard?.();
+    } catch {}
+    job.reject(droppedError(reason));
+  }
+
+  function pump() {
+    while (running < concurrency && waiting.length) {
+      const job = waiting.shift();
+      running += 1;
+      stats.started += 1;
+      const waitMs = Date.now() - job.enqueuedAtMs;
+      stats.lastWaitMs = waitMs;
+      stats.totalWaitMs += waitMs;
+
+      Promise.resolve()
+        .then(() => job.run())
+        .then(
+          (v) => {
+            stats.completed += 1;
+            job.resolve(v);
+          },
+          (e) => {
+            stats.failed += 1;
+            job.reject(e);
+          }
+        )
+        .finally(() => {
+          running -= 1;
+          pump();
+        });
+    }
+    if (waiting.length <= maxQueue) overflowWarned = false;
+  }
+
+  /**
+   * Enqueue a job. `key` groups jobs (e.g. a call session) and `tag` tells them apart (e.g. the speaker)
+   * for `cancel()`. Resolves/rejects with the job's result.
+   */
+  function enqueue({ key = null, tag = null, run, discard = null }) {
+    return new Promise((resolve, reject) => {
+      const job = { key, tag, run, discard, resolve, reject, enqueuedAtMs: Date.now() };
+      stats.enqueued += 1;
+
+      if (maxQueue > 0 && waiting.length >= maxQueue && running >= concurrency) {
+        if (overflow === 'drop-newest') {
+          logger?.warn?.('STT queue full; dropping newest job', { depth: waiting.length, maxQueue });
+          drop(job, 'queue full');
+          return;
+        }
+        if (overflow === 'drop-oldest') {
+          logger?.warn?.('STT queue full; dropping oldest job', { depth: waiting.length, maxQueue });
+          drop(waiting.shift(), 'queue full');
+        } else if (!overflowWarned) {
+          overflowWarned = true;
+          logger?.warn?.('STT queue over limit; audio is kept on disk until processed', { depth: waiting.length, maxQueue });
+        }
+      }
+
+      waiting.push(job);
+      stats.maxDepth = Math.max(stats.maxDepth, waiting.length);
+      pump();
+    });
+  }
+
+  // Drop waiting jobs for `key` (e.g. when a session's audio is deleted), only those with `tag` if given.
+  // Running jobs are not interrupted.
+  function cancel(key, tag = null) {
+    let n = 0;
+    for (let i = waiting.length - 1; i >= 0; i--) {
+      if (waiting[i].key !== key || (tag !== null && waiting[i].tag !== tag)) continue;
+      const [job] = waiting.splice(i, 1);
+      drop(job, 'cancelled');
+      n += 1;
+    }
+    return n;
+  }
+
+  function depthFor(key) {
+    return waiting.filter((j) => j.key === key).length;
+  }
+
+  function snapshot() {
+    return {
+      depth: waiting.length,
+      running,
+      concurrency,
+      maxQueue,
+      overflow,
+      ...stats,
+      avgWaitMs: stats.started > 0 ? Math.round(stats.totalWaitMs / stats.started) : null,
+    };
+  }
+
+  return { enqueue, cancel, depthFor, snapshot };
+}
@@ -0,0 +1,35 @@
+import { sendDiscordMessage } from '../discord.js';
+import { withRetries } from '../retry.js';
+
+// Discord: replaces the "recording in progress" notice with the summary (or posts it to the notice channel).
+// Only available to the bot itself; the summary must carry `discord: { message, channel }`.
+// A retry continues with the chunks that weren't sent yet.
+export const discordTarget = {
+  name: 'discord',
+  retry: null,
+
+  loadConfig(env, cfg) {
+    // On by default; only an explicit DISCORD_SUMMARY_ENABLED makes it count as the deployment's delivery target.
+    return { enabled: cfg.DISCORD_SUMMARY_ENABLED, byDefault: env.DISCORD_SUMMARY_ENABLED == null };
+  },
+
+  validate() {
+    return [];
+  },
+
+  format(summary) {
+    const { message = null, channel = null } = summary.discord || {};
+    if (!message && !channel) return null;
+    return { message, channel, text: summary.texts?.discord ?? summary.text, mentionUserIds: summary.mentionUserIds || [] };
+  },
+
+  send({ options, message, logger }) {
+    const progress = { sent: 0, first: null };
+    return withRetries(() => sendDiscordMessage({ ...message, progress }), {
+      logger,
+      name: 'discord delivery',
+      retries: options.retries ?? 2,
+      baseDelayMs: options.retryDelayMs ?? 800,
+    });
+  },
+};
@@ -0,0 +1,90 @@
+import { hostname } from 'node:os';
+
+import { addressOf, isEmailAddress, sendEmail, summaryToHtml } from '../email.js';
+import { clampNumber, isTruthy } from '../security.js';
+
+function addressList(value) {
+  return String(value || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Email over SMTP (SMTP_HOST): HTML + plain-text summary to SMTP_TO and, with EMAIL_TO_PARTICIPANTS, to the
+// call's participants that have an email in the identity map; the transcript is attached (EMAIL_ATTACH_TRANSCRIPT).
+export const emailTarget = {
+  name: 'email',
+  retry: { retries: 2, baseDelayMs: 1000 },
+
+  loadConfig(env) {
+    const port = clampNumber('SMTP_PORT', env.SMTP_PORT, { min: 1, max: 65535, fallback: 587 });
+    return {
+      enabled: Boolean(env.SMTP_HOST),
+      host: String(env.SMTP_HOST || '').trim(),
+      port,
+      // Implicit TLS (SMTPS) is the norm on 465; elsewhere STARTTLS.
+      secure: isTruthy(env.SMTP_SECURE, port === 465),
+      requireTls: isTruthy(env.SMTP_REQUIRE_TLS, true),
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null,
+      from: String(env.SMTP_FROM || '').trim(),
+      to: addressList(env.SMTP_TO),
+      toParticipants: isTruthy(env.EMAIL_TO_PARTICIPANTS, false),
+      attachTranscript: isTruthy(env.EMAIL_ATTACH_TRANSCRIPT, true),
+      timeoutMs: clampNumber('SMTP_TIMEOUT_MS', env.SMTP_TIMEOUT_MS, { min: 1000, max: 120_000, fallback: 30000 }),
+    };
+  },
+
+  validate(options, cfg) {
+    const errors = [];
+    if (!options.from) errors.push('SMTP_FROM is required for email delivery');
+    else if (!isEmailAddress(addressOf(options.from))) errors.push(`SMTP_FROM is not an email address (got: ${options.from})`);
+    const bad = options.to.filter((a) => !isEmailAddress(a));
+    if (bad.length) errors.push(`SMTP_TO must be comma-separated email addresses (got: ${bad.join(', ')})`);
+    if (!options.to.length && !options.toParticipants) errors.push('SMTP_TO (or EMAIL_TO_PARTICIPANTS=true) is required for email delivery');
+    if (options.toParticipants && !cfg.IDENTITY_MAP_FILE) errors.push('EMAIL_TO_PARTICIPANTS needs IDENTITY_MAP_FILE (participant emails come from the identity map)');
+    if (options.user && !options.pass) errors.push('SMTP_PASS is required when SMTP_USER is set');
+    return errors;
+  },
+
+  format(summary, options) {
+    const participants = options.toParticipants ? (summary.participantContacts || []).map((c) => c.email).filter(Boolean) : [];
+    const seen = new Set();
+    const to = [...options.to, ...participants].filter((a) => {
+      const key = a.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    if (!to.length) return null;
+
+    const text = summary.text;
+    const payload = summary.webhookPayload || {};
+    const attachments =
+      options.attachTranscript && summary.transcript
+        ? [{ filename: summary.transcript.filename, content: summary.transcript.text, contentType: 'text/plain; charset=utf-8' }]
+        : [];
+    return {
+      to,
+      subject: `Call summary: ${payload.channel ?? '(unknown)'} (${payload.startedAt ?? '?'})`,
+      text,
+      html: summaryToHtml(text),
+      attachments,
+    };
+  },
+
+  send({ options, message }) {
+    return sendEmail({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      requireTls: options.requireTls,
+      user: options.user,
+      pass: options.pass,
+      from: options.from,
+      timeoutMs: options.timeoutMs,
+      clientName: hostname() || 'localhost',
+      ...message,
+    });
+  },
+};
@@ -0,0 +1,113 @@
+import { join } from 'node:path';
+
+import { clampNumber } from '../security.js';
+import { withRetries } from '../retry.js';
+import {
+  ISSUE_TRACKERS,
+  buildIssue,
+  callMarker,
+  createIssueStore,
+  createIssueTracker,
+  findDuplicateIssue,
+  issueKey,
+  parseTrackerIssues,
+} from '../issue_trackers.js';
+
+// Required settings per tracker: [env name, value].
+const REQUIRED = {
+  github: (o) => [['GITHUB_TOKEN', o.github.token], ['GITHUB_REPO', o.github.repo]],
+  jira: (o) => [['JIRA_BASE_URL', o.jira.baseUrl], ['JIRA_EMAIL', o.jira.email], ['JIRA_API_TOKEN', o.jira.apiToken], ['JIRA_PROJECT_KEY', o.jira.projectKey]],
+  linear: (o) => [['LINEAR_API_KEY', o.linear.apiKey], ['LINEAR_TEAM_ID', o.linear.teamId]],
+};
+
+// Issue tracker (ISSUE_TRACKER): one issue per action item of the structured minutes, deduplicated per call.
+// Retries are per issue (so a failure doesn't re-create the ones already pushed).
+// Before creating anything the call's issues are looked up on the tracker (by the call marker in their body)
+// and in DATA_DIR/issues.json, so re-summarizing a call — which words its tasks differently — doesn't duplicate
+// them. If the lookup fails, nothing is created.
+export const issuesTarget = {
+  name: 'issues',
+  retry: null,
+
+  loadConfig(env, cfg) {
+    const timeoutMs = clampNumber('ISSUE_TIMEOUT_MS', env.ISSUE_TIMEOUT_MS, { min: 1000, max: 120_000, fallback: 15000 });
+    const tracker = String(env.ISSUE_TRACKER || '').toLowerCase().trim();
+    return {
+      enabled: Boolean(tracker),
+      tracker,
+      labels: String(env.ISSUE_LABELS || '')
+        .split(',')
+        .map((s) => s.trim())
+        .filter(Boolean),
+      storePath: join(cfg.DATA_DIR, 'issues.json'),
+      github: { apiUrl: env.GITHUB_API_URL || 'https://api.github.com', token: env.GITHUB_TOKEN || null, repo: String(env.GITHUB_REPO || '').trim(), timeoutMs },
+      jira: {
+        baseUrl: env.JIRA_BASE_URL || null,
+        email: env.JIRA_EMAIL || null,
+        apiToken: env.JIRA_API_TOKEN || null,
+        projectKey: String(env.JIRA_PROJECT_KEY || '').trim(),
+        issueType: env.JIRA_ISSUE_TYPE || 'Task',
+        timeoutMs,
+      },
+      linear: { apiUrl: env.LINEAR_API_URL || 'https://api.linear.app/graphql', apiKey: env.LINEAR_API_KEY || null, teamId: String(env.LINEAR_TEAM_ID || '').trim(), timeoutMs },
+    };
+  },
+
+  validate(options, cfg) {
+    const errors = [];
+    if (!REQUIRED[options.tracker]) {
+      return [`ISSUE_TRACKER must be one of ${ISSUE_TRACKERS.join(', ')} (got: ${options.tracker})`];
+    }
+    for (const [name, value] of REQUIRED[options.tracker](options)) {
+      if (!value) errors.push(`${name} is required (ISSUE_TRACKER=${options.tracker})`);
+    }
+    if (options.tracker === 'github' && options.github.repo && !/^[\w.-]+\/[\w.-]+$/.test(options.github.repo)) {
+      errors.push(`GITHUB_REPO must be owner/repo (got: ${options.github.repo})`);
+    }
+    if (cfg.SUMMARY_FORMAT !== 'json') {
+      errors.push('ISSUE_TRACKER needs SUMMARY_FORMAT=json (action items come from structured minutes)');
+    }
+    return errors;
+  },
+
+  format(summary) {
+    const payload = summary.webhookPayload;
+    const items = payload?.minutes?.actionItems || [];
+    if (!items.length) return null;
+    return { items, callId: summary.callId, channelName: payload.channel, startedAt: payload.startedAt };
+  },
+
+  async send({ options, message, logger }) {
+    const { items, callId, channelName, startedAt } = message;
+    if (!callId) throw new Error('Issue delivery needs a call id for deduplication');
+
+    const tracker = createIssueTracker(options);
+    const store = createIssueStore({ path: options.storePath, logger });
+    const retry = { logger, retries: options.retries ?? 1, baseDelayMs: options.retryDelayMs ?? 800 };
+    const marker = callMarker(callId);
+    const found = await withRetries(() => tracker.findIssues(marker), { ...retry, name: `${tracker.name} issue search` });
+    // Known issues of the call, each matched to at most one action item.
+    const known = new Map();
+    for (const issue of [...store.forCall(tracker.name, callId), ...parseTrackerIssues(found)]) {
+      if (!known.has(String(issue.id))) known.set(String(issue.id), issue);
+    }
+
+    let created = 0;
+    let skipped = 0;
+    for (const item of items) {
+      const key = issueKey({ tracker: tracker.name, callId, task: item.task });
+      const existing = store.get(key) || findDuplicateIssue(item, [...known.values()]);
+      if (existing) {
+        known.delete(String(existing.id));
+        if (!store.get(key)) store.set(key, { tracker: tracker.name, id: existing.id, url: existing.url, callId, task: item.task, owner: item.owner || '' });
+        skipped += 1;
+        continue;
+      }
+      const issue = buildIssue({ item, tracker: tracker.name, key, marker, channelName, startedAt, labels: options.labels });
+      const res = await withRetries(() => tracker.createIssue(issue), { ...retry, name: `${tracker.name} issue` });
+      store.set(key, { tracker: tracker.name, id: res.id, url: res.url, callId, task: item.task, owner: item.owner || '' });
+      created += 1;
+    }
+    logger?.info?.('Issues delivered', { tracker: tracker.name, created, skipped });
+  },
+};
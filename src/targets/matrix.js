@@ -0,0 +1,53 @@
+import { randomUUID } from 'node:crypto';
+
+import { sendMatrixMessage } from '../matrix.js';
+import { clampNumber } from '../security.js';
+
+// Matrix room (MATRIX_HOMESERVER_URL + MATRIX_ACCESS_TOKEN + MATRIX_ROOM_ID): the summary as an HTML message.
+export const matrixTarget = {
+  name: 'matrix',
+  retry: { retries: 2, baseDelayMs: 800 },
+
+  loadConfig(env) {
+    const homeserverUrl = String(env.MATRIX_HOMESERVER_URL || '').trim();
+    const accessToken = env.MATRIX_ACCESS_TOKEN || null;
+    const roomId = String(env.MATRIX_ROOM_ID || '').trim();
+    return {
+      enabled: Boolean(homeserverUrl || accessToken || roomId),
+      homeserverUrl,
+      accessToken,
+      roomId,
+      msgtype: env.MATRIX_MSGTYPE || 'm.text',
+      timeoutMs: clampNumber('MATRIX_TIMEOUT_MS', env.MATRIX_TIMEOUT_MS, { min: 1000, max: 120_000, fallback: 15000 }),
+      maxChars: clampNumber('MATRIX_MAX_CHARS', env.MATRIX_MAX_CHARS, { min: 1000, max: 60_000, fallback: 30000 }),
+    };
+  },
+
+  validate(options) {
+    const errors = [];
+    if (!/^https?:\/\//.test(options.homeserverUrl)) errors.push('MATRIX_HOMESERVER_URL must be an http(s):// URL');
+    if (!options.accessToken) errors.push('MATRIX_ACCESS_TOKEN is required for Matrix delivery');
+    // The send API takes room IDs only, not #aliases.
+    if (!/^![^:\s]+:\S+$/.test(options.roomId)) errors.push(`MATRIX_ROOM_ID must be a room ID like !abc:example.org (got: ${options.roomId || 'empty'})`);
+    if (!['m.text', 'm.notice'].includes(options.msgtype)) errors.push(`MATRIX_MSGTYPE must be m.text or m.notice (got: ${options.msgtype})`);
+    return errors;
+  },
+
+  format(summary) {
+    // One transaction id per delivery, so retries don't post chunks twice.
+    return { text: summary.text, txnId: `d2s-${randomUUID()}` };
+  },
+
+  send({ options, message }) {
+    return sendMatrixMessage({
+      homeserverUrl: options.homeserverUrl,
+      accessToken: options.accessToken,
+      roomId: options.roomId,
+      msgtype: options.msgtype,
+      timeoutMs: options.timeoutMs,
+      maxChars: options.maxChars,
+      text: message.text,
+      txnId: message.txnId,
+    });
+  },
+};
@@ -0,0 +1,108 @@
+import { join } from 'node:path';
+
+import { createSlackMessageStore, postSlackThreadText, sendSlackMessage, sendSlackSummary, uploadSlackFile } from '../slack.js';
+import { withRetries } from '../retry.js';
+import { clampNumber } from '../security.js';
+
+const TITLE = 'Discord call summary';
+const TRANSCRIPT_MODES = ['off', 'thread', 'file'];
+
+// One delivery attempt; `progress` ({ sent }) is shared by the attempts of a delivery.
+async function sendSlack({ options, message, logger, progress }) {
+  if (!options.botToken) {
+    return sendSlackMessage({
+      webhookUrl: options.webhookUrl,
+      channel: options.channel,
+      username: options.username,
+      iconEmoji: options.iconEmoji,
+      timeoutMs: options.timeoutMs,
+      maxChars: options.maxChars,
+      text: message.text,
+      progress,
+    });
+  }
+
+  const api = { apiUrl: options.apiUrl, token: options.botToken, timeoutMs: options.timeoutMs };
+  const store = message.callId ? createSlackMessageStore({ path: options.storePath, logger }) : null;
+  const previous = store?.get(message.callId) ?? null;
+  const posted = await sendSlackSummary({ ...api, channel: options.channel, title: TITLE, text: message.body, previous });
+  // Saved right away, so a retry after a failed transcript upload edits this message instead of posting again.
+  const sameMessage = previous?.ts === posted.ts;
+  store?.set(message.callId, { channel: posted.channel, ts: posted.ts, moreTs: posted.moreTs, transcriptPosted: sameMessage && Boolean(previous.transcriptPosted) });
+
+  if (message.transcript && !(sameMessage && previous.transcriptPosted)) {
+    const { filename, text } = message.transcript;
+    if (options.transcript === 'file') {
+      await uploadSlackFile({ ...api, channel: posted.channel, threadTs: posted.ts, filename, content: text, title: `Transcript: ${filename}` });
+    } else {
+      await postSlackThreadText({ ...api, channel: posted.channel, threadTs: posted.ts, text, maxChars: options.maxChars, progress });
+    }
+    store?.set(message.callId, { transcriptPosted: true });
+  }
+  logger?.info?.('Slack summary posted', { channel: posted.channel, ts: posted.ts, updated: sameMessage });
+  return { channel: posted.channel, ts: posted.ts };
+}
+
+// Slack: with SLACK_BOT_TOKEN, the Web API (Block Kit message, optional transcript in its thread, re-deliveries
+// of a call edit the same message); otherwise plain text through an Incoming Webhook (SLACK_WEBHOOK_URL).
+// A retry continues with the webhook chunks or transcript replies that weren't sent yet.
+export const slackTarget = {
+  name: 'slack',
+  retry: null,
+
+  loadConfig(env, cfg) {
+    return {
+      enabled: Boolean(env.SLACK_WEBHOOK_URL || env.SLACK_BOT_TOKEN),
+      webhookUrl: env.SLACK_WEBHOOK_URL || null,
+      botToken: env.SLACK_BOT_TOKEN || null,
+      apiUrl: env.SLACK_API_URL || 'https://slack.com/api',
+      channel: env.SLACK_CHANNEL || null,
+      username: env.SLACK_USERNAME || null,
+      iconEmoji: env.SLACK_ICON_EMOJI || null,
+      transcript: String(env.SLACK_TRANSCRIPT || 'off').toLowerCase().trim(),
+      storePath: join(cfg.DATA_DIR, 'slack_messages.json'),
+      timeoutMs: clampNumber('SLACK_TIMEOUT_MS', env.SLACK_TIMEOUT_MS, { min: 1000, max: 120_000, fallback: 15000 }),
+      maxChars: clampNumber('SLACK_MAX_CHARS', env.SLACK_MAX_CHARS, { min: 1000, max: 100_000, fallback: 35000 }),
+    };
+  },
+
+  validate(options) {
+    const errors = [];
+    if (options.botToken) {
+      if (!/^xox[bp]-/.test(options.botToken)) errors.push('SLACK_BOT_TOKEN must be a bot token (xoxb-...)');
+      // chat.update needs the channel ID, not a #name.
+      if (!/^[CGD][A-Z0-9]{6,}$/.test(String(options.channel || ''))) {
+        errors.push(`SLACK_CHANNEL must be a channel ID like C0123ABCD with SLACK_BOT_TOKEN (got: ${options.channel || 'empty'})`);
+      }
+    } else if (!/^https:\/\//.test(String(options.webhookUrl))) {
+      errors.push('SLACK_WEBHOOK_URL must be an https:// URL');
+    }
+    if (!TRANSCRIPT_MODES.includes(options.transcript)) {
+      errors.push(`SLACK_TRANSCRIPT must be one of ${TRANSCRIPT_MODES.join(', ')} (got: ${options.transcript})`);
+    } else if (options.transcript !== 'off' && !options.botToken) {
+      errors.push('SLACK_TRANSCRIPT needs SLACK_BOT_TOKEN (incoming webhooks cannot post threads or files)');
+    }
+    return errors;
+  },
+
+  format(summary, options) {
+    const text = summary.texts?.slack ?? summary.text;
+    return {
+      text,
+      // Block Kit messages get the title as a header block instead of the first line.
+      body: text.startsWith(`${TITLE}\n`) ? text.slice(TITLE.length + 1).trimStart() : text,
+      callId: summary.callId ?? null,
+      transcript: options.transcript !== 'off' ? summary.transcript ?? null : null,
+    };
+  },
+
+  send({ options, message, logger }) {
+    const progress = { sent: 0 };
+    return withRetries(() => sendSlack({ options, message, logger, progress }), {
+      logger,
+      name: 'slack delivery',
+      retries: options.retries ?? 2,
+      baseDelayMs: options.retryDelayMs ?? 800,
+    });
+  },
+};
@@ -0,0 +1,46 @@
+import { describeSummarySource } from '../llm_summary.js';
+import { sendTeamsMessage } from '../teams.js';
+import { withRetries } from '../retry.js';
+import { clampNumber } from '../security.js';
+
+// Microsoft Teams incoming webhook (TEAMS_WEBHOOK_URL): the summary as an Adaptive Card, call details as facts.
+// A retry continues with the cards that weren't sent yet.
+export const teamsTarget = {
+  name: 'teams',
+  retry: null,
+
+  loadConfig(env) {
+    return {
+      enabled: Boolean(env.TEAMS_WEBHOOK_URL),
+      webhookUrl: env.TEAMS_WEBHOOK_URL || null,
+      timeoutMs: clampNumber('TEAMS_TIMEOUT_MS', env.TEAMS_TIMEOUT_MS, { min: 1000, max: 120_000, fallback: 15000 }),
+      // Teams rejects cards over ~28 KB.
+      maxChars: clampNumber('TEAMS_MAX_CHARS', env.TEAMS_MAX_CHARS, { min: 1000, max: 25_000, fallback: 20000 }),
+    };
+  },
+
+  validate(options) {
+    return /^https:\/\//.test(String(options.webhookUrl)) ? [] : ['TEAMS_WEBHOOK_URL must be an https:// URL'];
+  },
+
+  format(summary) {
+    const payload = summary.webhookPayload;
+    if (!payload) return { title: 'Discord call summary', facts: [], text: summary.text };
+    const facts = [
+      { title: 'Channel', value: payload.channel },
+      { title: 'Started', value: payload.startedAt },
+      { title: 'Ended', value: payload.endedAt },
+      { title: 'Participants', value: payload.participants.join(', ') || '(none)' },
+    ];
+    if (payload.summarySource) facts.push({ title: 'Summary by', value: describeSummarySource(payload.summarySource) });
+    return { title: 'Discord call summary', facts, text: payload.summary };
+  },
+
+  send({ options, message, logger }) {
+    const progress = { sent: 0 };
+    return withRetries(
+      () => sendTeamsMessage({ webhookUrl: options.webhookUrl, timeoutMs: options.timeoutMs, maxChars: options.maxChars, ...message, progress }),
+      { logger, name: 'teams delivery', retries: options.retries ?? 2, baseDelayMs: options.retryDelayMs ?? 800 },
+    );
+  },
+};
@@ -0,0 +1,100 @@
+import { sendTelegramDocument, sendTelegramMessage } from '../telegram.js';
+import { withRetries } from '../retry.js';
+import { clampNumber, isTruthy } from '../security.js';
+
+// Group/channel ids are negative; public channels may be given as @username.
+const CHAT_ID_RE = /^(-?\d+|@\w{5,})$/;
+const THREAD_ID_RE = /^\d+$/;
+
+/**
+ * TELEGRAM_ROUTES: `key=chat[:topic]` entries separated by ";" or newlines, where key is a Discord voice
+ * channel ID or name (case-insensitive). Returns { routes: [{ key, chatId, threadId }], errors }.
+ */
+export function parseTelegramRoutes(value) {
+  const routes = [];
+  const errors = [];
+  for (const entry of String(value || '').split(/[;\n]/).map((s) => s.trim()).filter(Boolean)) {
+    const eq = entry.lastIndexOf('=');
+    const key = eq > 0 ? entry.slice(0, eq).trim().toLowerCase() : '';
+    const [chatId, threadId = null, ...extra] = eq > 0 ? entry.slice(eq + 1).trim().split(':') : [];
+    if (!key || !CHAT_ID_RE.test(chatId || '') || (threadId != null && !THREAD_ID_RE.test(threadId)) || extra.length) {
+      errors.push(`TELEGRAM_ROUTES: invalid entry ${JSON.stringify(entry)} (use <voice channel id or name>=<chat id>[:<topic id>])`);
+      continue;
+    }
+    routes.push({ key, chatId, threadId: threadId ? Number(threadId) : null });
+  }
+  return { routes, errors };
+}
+
+/**
+ * Chat and topic for a call: the route of its voice channel (by ID, then name), else TELEGRAM_CHAT_ID /
+ * TELEGRAM_THREAD_ID. Null when neither applies.
+ */
+export function telegramRoute(options, { channelId = null, channelName = null } = {}) {
+  const byKey = (key) => (key ? options.routes.find((r) => r.key === String(key).toLowerCase()) : null);
+  const route = byKey(channelId) || byKey(channelName);
+  if (route) return { chatId: route.chatId, threadId: route.threadId };
+  return options.chatId ? { chatId: options.chatId, threadId: options.threadId } : null;
+}
+
+// Telegram Bot API: the summary as HTML to the call's chat/topic (TELEGRAM_CHAT_ID, TELEGRAM_ROUTES), optionally
+// followed by the transcript as a .txt document. Retries are per step, so a failed upload doesn't resend the summary.
+export const telegramTarget = {
+  name: 'telegram',
+  retry: null,
+
+  loadConfig(env) {
+    const token = env.TELEGRAM_BOT_TOKEN || null;
+    const chatId = env.TELEGRAM_CHAT_ID || null;
+    const { routes, errors: routeErrors } = parseTelegramRoutes(env.TELEGRAM_ROUTES);
+    return {
+      enabled: Boolean(token || chatId || env.TELEGRAM_ROUTES),
+      token,
+      chatId,
+      threadId: env.TELEGRAM_THREAD_ID || null,
+      routes,
+      routeErrors,
+      apiUrl: env.TELEGRAM_API_URL || 'https://api.telegram.org',
+      sendTranscript: isTruthy(env.TELEGRAM_SEND_TRANSCRIPT, false),
+      timeoutMs: clampNumber('TELEGRAM_HTTP_TIMEOUT_MS', env.TELEGRAM_HTTP_TIMEOUT_MS, { min: 1000, max: 120_000, fallback: 30000 }),
+    };
+  },
+
+  validate(options) {
+    const errors = [...options.routeErrors];
+    if (!options.token) errors.push('TELEGRAM_BOT_TOKEN is required for Telegram delivery');
+    if (!options.chatId && !options.routes.length) errors.push('TELEGRAM_CHAT_ID (or TELEGRAM_ROUTES) is required for Telegram delivery');
+    if (options.chatId && !CHAT_ID_RE.test(String(options.chatId))) {
+      errors.push(`TELEGRAM_CHAT_ID must be a numeric chat id or @channel (got: ${options.chatId})`);
+    }
+    if (options.threadId && !THREAD_ID_RE.test(String(options.threadId))) {
+      errors.push(`TELEGRAM_THREAD_ID must be a numeric forum topic id (got: ${options.threadId})`);
+    }
+    if (options.threadId && !options.chatId) errors.push('TELEGRAM_THREAD_ID needs TELEGRAM_CHAT_ID');
+    return errors;
+  },
+
+  format(summary, options) {
+    const route = telegramRoute(options, { channelId: summary.channelId, channelName: summary.webhookPayload?.channel });
+    // Calls of channels without a route are skipped when there is no default chat.
+    if (!route) return null;
+    return {
+      ...route,
+      text: summary.texts?.telegram ?? summary.text,
+      transcript: options.sendTranscript ? summary.transcript ?? null : null,
+    };
+  },
+
+  async send({ options, message, logger }) {
+    const api = { apiUrl: options.apiUrl, token: options.token, chatId: message.chatId, threadId: message.threadId, timeoutMs: options.timeoutMs };
+    const retry = { logger, retries: options.retries ?? 2, baseDelayMs: options.retryDelayMs ?? 800 };
+    await withRetries(() => sendTelegramMessage({ ...api, text: message.text, logger }), { ...retry, name: 'telegram message' });
+    if (message.transcript) {
+      const { filename, text } = message.transcript;
+      await withRetries(() => sendTelegramDocument({ ...api, filename, content: text, caption: `Transcript: ${filename}` }), {
+        ...retry,
+        name: 'telegram transcript',
+      });
+    }
+  },
+};
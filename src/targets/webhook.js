@@ -0,0 +1,155 @@
+import { join } from 'node:path';
+
+import { createWebhookOutbox, isRetryableWebhookError, sendWebhook, webhookIdempotencyKey } from '../webhook.js';
+import { decryptBuffer, encryptBuffer } from '../encryption.js';
+import { withRetries } from '../retry.js';
+import { clampNumber, isTruthy } from '../security.js';
+
+// Outbox retries back off from a minute up to an hour between attempts.
+const OUTBOX_BASE_DELAY_MS = 60_000;
+const OUTBOX_MAX_DELAY_MS = 3_600_000;
+const MIN_SECRET_LENGTH = 16;
+
+// Only one outbox pass at a time (the periodic retry may overlap a slow endpoint).
+let retrying = false;
+
+function outboxOf(options, logger) {
+  return options.outbox ? createWebhookOutbox({ path: options.outboxPath, logger }) : null;
+}
+
+// Queued payloads are encrypted like the transcripts when TRANSCRIPTS_ENCRYPTION_KEY is set.
+function sealPayload(payload, options) {
+  if (!options.encryptionKey) return { payload };
+  return { sealed: encryptBuffer(Buffer.from(JSON.stringify(payload), 'utf-8'), options.encryptionKey).toString('base64') };
+}
+
+function openPayload(entry, options) {
+  if (!entry.sealed) return entry.payload;
+  return JSON.parse(decryptBuffer(Buffer.from(entry.sealed, 'base64'), options.encryptionKey).toString('utf-8'));
+}
+
+function nextAttemptAt(attempts, now) {
+  return new Date(now + Math.min(OUTBOX_BASE_DELAY_MS * Math.pow(2, attempts - 1), OUTBOX_MAX_DELAY_MS)).toISOString();
+}
+
+// Generic JSON webhook (WEBHOOK_URL): the structured payload from buildWebhookPayload, signed with WEBHOOK_SECRET.
+// Deliveries that still fail after the quick retries go to an outbox on disk and are retried by the bot.
+export const webhookTarget = {
+  name: 'webhook',
+  retry: null,
+
+  loadConfig(env, cfg) {
+    return {
+      enabled: Boolean(env.WEBHOOK_URL),
+      url: env.WEBHOOK_URL || null,
+      secret: env.WEBHOOK_SECRET || null,
+      timeoutMs: clampNumber('WEBHOOK_TIMEOUT_MS', env.WEBHOOK_TIMEOUT_MS, { min: 1000, max: 120_000, fallback: 15000 }),
+      includeTranscript: isTruthy(env.WEBHOOK_INCLUDE_TRANSCRIPT, false),
+      outbox: isTruthy(env.WEBHOOK_OUTBOX, true),
+      outboxPath: join(cfg.DATA_DIR, 'webhook_outbox.json'),
+      outboxMaxAgeMs: clampNumber('WEBHOOK_OUTBOX_MAX_AGE_HOURS', env.WEBHOOK_OUTBOX_MAX_AGE_HOURS, { min: 1, max: 720, fallback: 72 }) * 3_600_000,
+      encryptionKey: cfg.TRANSCRIPTS_ENCRYPTION_KEY || null,
+    };
+  },
+
+  validate(options) {
+    const errors = [];
+    if (!/^https?:\/\//.test(String(options.url))) errors.push('WEBHOOK_URL must be an http(s):// URL');
+    if (options.secret && options.secret.length < MIN_SECRET_LENGTH) {
+      errors.push(`WEBHOOK_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return errors;
+  },
+
+  format(summary, options) {
+    if (!summary.webhookPayload) return null;
+    const payload = {
+      ...summary.webhookPayload,
+      transcript: options.includeTranscript ? summary.transcript ?? null : null,
+    };
+    return { idempotencyKey: webhookIdempotencyKey(payload), ...payload };
+  },
+
+  // Resolves with { id, queued }: `queued` when the delivery failed and went to the outbox for later retries.
+  async send({ options, message, logger }) {
+    const outbox = outboxOf(options, logger);
+    const key = message.callId || message.idempotencyKey;
+    try {
+      await withRetries(() => sendWebhook({ url: options.url, secret: options.secret, timeoutMs: options.timeoutMs, logger, payload: message }), {
+        logger,
+        name: 'webhook delivery',
+        retries: options.retries ?? 1,
+        baseDelayMs: options.retryDelayMs ?? 800,
+      });
+    } catch (e) {
+      if (!outbox || !isRetryableWebhookError(e)) throw e;
+      const now = Date.now();
+      const lastError = String(e?.message || e).slice(0, 300);
+      outbox.put(key, {
+        id: message.idempotencyKey,
+        ...sealPayload(message, options),
+        attempts: 1,
+        firstFailedAt: new Date(now).toISOString(),
+        nextAttemptAt: nextAttemptAt(1, now),
+        lastError,
+      });
+      logger?.warn?.('Webhook delivery failed; queued in the outbox for retry', { id: message.idempotencyKey, lastError });
+      return { id: message.idempotencyKey, queued: true };
+    }
+    // A queued payload of this call is superseded by the one just delivered.
+    outbox?.remove(key);
+    return { id: message.idempotencyKey, queued: false };
+  },
+
+  /**
+   * Retry outbox entries that are due. Entries older than WEBHOOK_OUTBOX_MAX_AGE_HOURS, rejected with a client
+   * error, or that can't be decrypted any more are dropped with a warning.
+   */
+  async retryPending({ options, logger }) {
+    const outbox = outboxOf(options, logger);
+    if (!outbox || retrying) return;
+    retrying = true;
+    try {
+      for (const entry of outbox.list()) {
+        const now = Date.now();
+        if (Date.parse(entry.nextAttemptAt) > now) continue;
+        if (now - Date.parse(entry.firstFailedAt) > options.outboxMaxAgeMs) {
+          logger?.warn?.('Webhook outbox entry expired; dropped', { id: entry.id, attempts: entry.attempts, lastError: entry.lastError });
+          outbox.remove(entry.key, entry.id);
+          continue;
+        }
+
+        let payload;
+        try {
+          payload = openPayload(entry, options);
+        } catch (e) {
+          logger?.warn?.('Webhook outbox entry unreadable (encryption key changed?); dropped', { id: entry.id });
+          outbox.remove(entry.key, entry.id);
+          continue;
+        }
+
+        try {
+          await sendWebhook({ url: options.url, secret: options.secret, timeoutMs: options.timeoutMs, logger, payload });
+          outbox.remove(entry.key, entry.id);
+          logger?.info?.('Webhook outbox entry delivered', { id: entry.id, attempts: entry.attempts + 1 });
+        } catch (e) {
+          const lastError = String(e?.message || e).slice(0, 300);
+          if (!isRetryableWebhookError(e)) {
+            logger?.warn?.('Webhook outbox entry rejected; dropped', { id: entry.id, lastError });
+            outbox.remove(entry.key, entry.id);
+            continue;
+          }
+          // Don't overwrite a newer payload queued for the call meanwhile.
+          if (outbox.list().find((x) => x.key === entry.key)?.id !== entry.id) continue;
+          const { key, ...rest } = entry;
+          const attempts = entry.attempts + 1;
+          const next = nextAttemptAt(attempts, Date.now());
+          outbox.put(key, { ...rest, attempts, nextAttemptAt: next, lastError });
+          logger?.warn?.('Webhook outbox retry failed', { id: entry.id, attempts, nextAttemptAt: next, lastError });
+        }
+      }
+    } finally {
+      retrying = false;
+    }
+  },
+};
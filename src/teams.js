@@ -0,0 +1,76 @@
+import fetch from 'node-fetch';
+
+import { sanitizeMessageText, splitMessage } from './markup.js';
+
+// Adaptive Card TextBlocks render a Markdown subset (bold, lists) but not inline code.
+function cardMarkdown(text) {
+  return text.replace(/`([^`]*)`/g, '$1');
+}
+
+/**
+ * Adaptive Card for a summary message: a title, optional facts ([{ title, value }]) and the text.
+ */
+export function buildAdaptiveCard({ title, facts = [], text }) {
+  const body = [{ type: 'TextBlock', text: title, size: 'Medium', weight: 'Bolder', wrap: true }];
+  if (facts.length) body.push({ type: 'FactSet', facts: facts.map((f) => ({ title: f.title, value: String(f.value ?? '') })) });
+  // Paragraphs as separate blocks: a TextBlock collapses single line breaks.
+  for (const para of cardMarkdown(text).split(/\n{2,}/)) {
+    if (para.trim()) body.push({ type: 'TextBlock', text: para, wrap: true });
+  }
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: { $schema: 'http://adaptivecards.io/schemas/adaptive-card.json', type: 'AdaptiveCard', version: '1.4', body },
+      },
+    ],
+  };
+}
+
+/**
+ * Send a message to Microsoft Teams as Adaptive Cards via an incoming webhook (or a Workflows webhook URL).
+ * https://learn.microsoft.com/microsoftteams/platform/webhooks-and-connectors/how-to/connectors-using
+ *
+ * Long texts are split into several cards; `facts` go on the first one. `progress` ({ sent }) records the cards
+ * already sent; passing the same object again (a retry) sends only the rest.
+ */
+export async function sendTeamsMessage({ webhookUrl, title, facts = [], text, timeoutMs = 15000, maxChars = 20000, progress = { sent: 0 } }) {
+  if (!webhookUrl) throw new Error('Teams webhookUrl missing');
+
+  const chunks = splitMessage(sanitizeMessageText(text), maxChars);
+
+  let last = null;
+  for (let i = progress.sent; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const payload = buildAdaptiveCard({
+      title: chunks.length > 1 ? `${title} (${i + 1}/${chunks.length})` : title,
+      facts: i === 0 ? facts : [],
+      text: chunk,
+    });
+
+    const ac = new AbortController();
+    const t = setTimeout(() => ac.abort(), timeoutMs);
+    try {
+      const res = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: ac.signal,
+      });
+
+      const body = await res.text().catch(() => '');
+      // Legacy connectors answer 200 with an error text when the card is rejected.
+      if (!res.ok || /HTTP error|Webhook message delivery failed/i.test(body)) {
+        throw new Error(`Teams webhook failed: ${res.status} ${body.slice(0, 500)}`);
+      }
+      last = { ok: true, body: String(body).trim().slice(0, 200) };
+    } finally {
+      clearTimeout(t);
+    }
+    progress.sent = i + 1;
+  }
+
+  return last || { ok: true };
+}
@@ -1,79 +1,68 @@
-import fetch from 'node-fetch';
+import fetch, { Blob, FormData } from 'node-fetch';
 
-async function sendOne({ token, chatId, text, parseMode = null }) {
-  const url = `https://api.telegram.org/bot${token}/sendMessage`;
-  const body = {
-    chat_id: chatId,
-    text,
-    disable_web_page_preview: true,
-    ...(parseMode ? { parse_mode: parseMode } : {}),
-  };
-  const timeoutMs = Number(process.env.TELEGRAM_HTTP_TIMEOUT_MS || '30000');
+import { htmlToText, markdownToTelegramHtml, sanitizeMessageText, splitHtmlMessage } from './markup.js';
+
+// Telegram allows 4096 characters per message after entity parsing; chunks are measured with their markup, which
+// always fits.
+const TELEGRAM_MAX_CHARS = 4096;
+
+// `apiUrl` can point at a self-hosted Bot API server.
+async function callTelegram({ apiUrl = 'https://api.telegram.org', token, method, body, timeoutMs }) {
+  const url = `${String(apiUrl).replace(/\/+$/, '')}/bot${token}/${method}`;
   const ac = new AbortController();
   const t = setTimeout(() => ac.abort(), timeoutMs);
 
   const res = await fetch(url, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
+    // FormData sets its own multipart Content-Type.
+    ...(body instanceof FormData ? { body } : { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }),
     signal: ac.signal,
   }).finally(() => clearTimeout(t));
   const json = await res.json().catch(() => ({}));
   if (!res.ok || !json.ok) {
-    throw new Error(`Telegram sendMessage failed: ${res.status} ${JSON.stringify(json)}`);
+    const err = new Error(`Telegram ${method} failed: ${res.status} ${JSON.stringify(json)}`);
+    err.description = json.description || '';
+    throw err;
   }
   return json;
 }
 
-function sanitizeTelegramText(input) {
-  const text = String(input ?? '');
-  // Telegram expects valid UTF-8. Also, some control characters can cause issues.
-  // Keep \n and \t; strip the rest of C0/C1 controls.
-  return text
-    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g, '')
-    .replace(/\r\n?/g, '\n');
-}
-
-function splitTelegram(text, limit = 3800) {
-  if (text.length <= limit) return [text];
-  const parts = [];
-  let rest = text;
-  while (rest.length > limit) {
-    // try split on newline close to limit
-    let cut = rest.lastIndexOf('\n', limit);
-    if (cut < limit * 0.6) cut = limit; // fallback hard cut
-    parts.push(rest.slice(0, cut).trimEnd());
-    rest = rest.slice(cut).trimStart();
-  }
-  if (rest.trim().length) parts.push(rest);
-  return parts;
-}
-
-function escapeTelegramMarkdownLite(input) {
-  // Telegram "Markdown" (legacy) treats _ and [ as control chars.
-  // We don't rely on them for formatting in our summaries, but they appear in nicknames/words.
-  // Escape them so usernames like Artyom_Payments don't break rendering.
-  return String(input ?? '')
-    .replace(/\\/g, '\\\\')
-    .replace(/_/g, '\\_')
-    .replace(/\[/g, '\\[');
+function defaultTimeoutMs() {
+  return Number(process.env.TELEGRAM_HTTP_TIMEOUT_MS || '30000');
 }
 
-export async function sendTelegramMessage({ token, chatId, text }) {
+/**
+ * Send a summary message to a chat (and forum topic with `threadId`), rendered from the summaries' Markdown
+ * to Telegram HTML and then split (see splitHtmlMessage). A chunk Telegram can't parse is resent as plain text,
+ * with a warning.
+ */
+export async function sendTelegramMessage({ apiUrl, token, chatId, threadId = null, text, logger = null, timeoutMs = defaultTimeoutMs() }) {
   if (!token || !chatId) throw new Error('Telegram token/chatId missing');
-  const safe = sanitizeTelegramText(text);
-  const chunks = splitTelegram(safe);
+  const chunks = splitHtmlMessage(markdownToTelegramHtml(sanitizeMessageText(text)), TELEGRAM_MAX_CHARS);
+  const base = { chat_id: chatId, disable_web_page_preview: true, ...(threadId ? { message_thread_id: threadId } : {}) };
 
-  // Prefer Telegram Markdown rendering so summaries look nice.
-  // If Telegram rejects malformed Markdown, fall back to plain text.
   let last = null;
   for (const chunk of chunks) {
-    const mdSafe = escapeTelegramMarkdownLite(chunk);
     try {
-      last = await sendOne({ token, chatId, text: mdSafe, parseMode: 'Markdown' });
+      last = await callTelegram({ apiUrl, token, method: 'sendMessage', body: { ...base, text: chunk, parse_mode: 'HTML' }, timeoutMs });
     } catch (e) {
-      last = await sendOne({ token, chatId, text: chunk, parseMode: null });
+      if (!/can't parse entities/i.test(e.description || '')) throw e;
+      logger?.warn?.('Telegram rejected the HTML message; sending it as plain text', e.description);
+      last = await callTelegram({ apiUrl, token, method: 'sendMessage', body: { ...base, text: htmlToText(chunk) }, timeoutMs });
     }
   }
   return last;
 }
+
+/**
+ * Send a text file (e.g. the transcript) as a document via sendDocument.
+ */
+export async function sendTelegramDocument({ apiUrl, token, chatId, threadId = null, filename, content, caption = null, timeoutMs = defaultTimeoutMs() }) {
+  if (!token || !chatId) throw new Error('Telegram token/chatId missing');
+  const form = new FormData();
+  form.set('chat_id', String(chatId));
+  if (threadId) form.set('message_thread_id', String(threadId));
+  if (caption) form.set('caption', String(caption).slice(0, 1024));
+  form.set('document', new Blob([String(content ?? '')], { type: 'text/plain;charset=utf-8' }), filename);
+  return callTelegram({ apiUrl, token, method: 'sendDocument', body: form, timeoutMs });
+}
@@ -0,0 +1,145 @@
+import { trimTranscriptForLLM } from './llm_summary.js';
+
+// Transcript rendering shared by live calls and offline tools.
+// A transcript item is { userId, user, startMs, endMs, text, segments? } with times relative to call start
+// (userId is null for speakers that only have a name, e.g. tracks of an imported recording).
+
+export function formatDuration(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = total % 60;
+  return [h, m, sec].map((n) => String(n).padStart(2, '0')).join(':');
+}
+
+/**
+ * Order transcript items by when speech started (not when STT finished) and interleave them
+ * at STT-segment granularity, so replies land after the words they answer even when a long
+ * utterance finished transcribing late. Consecutive segments of one speaker are merged;
+ * a line that starts while another speaker is still talking is marked as overlapping.
+ */
+export function buildDialogue(transcripts) {
+  const parts = [];
+  for (const t of transcripts) {
+    const segs = t.segments?.length ? t.segments : [{ startMs: t.startMs, endMs: t.endMs, text: t.text }];
+    for (const seg of segs) {
+      parts.push({
+        userId: t.userId,
+        speaker: t.userId ?? t.user,
+        user: t.user,
+        startMs: seg.startMs ?? t.startMs ?? 0,
+        endMs: seg.endMs ?? t.endMs ?? seg.startMs ?? 0,
+        text: seg.text,
+      });
+    }
+  }
+  parts.sort((a, b) => a.startMs - b.startMs);
+
+  const MERGE_GAP_MS = 5000;
+  const lines = [];
+  for (const p of parts) {
+    const prev = lines[lines.length - 1];
+    if (prev && prev.speaker === p.speaker && p.startMs - prev.endMs <= MERGE_GAP_MS) {
+      prev.text += ` ${p.text}`;
+      prev.endMs = Math.max(prev.endMs, p.endMs);
+      continue;
+    }
+    const overlapping = lines.slice(-10).some((l) => l.speaker !== p.speaker && p.startMs < l.endMs);
+    lines.push({ ...p, overlapping });
+  }
+  return lines;
+}
+
+export function buildRawTranscript(transcripts, { maxChars } = {}) {
+  const lines = buildDialogue(transcripts)
+    .map((l) => `[${formatDuration(l.startMs)}] ${l.user}${l.overlapping ? ' (overlapping)' : ''}: ${l.text}`)
+    .join('\n');
+
+  if (!lines) return '(no speech captured)';
+
+  return trimTranscriptForLLM(lines, maxChars);
+}
+
+export function summarizeToBullets(raw, { min = 5, max = 10 } = {}) {
+  if (!raw || raw === '(no speech captured)') return ['(нет распознанной речи)'];
+
+  // Split into sentences (very rough, RU/EN mixed ok); drop "[00:01:02] Name: " prefixes
+  const text = raw.replace(/^\[[^\]]+\]\s*[^:\n]{1,96}:\s*/gm, '');
+  const sentences = text
+    .split(/(?<=[.!?…])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter((s) => s.length >= 20);
+
+  // Heuristics: boost "decision/next step" cues
+  const cues = [
+    'решили', 'договор', 'договорились', 'итог', 'итоги', 'значит', 'надо', 'нужно',
+    'сделаем', 'делаем', 'давай', 'план', 'следующий', 'next', 'todo', 'задача',
+    'fix', 'почин', 'срок', 'today', 'завтра', 'понедельник'
+  ];
+
+  function scoreSentence(s) {
+    const lower = s.toLowerCase();
+    let score = 0;
+    // length sweet spot
+    if (s.length <= 180) score += 2;
+    if (s.length <= 120) score += 2;
+    // cue words
+    for (const c of cues) {
+      if (lower.includes(c)) score += 4;
+    }
+    // numbers / dates
+    if (/[0-9]{1,4}/.test(s)) score += 1;
+    // penalize filler
+    if (/(ээ+|ну\b|короче|типа|как бы)/.test(lower)) score -= 1;
+    return score;
+  }
+
+  const ranked = sentences
+    .map((s, i) => ({ s, i, score: scoreSentence(s) }))
+    .sort((a, b) => b.score - a.score || a.i - b.i);
+
+  const picked = [];
+  const used = new Set();
+  for (const r of ranked) {
+    // dedupe near-identical sentences
+    const key = r.s.toLowerCase().replace(/\s+/g, ' ').slice(0, 80);
+    if (used.has(key)) continue;
+    used.add(key);
+    picked.push(r.s);
+    if (picked.length >= max) break;
+  }
+
+  // If all scores were low and we picked too little, just take first sentences.
+  if (picked.length < min) {
+    for (const s of sentences) {
+      if (picked.length >= min) break;
+      if (!picked.includes(s)) picked.push(s);
+    }
+  }
+
+  return picked.slice(0, max).map((s) => `• ${s.replace(/\s+/g, ' ')}`);
+}
+
+// Heuristic minutes used when the LLM is unavailable (same section layout as the default prompt).
+export function fallbackSummaryText(raw) {
+  return (
+    '1. Краткое резюме звонка (5–10 пунктов)\n' +
+    summarizeToBullets(raw, { min: 5, max: 10 }).join('\n') +
+    '\n\n' +
+    '2. Принятые решения (если есть)\nРешений не зафиксировано.\n\n' +
+    '3. Задачи / To-Do\n(не удалось извлечь автоматически)\n\n' +
+    '4. Риски / Блокеры (если обсуждались)\nНет'
+  );
+}
+
+// Header of the saved .txt transcript ("Key: value" lines, then a blank line).
+export function formatTranscriptHeader({ channelName, startedAt, endedAt, participants, notRecorded = '' }) {
+  return (
+    `Channel: ${channelName}\n` +
+    `Started: ${startedAt}\n` +
+    `Ended: ${endedAt}\n` +
+    `Participants: ${participants}\n` +
+    (notRecorded ? `Not recorded (no consent): ${notRecorded}\n` : '') +
+    `\n`
+  );
+}
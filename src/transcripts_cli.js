@@ -0,0 +1,124 @@
+import 'dotenv/config';
+import { readdirSync, readFileSync, rmSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { loadConfigFromEnv } from './config.js';
+import { resolveCallPath } from './archive.js';
+import { ENCRYPTED_SUFFIX, decryptBuffer, decryptFile, encryptFile, isEncryptedFile } from './encryption.js';
+
+// Inspect and (de)crypt saved calls in TRANSCRIPTS_DIR (see TRANSCRIPTS_ENCRYPTION_KEY).
+
+const USAGE = `Usage: node src/transcripts_cli.js <command> [options]
+
+Commands:
+  list                       List saved calls and their files (encrypted files are marked)
+  decrypt <file> [--out p]   Decrypt a .enc file; text files go to stdout unless --out is given
+  encrypt                    Encrypt all plaintext call files in TRANSCRIPTS_DIR (originals are removed)
+`;
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function listCallFiles(dir) {
+  let names;
+  try {
+    names = readdirSync(dir);
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const name of names.sort()) {
+    if (name.startsWith('.')) continue;
+    const full = join(dir, name);
+    const st = statSync(full);
+    if (!st.isFile()) continue;
+    files.push({ name, full, size: st.size, mtimeMs: st.mtimeMs, stem: name.split('.')[0] });
+  }
+  return files;
+}
+
+function cmdList(cfg) {
+  const calls = new Map(); // stem -> files
+  for (const f of listCallFiles(cfg.TRANSCRIPTS_DIR)) {
+    if (!calls.has(f.stem)) calls.set(f.stem, []);
+    calls.get(f.stem).push(f);
+  }
+  if (!calls.size) {
+    process.stdout.write(`No saved calls in ${cfg.TRANSCRIPTS_DIR}\n`);
+    return;
+  }
+  for (const [stem, files] of calls) {
+    const size = files.reduce((n, f) => n + f.size, 0);
+    const updated = new Date(Math.max(...files.map((f) => f.mtimeMs))).toISOString();
+    process.stdout.write(`${stem}  (${files.length} files, ${formatSize(size)}, updated ${updated})\n`);
+    for (const f of files) {
+      const mark = f.name.endsWith(ENCRYPTED_SUFFIX) ? '[encrypted]' : '[plaintext]';
+      process.stdout.write(`  ${mark} ${f.name}  ${formatSize(f.size)}\n`);
+    }
+  }
+}
+
+async function cmdDecrypt(cfg, file, out) {
+  const path = resolveCallPath(file, cfg.TRANSCRIPTS_DIR);
+  if (!isEncryptedFile(path)) throw new Error(`${file} is not encrypted`);
+  if (out) {
+    await decryptFile(path, out, cfg.TRANSCRIPTS_ENCRYPTION_KEY);
+    process.stderr.write(`Decrypted to ${out}\n`);
+    return;
+  }
+  if (!/\.(txt|json)\.enc$/.test(path)) throw new Error('Binary file: use --out <path>');
+  process.stdout.write(decryptBuffer(readFileSync(path), cfg.TRANSCRIPTS_ENCRYPTION_KEY));
+}
+
+async function cmdEncrypt(cfg) {
+  let count = 0;
+  for (const f of listCallFiles(cfg.TRANSCRIPTS_DIR)) {
+    if (f.name.endsWith(ENCRYPTED_SUFFIX)) continue;
+    await encryptFile(f.full, f.full + ENCRYPTED_SUFFIX, cfg.TRANSCRIPTS_ENCRYPTION_KEY);
+    rmSync(f.full, { force: true });
+    count += 1;
+  }
+  process.stdout.write(`Encrypted ${count} file(s) in ${cfg.TRANSCRIPTS_DIR}\n`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    if (!values.help) process.exitCode = 2;
+    return;
+  }
+
+  const cfg = loadConfigFromEnv(process.env);
+  if ((command === 'decrypt' || command === 'encrypt') && !cfg.TRANSCRIPTS_ENCRYPTION_KEY) {
+    throw new Error('TRANSCRIPTS_ENCRYPTION_KEY is not set');
+  }
+
+  if (command === 'list') return cmdList(cfg);
+  if (command === 'decrypt') {
+    if (args.length !== 1) throw new Error('Usage: decrypt <file> [--out <path>]');
+    return cmdDecrypt(cfg, args[0], values.out);
+  }
+  if (command === 'encrypt') return cmdEncrypt(cfg);
+
+  process.stdout.write(USAGE);
+  process.exitCode = 2;
+}
+
+main().catch((e) => {
+  // eslint-disable-next-line no-console
+  console.error(`transcripts failed: ${e?.message || e}`);
+  process.exitCode = 1;
+});
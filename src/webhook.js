@@ -1,26 +1,100 @@
 import fetch from 'node-fetch';
+import { createHash, createHmac } from 'node:crypto';
 
-export async function sendWebhook({ url, payload, timeoutMs = 15000, logger = null }) {
+import { createJsonStore } from './json_store.js';
+
+// Version of the webhook payload layout (see README "Optional webhook"); bump on incompatible changes.
+export const WEBHOOK_SCHEMA_VERSION = 2;
+
+/**
+ * Idempotency key of a payload: the call id plus a hash of the content, so a retried (or outbox) delivery
+ * carries the same key and a re-summarized call a new one.
+ */
+export function webhookIdempotencyKey(payload) {
+  const hash = createHash('sha256').update(JSON.stringify(payload)).digest('hex').slice(0, 16);
+  return `${payload.callId || 'call'}:${hash}`;
+}
+
+/**
+ * X-Webhook-Signature value: HMAC-SHA256 over `${timestamp}.${body}` with the shared secret, hex-encoded.
+ */
+export function signWebhook({ secret, timestamp, body }) {
+  return `sha256=${createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * POST the payload as JSON. With `secret`, X-Webhook-Timestamp (unix seconds) and X-Webhook-Signature are added;
+ * X-Webhook-Id carries the payload's idempotency key. HTTP errors set `err.status`.
+ */
+export async function sendWebhook({ url, payload, secret = null, timeoutMs = 15000, logger = null }) {
   if (!url) return;
 
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  if (payload?.idempotencyKey) headers['X-Webhook-Id'] = payload.idempotencyKey;
+  if (secret) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers['X-Webhook-Timestamp'] = timestamp;
+    headers['X-Webhook-Signature'] = signWebhook({ secret, timestamp, body });
+  }
+
   const ac = new AbortController();
   const t = setTimeout(() => ac.abort(), timeoutMs);
 
   try {
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-      signal: ac.signal,
-    });
+    const res = await fetch(url, { method: 'POST', headers, body, signal: ac.signal });
 
     if (!res.ok) {
       const text = await res.text().catch(() => '');
-      throw new Error(`Webhook failed: ${res.status} ${text.slice(0, 500)}`);
+      const err = new Error(`Webhook failed: ${res.status} ${text.slice(0, 500)}`);
+      err.status = res.status;
+      throw err;
     }
   } finally {
     clearTimeout(t);
   }
 
-  logger?.info?.('Webhook delivered');
+  logger?.info?.('Webhook delivered', { id: payload?.idempotencyKey });
+}
+
+/**
+ * Client errors won't go away by retrying, except timeouts and rate limits.
+ */
+export function isRetryableWebhookError(err) {
+  const status = err?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Failed webhook deliveries on disk (DATA_DIR/webhook_outbox.json), one entry per call: a newer payload for the
+ * same call replaces a queued one. The file is re-read on every change, so the live bot and the CLIs can share it.
+ */
+export function createWebhookOutbox({ path, logger = null }) {
+  const file = createJsonStore({ path, field: 'entries', readError: 'Failed to read webhook outbox; its queued deliveries are not retried', logger });
+
+  function update(fn) {
+    const data = file.read();
+    fn(data.entries);
+    file.write(data);
+  }
+
+  function list() {
+    return Object.entries(file.read().entries).map(([key, entry]) => ({ key, ...entry }));
+  }
+
+  function put(key, entry) {
+    update((entries) => {
+      entries[key] = { ...entry, at: new Date().toISOString() };
+    });
+  }
+
+  // With `id`, only if the entry still holds that payload (it may have been replaced meanwhile).
+  function remove(key, id = null) {
+    if (!list().some((e) => e.key === key && (!id || e.id === id))) return;
+    update((entries) => {
+      delete entries[key];
+    });
+  }
+
+  return { list, put, remove };
 }
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { loadConfigFromEnv } from '../src/config.js';
+import {
+  deliverSummary,
+  deliveryTargetNames,
+  enabledDeliveryTargets,
+  registerDeliveryTarget,
+  retryPendingDeliveries,
+  validateDeliveryConfig,
+} from '../src/delivery.js';
+import { recordingLogger } from './helpers.js';
+
+// A target that records what it sends; `failures` sends throw before one succeeds.
+function fakeTarget(name, { failures = 0, retry = { retries: 1, baseDelayMs: 1 }, retryPending = null } = {}) {
+  const sent = [];
+  let calls = 0;
+  return {
+    sent,
+    target: {
+      name,
+      retry,
+      loadConfig: (env) => ({ enabled: Boolean(env[`${name.toUpperCase()}_ON`]) }),
+      validate: (options) => (options.broken ? [`${name} is broken`] : []),
+      format: (summary) => (summary.text ? `${name}: ${summary.text}` : null),
+      async send({ message }) {
+        calls += 1;
+        if (calls <= failures) throw new Error(`${name} down (${calls})`);
+        sent.push(message);
+        return { ok: true };
+      },
+      ...(retryPending ? { retryPending } : {}),
+    },
+  };
+}
+
+test('registerDeliveryTarget: rejects targets without the required functions or with a bad name', () => {
+  assert.throws(() => registerDeliveryTarget({ name: 'x', loadConfig() {}, validate() {}, format() {} }), /Delivery target x: send\(\) is missing/);
+  assert.throws(() => registerDeliveryTarget(null), /loadConfig\(\) is missing/);
+  const { target } = fakeTarget('Bad Name');
+  assert.throws(() => registerDeliveryTarget(target), /Invalid delivery target name: Bad Name/);
+  assert.ok(!deliveryTargetNames().includes('Bad Name'));
+});
+
+test('validateDeliveryConfig: unknown and unconfigured DELIVERY_TARGETS entries', () => {
+  const cfg = loadConfigFromEnv({ DELIVERY_TARGETS: 'slack, nope', WEBHOOK_URL: 'http://127.0.0.1:9/hook' });
+  // The webhook is configured but not listed, so nothing is enabled.
+  assert.deepEqual(enabledDeliveryTargets(cfg.DELIVERY), []);
+  assert.deepEqual(validateDeliveryConfig(cfg), [
+    'DELIVERY_TARGETS: slack is listed but not configured',
+    `DELIVERY_TARGETS: unknown target nope (use ${deliveryTargetNames().join(', ')})`,
+    `No delivery target enabled (configure one of: ${deliveryTargetNames().join(', ')})`,
+  ]);
+});
+
+test('validateDeliveryConfig: the Discord summary only counts when enabled explicitly', () => {
+  const byDefault = loadConfigFromEnv({});
+  assert.deepEqual(enabledDeliveryTargets(byDefault.DELIVERY), ['discord']);
+  assert.deepEqual(validateDeliveryConfig(byDefault), [`No delivery target enabled (configure one of: ${deliveryTargetNames().join(', ')})`]);
+
+  assert.deepEqual(validateDeliveryConfig(loadConfigFromEnv({ DISCORD_SUMMARY_ENABLED: 'true' })), []);
+  assert.deepEqual(validateDeliveryConfig(loadConfigFromEnv({ WEBHOOK_URL: 'http://127.0.0.1:9/hook' })), []);
+});
+
+test('validateDeliveryConfig: errors of enabled targets only', () => {
+  const { target } = fakeTarget('fake-validate');
+  registerDeliveryTarget(target);
+  const errors = (broken, enabled) => validateDeliveryConfig({ DELIVERY: { webhook: { enabled: true }, 'fake-validate': { enabled, broken } } });
+  assert.ok(errors(true, true).includes('fake-validate is broken'));
+  assert.ok(!errors(true, false).includes('fake-validate is broken'));
+});
+
+test('deliverSummary: retries with the target policy; a failing target does not stop the others', async () => {
+  const flaky = fakeTarget('fake-flaky', { failures: 1 });
+  const down = fakeTarget('fake-down', { failures: 10 });
+  const ok = fakeTarget('fake-ok');
+  const skipped = fakeTarget('fake-skipped');
+  for (const t of [flaky, down, ok, skipped]) registerDeliveryTarget(t.target);
+
+  const { logger, entries } = recordingLogger();
+  const delivery = {
+    'fake-flaky': { enabled: true },
+    'fake-down': { enabled: true, retries: 2, retryDelayMs: 1 },
+    'fake-ok': { enabled: true },
+    'fake-skipped': { enabled: false },
+  };
+  await assert.rejects(deliverSummary({ logger, delivery, summary: { text: 'hi' } }), { message: 'Delivery failed: fake-down' });
+
+  assert.deepEqual(flaky.sent, ['fake-flaky: hi']);
+  assert.deepEqual(ok.sent, ['fake-ok: hi']);
+  assert.deepEqual(down.sent, []);
+  assert.deepEqual(skipped.sent, []);
+  // options.retries overrides the target's policy: 2 retries of fake-down, 1 of fake-flaky.
+  assert.equal(entries.filter(([level, msg]) => level === 'warn' && msg === 'fake-down delivery failed; retrying').length, 2);
+  assert.equal(entries.filter(([level, msg]) => level === 'warn' && msg === 'fake-flaky delivery failed; retrying').length, 1);
+  assert.ok(entries.some(([level, msg, err]) => level === 'warn' && msg === 'fake-down delivery failed' && /down \(3\)/.test(err)));
+});
+
+test('deliverSummary: nothing to send is not a failure; results per target', async () => {
+  const { target, sent } = fakeTarget('fake-empty');
+  registerDeliveryTarget(target);
+  assert.deepEqual(await deliverSummary({ delivery: { 'fake-empty': { enabled: true } }, summary: { text: '' } }), {});
+  assert.deepEqual(await deliverSummary({ delivery: { 'fake-empty': { enabled: true } }, summary: { text: 'x' } }), { 'fake-empty': { ok: true } });
+  assert.deepEqual(sent, ['fake-empty: x']);
+});
+
+test('retryPendingDeliveries: enabled targets with an outbox; errors are logged', async () => {
+  const calls = [];
+  const pending = fakeTarget('fake-pending', { retryPending: async ({ options }) => calls.push(['fake-pending', options.tag]) });
+  const broken = fakeTarget('fake-pending-broken', {
+    retryPending: async () => {
+      calls.push(['fake-pending-broken']);
+      throw new Error('outbox unreadable');
+    },
+  });
+  const off = fakeTarget('fake-pending-off', { retryPending: async () => calls.push(['fake-pending-off']) });
+  for (const t of [pending, broken, off]) registerDeliveryTarget(t.target);
+
+  const { logger, entries } = recordingLogger();
+  await retryPendingDeliveries({
+    logger,
+    delivery: {
+      'fake-pending': { enabled: true, tag: 1 },
+      'fake-pending-broken': { enabled: true },
+      'fake-pending-off': { enabled: false },
+      'fake-ok-no-outbox': { enabled: true },
+    },
+  });
+  assert.deepEqual(calls, [['fake-pending', 1], ['fake-pending-broken']]);
+  assert.deepEqual(entries, [['warn', 'fake-pending-broken retry of pending deliveries failed', 'outbox unreadable']]);
+});
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+
+import { addressOf, isEmailAddress, sendEmail, summaryToHtml } from '../src/email.js';
+import { emailTarget } from '../src/targets/email.js';
+import { startMock, waitForLines } from './helpers.js';
+
+let mock = null;
+afterEach(() => {
+  mock?.stop();
+  mock = null;
+});
+
+const SUMMARY = {
+  text: '**1) Brief call summary**\n- Launch moved to `Friday`\n- <script> is escaped',
+  webhookPayload: { channel: 'Général', startedAt: '2026-01-05T10:00:00Z' },
+  transcript: { filename: 'standup.txt', text: 'Alice: hi' },
+  participantContacts: [{ email: 'alice@example.com' }, { email: 'OPS@example.com' }, {}],
+};
+
+function options(port, env = {}) {
+  return emailTarget.loadConfig({
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(port),
+    SMTP_REQUIRE_TLS: 'false',
+    SMTP_FROM: 'Minutes <bot@example.com>',
+    SMTP_TO: 'ops@example.com',
+    ...env,
+  });
+}
+
+test('addresses', () => {
+  assert.equal(addressOf('Minutes <bot@example.com>'), 'bot@example.com');
+  assert.equal(addressOf(' bot@example.com '), 'bot@example.com');
+  assert.ok(isEmailAddress('a.b+c@example.co.uk'));
+  assert.ok(!isEmailAddress('not an address'));
+});
+
+test('the HTML body is escaped', () => {
+  const html = summaryToHtml(SUMMARY.text);
+  assert.match(html, /<strong>1\) Brief call summary<\/strong>/);
+  assert.match(html, /<li>Launch moved to <code>Friday<\/code><\/li>/);
+  assert.match(html, /&lt;script&gt;/);
+});
+
+test('format: participants are added once, case-insensitively', () => {
+  const opts = options(2525, { EMAIL_TO_PARTICIPANTS: 'true' });
+  assert.deepEqual(emailTarget.validate(opts, { IDENTITY_MAP_FILE: 'ids.json' }), []);
+  const message = emailTarget.format(SUMMARY, opts);
+  assert.deepEqual(message.to, ['ops@example.com', 'alice@example.com']);
+  assert.equal(message.subject, 'Call summary: Général (2026-01-05T10:00:00Z)');
+  assert.deepEqual(message.attachments.map((a) => a.filename), ['standup.txt']);
+});
+
+test('validate reports bad settings', () => {
+  const errors = emailTarget.validate({ ...options(2525), from: 'nobody', to: ['ok@example.com', 'bad'], toParticipants: true, user: 'u', pass: null }, {});
+  assert.deepEqual(errors, [
+    'SMTP_FROM is not an email address (got: nobody)',
+    'SMTP_TO must be comma-separated email addresses (got: bad)',
+    'EMAIL_TO_PARTICIPANTS needs IDENTITY_MAP_FILE (participant emails come from the identity map)',
+    'SMTP_PASS is required when SMTP_USER is set',
+  ]);
+});
+
+test('sends a multipart message with the transcript attached', async () => {
+  mock = await startMock('mock_smtp_server.js', ['--auth']);
+  const opts = options(mock.port, { SMTP_USER: 'bot', SMTP_PASS: 'secret' });
+  const res = await emailTarget.send({ options: opts, message: emailTarget.format(SUMMARY, opts) });
+  assert.equal(res.ok, true);
+  assert.match(res.response, /^250 OK queued as mock-1/);
+  const [line] = await waitForLines(mock.lines, /^#1 /);
+  assert.match(line, /from=bot@example\.com to=ops@example\.com /);
+  assert.match(line, /subject="Call summary: Général \(2026-01-05T10:00:00Z\)"/);
+  assert.match(line, /parts=\[multipart\/mixed,multipart\/alternative,text\/plain,text\/html,text\/plain\]/);
+  assert.match(line, /attachments=\[standup\.txt\]/);
+});
+
+test('refuses to send in plaintext when TLS is required', async () => {
+  mock = await startMock('mock_smtp_server.js');
+  const opts = options(mock.port, { SMTP_REQUIRE_TLS: 'true' });
+  await assert.rejects(emailTarget.send({ options: opts, message: emailTarget.format(SUMMARY, opts) }), /SMTP STARTTLS failed \(set SMTP_REQUIRE_TLS=false/);
+  assert.equal(mock.lines.filter((l) => l.startsWith('#')).length, 0);
+});
+
+test('a rejected message fails the send', async () => {
+  mock = await startMock('mock_smtp_server.js', ['--fail-first', '1']);
+  const send = () => sendEmail({ host: '127.0.0.1', port: mock.port, requireTls: false, from: 'bot@example.com', to: ['a@example.com'], subject: 's', text: 't', timeoutMs: 5000 });
+  await assert.rejects(send(), /451/);
+  assert.equal((await send()).ok, true);
+});
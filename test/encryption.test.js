@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import { existsSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { after, test } from 'node:test';
+
+import { decryptBuffer, decryptFile, encryptBuffer, encryptFile, isEncryptedFile } from '../src/encryption.js';
+import { tempDir } from './helpers.js';
+
+const KEY = 'correct horse battery staple';
+const tmp = tempDir();
+after(() => tmp.cleanup());
+
+test('buffers round-trip, and each encryption is salted', () => {
+  const plain = Buffer.from('Alice: the launch moves to Friday\n', 'utf-8');
+  const a = encryptBuffer(plain, KEY);
+  const b = encryptBuffer(plain, KEY);
+  assert.notDeepEqual(a, b);
+  assert.equal(a.indexOf(plain), -1);
+  assert.deepEqual(decryptBuffer(a, KEY), plain);
+  assert.deepEqual(decryptBuffer(b, KEY), plain);
+});
+
+test('a wrong key or a flipped byte fails authentication', () => {
+  const data = encryptBuffer(Buffer.from('secret minutes'), KEY);
+  assert.throws(() => decryptBuffer(data, 'another key of enough length'), /Decryption failed/);
+  const tampered = Buffer.from(data);
+  tampered[tampered.length - 20] ^= 1;
+  assert.throws(() => decryptBuffer(tampered, KEY), /Decryption failed/);
+  assert.throws(() => decryptBuffer(Buffer.from('plain text, not encrypted at all'), KEY), /Not an encrypted/);
+});
+
+test('short keys are refused', () => {
+  assert.throws(() => encryptBuffer(Buffer.from('x'), 'short'), /at least 16 characters/);
+});
+
+test('files round-trip through the streaming API', async () => {
+  const src = join(tmp.dir, 'audio.ogg');
+  const enc = join(tmp.dir, 'audio.ogg.enc');
+  const out = join(tmp.dir, 'audio.out.ogg');
+  const content = randomBytes(300_000);
+  writeFileSync(src, content);
+
+  await encryptFile(src, enc, KEY);
+  assert.ok(isEncryptedFile(enc));
+  assert.ok(!isEncryptedFile(src));
+  assert.equal(statSync(enc).mode & 0o777, 0o600);
+  // Files and buffers share the layout.
+  assert.deepEqual(decryptBuffer(readFileSync(enc), KEY), content);
+
+  await decryptFile(enc, out, KEY);
+  assert.deepEqual(readFileSync(out), content);
+});
+
+test('an empty file round-trips', async () => {
+  const src = join(tmp.dir, 'empty.txt');
+  writeFileSync(src, '');
+  await encryptFile(src, `${src}.enc`, KEY);
+  await decryptFile(`${src}.enc`, `${src}.out`, KEY);
+  assert.equal(readFileSync(`${src}.out`).length, 0);
+});
+
+test('decrypting with the wrong key leaves no output behind', async () => {
+  const src = join(tmp.dir, 'notes.txt');
+  writeFileSync(src, 'x'.repeat(100_000));
+  await encryptFile(src, `${src}.enc`, KEY);
+  await assert.rejects(decryptFile(`${src}.enc`, `${src}.out`, 'another key of enough length'), /Decryption failed/);
+  assert.ok(!existsSync(`${src}.out`));
+});
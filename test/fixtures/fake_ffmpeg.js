@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+// Stand-in for ffmpeg (FFMPEG_BIN) in tests: copies the `-i` input to the output (the last argument).
+import { copyFileSync } from 'node:fs';
+
+const args = process.argv.slice(2);
+copyFileSync(args[args.indexOf('-i') + 1], args[args.length - 1]);
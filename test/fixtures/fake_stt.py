@@ -0,0 +1,8 @@
+#!/usr/bin/env python3
+# Stand-in for scripts/transcribe_faster_whisper.py in tests: the "audio" file holds the text that was said.
+import json
+import sys
+
+with open(sys.argv[-1], encoding="utf-8") as f:
+    text = f.read().strip()
+print(json.dumps({"text": text, "language": "en", "duration": 4, "segments": [{"start": 0.5, "end": 3.5, "text": text}]}))
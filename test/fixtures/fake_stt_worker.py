@@ -0,0 +1,26 @@
+#!/usr/bin/env python3
+# Stand-in for `scripts/transcribe_faster_whisper.py --server` in tests. The "audio" file holds what to do:
+# "hang" never answers, "crash" exits, "fail" answers with an error, anything else is the text that was said.
+import json
+import sys
+import time
+
+
+def write_json_line(obj):
+    sys.stdout.write(json.dumps(obj) + "\n")
+    sys.stdout.flush()
+
+
+write_json_line({"ready": True})
+for line in sys.stdin:
+    req = json.loads(line)
+    with open(req["file"], encoding="utf-8") as f:
+        text = f.read().strip()
+    if text == "hang":
+        time.sleep(3600)
+    elif text == "crash":
+        sys.exit(3)
+    elif text == "fail":
+        write_json_line({"id": req["id"], "error": "cannot decode"})
+    else:
+        write_json_line({"id": req["id"], "result": {"text": text, "language": "en", "segments": []}})
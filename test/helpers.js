@@ -0,0 +1,78 @@
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import net from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+
+// Shared by the test suites: mock servers from scripts/ on free ports, temp dirs and a logger that records.
+
+export const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start scripts/<name> on a free port and wait until it listens. `lines` collects what it logs to stdout;
+ * call `stop()` when done (kills only this child).
+ */
+export async function startMock(name, args = []) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [join(ROOT, 'scripts', name), '--port', String(port), ...args], {
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  const lines = [];
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${name} did not start`)), 10_000);
+    createInterface({ input: child.stdout }).on('line', (line) => {
+      lines.push(line);
+      if (line.includes(`:${port}`)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`${name} exited (${code})`));
+    });
+  });
+  return { port, url: `http://127.0.0.1:${port}`, lines, stop: () => child.kill() };
+}
+
+/**
+ * Fresh temp directory; `cleanup()` removes it.
+ */
+export function tempDir() {
+  const dir = mkdtempSync(join(tmpdir(), 'dvs-test-'));
+  return { dir, cleanup: () => rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Logger that keeps [level, message, ...args] entries instead of printing them.
+ */
+export function recordingLogger() {
+  const entries = [];
+  const log = (level) => (...args) => entries.push([level, ...args]);
+  return { entries, logger: { debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error') } };
+}
+
+/**
+ * Wait until `lines` (see startMock) has `count` lines matching `re`; the mocks log after answering.
+ */
+export async function waitForLines(lines, re, count = 1, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (lines.filter((l) => re.test(l)).length < count) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${re}`);
+    await new Promise((r) => setTimeout(r, 20));
+  }
+  return lines.filter((l) => re.test(l));
+}
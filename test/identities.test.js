@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { createIdentityResolver, ownerMention, parseIdentityMap, participantContacts, resolveMinutesOwners } from '../src/identities.js';
+
+const ALICE = '111111111111111111';
+const BOB = '222222222222222222';
+const BORIS = '333333333333333333';
+
+const MAP = parseIdentityMap({
+  [ALICE]: { names: ['Alice S.', 'Алиса'], telegram: 'alice_tg', slack: 'U0123ABCD', email: 'alice@example.com' },
+  [BOB]: { telegram: '@bob_tg' },
+});
+
+test('parseIdentityMap normalizes entries', () => {
+  const alice = MAP.get(ALICE);
+  assert.deepEqual(alice.names, ['Alice S.', 'Алиса']);
+  assert.equal(alice.telegram, '@alice_tg');
+  assert.equal(alice.slack, 'U0123ABCD');
+  assert.equal(alice.email, 'alice@example.com');
+  assert.deepEqual(MAP.get(BOB).names, []);
+  assert.equal(MAP.get(BOB).slack, null);
+});
+
+test('parseIdentityMap rejects malformed maps', () => {
+  assert.throws(() => parseIdentityMap([]), /must be a JSON object/);
+  assert.throws(() => parseIdentityMap({ alice: {} }), /invalid Discord user ID "alice"/);
+  assert.throws(() => parseIdentityMap({ [ALICE]: 'x' }), /entry \d+ must be an object/);
+  assert.throws(() => parseIdentityMap({ [ALICE]: { names: 'Alice' } }), /names must be an array of strings/);
+  assert.throws(() => parseIdentityMap({ [ALICE]: { slack: '#general' } }), /invalid \d+\.slack/);
+  assert.throws(() => parseIdentityMap({ [ALICE]: { email: 'not-an-email' } }), /invalid \d+\.email/);
+});
+
+const participants = [
+  { userId: ALICE, name: 'Alice Smith' },
+  { userId: BOB, name: 'Bob' },
+  { userId: BORIS, name: 'Boris' },
+];
+
+test('createIdentityResolver: display names, map names, Telegram usernames and unambiguous first words', () => {
+  const resolver = createIdentityResolver({ identityMap: MAP, participants });
+  assert.equal(resolver.resolve('Alice Smith'), ALICE);
+  assert.equal(resolver.resolve('alice'), ALICE);
+  assert.equal(resolver.resolve('Алиса'), ALICE);
+  assert.equal(resolver.resolve('@alice_tg'), ALICE);
+  assert.equal(resolver.resolve('Alice S.'), ALICE);
+  assert.equal(resolver.resolve('bob'), BOB);
+  assert.equal(resolver.resolve('Carol'), null);
+  assert.equal(resolver.resolve(''), null);
+
+  // Two participants share a first word: only full names resolve.
+  const twins = createIdentityResolver({ participants: [{ userId: ALICE, name: 'Sam Lee' }, { userId: BOB, name: 'Sam Park' }] });
+  assert.equal(twins.resolve('Sam'), null);
+  assert.equal(twins.resolve('sam park'), BOB);
+
+  assert.equal(resolver.contacts(ALICE).slack, 'U0123ABCD');
+  assert.equal(resolver.contacts(BORIS), null);
+});
+
+test('resolveMinutesOwners and ownerMention per destination', () => {
+  const resolver = createIdentityResolver({ identityMap: MAP, participants });
+  const minutes = resolveMinutesOwners(
+    {
+      summary: ['x'],
+      decisions: [],
+      risks: [],
+      actionItems: [
+        { task: 'Write notes', owner: 'Alice', deadline: null },
+        { task: 'Book room', owner: 'Boris', deadline: null },
+        { task: 'Order pizza', owner: 'Carol', deadline: null },
+        { task: 'Clean up', owner: null, deadline: null },
+      ],
+    },
+    resolver,
+  );
+  assert.deepEqual(minutes.actionItems.map((a) => a.ownerId), [ALICE, BORIS, null, null]);
+
+  const [alice, boris, carol, nobody] = minutes.actionItems;
+  assert.equal(ownerMention(alice, 'discord', resolver), `<@${ALICE}>`);
+  assert.equal(ownerMention(alice, 'slack', resolver), '<@U0123ABCD>');
+  assert.equal(ownerMention(alice, 'telegram', resolver), '@alice_tg');
+  // Known in Discord only: a name elsewhere.
+  assert.equal(ownerMention(boris, 'discord', resolver), `<@${BORIS}>`);
+  assert.equal(ownerMention(boris, 'telegram', resolver), 'Boris');
+  assert.equal(ownerMention(carol, 'slack', resolver), 'Carol');
+  assert.equal(ownerMention(nobody, 'discord', resolver), 'Unassigned');
+});
+
+test('participantContacts: one entry per mapped participant', () => {
+  const resolver = createIdentityResolver({ identityMap: MAP, participants });
+  const contacts = participantContacts([...participants, { userId: null, name: 'Alice S.' }], resolver);
+  assert.deepEqual(contacts.map((c) => [c.userId, c.name, c.telegram]), [
+    [ALICE, 'Alice Smith', '@alice_tg'],
+    [BOB, 'Bob', '@bob_tg'],
+  ]);
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { copyFileSync, cpSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+
+import { ROOT, startMock, tempDir, waitForLines } from './helpers.js';
+
+// End to end through src/ingest.js, run from a temp dir laid out like the project (prompts/, scripts/): ffmpeg and
+// faster-whisper are stood in for by test/fixtures, the LLM by scripts/mock_llm_server.js.
+
+let llm;
+let tmp;
+
+before(async () => {
+  llm = await startMock('mock_llm_server.js');
+  tmp = tempDir();
+  cpSync(join(ROOT, 'prompts'), join(tmp.dir, 'prompts'), { recursive: true });
+  mkdirSync(join(tmp.dir, 'scripts'));
+  copyFileSync(join(ROOT, 'test/fixtures/fake_stt.py'), join(tmp.dir, 'scripts/transcribe_faster_whisper.py'));
+});
+
+after(() => {
+  llm?.stop();
+  tmp?.cleanup();
+});
+
+function runIngest(args, env) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [join(ROOT, 'src/ingest.js'), ...args], {
+      cwd: tmp.dir,
+      env: {
+        PATH: process.env.PATH,
+        LOG_LEVEL: 'warn',
+        FFMPEG_BIN: join(ROOT, 'test/fixtures/fake_ffmpeg.js'),
+        PY_STT_CMD: 'python3 scripts/transcribe_faster_whisper.py',
+        LLM_PROVIDER: 'openai',
+        OPENAI_BASE_URL: `${llm.url}/v1`,
+        OPENAI_API_KEY: 'test-key',
+        SUMMARY_PROMPT: 'summary.txt',
+        ...env,
+      },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (d) => (stdout += d));
+    child.stderr.on('data', (d) => (stderr += d));
+    child.on('exit', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+test('--help prints the usage; no inputs is a usage error', async () => {
+  const help = await runIngest(['--help'], {});
+  assert.equal(help.code, 0);
+  assert.match(help.stdout, /^Usage: node src\/ingest\.js/);
+
+  const none = await runIngest([], {});
+  assert.equal(none.code, 2);
+});
+
+test('a speaker directory becomes one call with a transcript and a summary', async () => {
+  const tracks = join(tmp.dir, 'standup');
+  mkdirSync(tracks);
+  writeFileSync(join(tracks, 'Alice.ogg'), 'I will send the report on Friday.');
+  writeFileSync(join(tracks, 'Bob.ogg'), 'The build is green again.');
+  writeFileSync(join(tracks, 'notes.txt'), 'not audio');
+
+  const res = await runIngest(['standup', '--started', '2026-01-05T10:00:00Z'], {});
+  assert.equal(res.code, 0, res.stderr + res.stdout);
+  assert.match(res.stdout, /== standup ==/);
+  await waitForLines(llm.lines, /^POST \/v1\/chat\/completions /);
+
+  const txt = readdirSync(join(tmp.dir, 'transcripts')).find((f) => f.endsWith('.txt'));
+  assert.ok(txt, 'transcript written');
+  const transcript = readFileSync(join(tmp.dir, 'transcripts', txt), 'utf-8');
+  assert.match(transcript, /standup/);
+  assert.match(transcript, /Alice.*I will send the report on Friday\./);
+  assert.match(transcript, /Bob.*The build is green again\./);
+  assert.doesNotMatch(transcript, /not audio/);
+});
+
+test('a missing input fails the run', async () => {
+  const res = await runIngest(['missing.ogg'], {});
+  assert.equal(res.code, 1);
+});
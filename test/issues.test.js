@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { after, afterEach, before, test } from 'node:test';
+
+import { callMarker, findDuplicateIssue } from '../src/issue_trackers.js';
+import { issuesTarget } from '../src/targets/issues.js';
+import { recordingLogger, startMock, tempDir } from './helpers.js';
+
+test('findDuplicateIssue: same task, or reworded with the same owner', () => {
+  const issues = [
+    { id: '1', task: 'Write the release notes for v2', owner: 'Alice' },
+    { id: '2', task: 'Book the venue', owner: '' },
+  ];
+  assert.equal(findDuplicateIssue({ task: 'write the release notes for v2!', owner: 'Bob' }, issues), null);
+  assert.equal(findDuplicateIssue({ task: 'Write the release notes for v2', owner: null }, issues).id, '1');
+  assert.equal(findDuplicateIssue({ task: 'Write release notes for version 2', owner: 'alice' }, issues).id, '1');
+  // An unassigned issue matches any owner; unrelated tasks match nothing.
+  assert.equal(findDuplicateIssue({ task: 'Book a venue', owner: 'Carol' }, issues).id, '2');
+  assert.equal(findDuplicateIssue({ task: 'Order pizza for the team', owner: 'Alice' }, issues), null);
+});
+
+test('callMarker is stable per call', () => {
+  assert.equal(callMarker('call-1'), callMarker('call-1'));
+  assert.notEqual(callMarker('call-1'), callMarker('call-2'));
+  assert.match(callMarker('call-1'), /^dvs-[0-9a-f]{16}$/);
+});
+
+// issuesTarget.send against scripts/mock_tracker_server.js.
+let mock;
+let tmp;
+before(async () => {
+  mock = await startMock('mock_tracker_server.js');
+  tmp = tempDir();
+});
+after(() => {
+  mock?.stop();
+  tmp?.cleanup();
+});
+
+const TRACKER_ENV = {
+  github: (url) => ({ ISSUE_TRACKER: 'github', GITHUB_API_URL: url, GITHUB_TOKEN: 'test', GITHUB_REPO: 'acme/app' }),
+  jira: (url) => ({ ISSUE_TRACKER: 'jira', JIRA_BASE_URL: url, JIRA_EMAIL: 'bot@example.com', JIRA_API_TOKEN: 'test', JIRA_PROJECT_KEY: 'APP' }),
+  linear: (url) => ({ ISSUE_TRACKER: 'linear', LINEAR_API_URL: `${url}/graphql`, LINEAR_API_KEY: 'test', LINEAR_TEAM_ID: 'team' }),
+};
+
+function target(tracker, { url = mock.url, dataDir = join(tmp.dir, tracker) } = {}) {
+  const cfg = { DATA_DIR: dataDir, SUMMARY_FORMAT: 'json' };
+  const options = { ...issuesTarget.loadConfig(TRACKER_ENV[tracker](url), cfg), retryDelayMs: 10 };
+  assert.deepEqual(issuesTarget.validate(options, cfg), []);
+  const { logger, entries } = recordingLogger();
+  const send = (callId, items) => issuesTarget.send({ options, message: { items, callId, channelName: 'standup', startedAt: '2026-01-05T10:00:00Z' }, logger });
+  return { send, entries, dataDir };
+}
+
+async function trackerIssues(tracker) {
+  const all = await (await fetch(`${mock.url}/issues`)).json();
+  return all.filter((i) => i.tracker === tracker);
+}
+
+const delivered = (entries) => entries.find(([, msg]) => msg === 'Issues delivered')[2];
+
+for (const tracker of Object.keys(TRACKER_ENV)) {
+  test(`${tracker}: a re-summarized call doesn't duplicate issues, even without the local store`, async () => {
+    const { send, entries, dataDir } = target(tracker);
+    const callId = `call-${tracker}`;
+    await send(callId, [
+      { task: 'Write the release notes for v2', owner: 'Alice', ownerContacts: { [tracker]: 'alice-id' } },
+      { task: 'Book the venue', owner: 'Bob' },
+    ]);
+    assert.deepEqual(delivered(entries), { tracker, created: 2, skipped: 0 });
+
+    const created = await trackerIssues(tracker);
+    assert.deepEqual(created.map((i) => i.title), ['Write the release notes for v2', 'Book the venue']);
+    assert.equal(created[0].assignee, 'alice-id');
+    assert.ok(created.every((i) => i.body.includes(callMarker(callId))));
+
+    // Same call, summarized again: tasks worded differently, one new task, issues.json gone.
+    rmSync(dataDir, { recursive: true, force: true });
+    entries.length = 0;
+    await send(callId, [
+      { task: 'Write release notes for version 2', owner: 'Alice' },
+      { task: 'Book a venue', owner: 'Bob' },
+      { task: 'Book the venue', owner: 'Carol' },
+    ]);
+    assert.deepEqual(delivered(entries), { tracker, created: 1, skipped: 2 });
+    assert.deepEqual((await trackerIssues(tracker)).map((i) => i.title), ['Write the release notes for v2', 'Book the venue', 'Book the venue']);
+
+    // And once more with the store now in place: nothing new.
+    entries.length = 0;
+    await send(callId, [{ task: 'Book the venue', owner: 'Carol' }]);
+    assert.deepEqual(delivered(entries), { tracker, created: 0, skipped: 1 });
+  });
+}
+
+test('issues of other calls are not taken for duplicates', async () => {
+  const { send, entries } = target('github', { dataDir: join(tmp.dir, 'other-calls') });
+  await send('call-a', [{ task: 'Rotate the API keys', owner: 'Dana' }]);
+  entries.length = 0;
+  await send('call-b', [{ task: 'Rotate the API keys', owner: 'Dana' }]);
+  assert.deepEqual(delivered(entries), { tracker: 'github', created: 1, skipped: 0 });
+});
+
+let failing = null;
+afterEach(() => {
+  failing?.stop();
+  failing = null;
+});
+
+test('when the tracker search fails, nothing is created', async () => {
+  failing = await startMock('mock_tracker_server.js', ['--fail-first', '2']);
+  const { send } = target('jira', { url: failing.url, dataDir: join(tmp.dir, 'failing') });
+  await assert.rejects(send('call-x', [{ task: 'Fix the login page', owner: null }]), /Jira issue search failed: 503/);
+  const all = await (await fetch(`${failing.url}/issues`)).json();
+  assert.deepEqual(all, []);
+});
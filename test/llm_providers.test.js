@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+
+import { createLlmChain, createLlmProvider, parseProviderList } from '../src/llm_providers.js';
+import { recordingLogger, startMock, waitForLines } from './helpers.js';
+
+// Every case gets its own scripts/mock_llm_server.js, since --fail-first counts the server's requests.
+let mock = null;
+afterEach(() => {
+  mock?.stop();
+  mock = null;
+});
+
+function envFor(url) {
+  return {
+    OPENAI_BASE_URL: `${url}/v1`,
+    OPENAI_API_KEY: 'test-openai',
+    AZURE_OPENAI_ENDPOINT: url,
+    AZURE_OPENAI_API_KEY: 'test-azure',
+    AZURE_OPENAI_DEPLOYMENT: 'summaries',
+    ANTHROPIC_BASE_URL: url,
+    ANTHROPIC_API_KEY: 'test-anthropic',
+    ANTHROPIC_MODEL: 'claude-test',
+    LLM_HTTP_URL: `${url}/generate`,
+  };
+}
+
+const requests = (lines) => lines.filter((l) => l.startsWith('POST '));
+
+test('each provider speaks its own API', async () => {
+  mock = await startMock('mock_llm_server.js');
+  const env = envFor(mock.url);
+  for (const [name, kind, path, auth] of [
+    ['openai', 'openai', '/v1/chat/completions', 'authorization'],
+    ['azure', 'azure', '/openai/deployments/summaries/chat/completions?api-version=2024-06-01', 'api-key'],
+    ['anthropic', 'anthropic', '/v1/messages', 'x-api-key'],
+    ['http', 'http', '/generate', ''],
+  ]) {
+    const text = await createLlmProvider({ name, env, timeoutMs: 5000 }).complete('Summarize: hello');
+    assert.match(text, new RegExp(`Mock summary \\(${kind}\\)`));
+    const [line] = await waitForLines(mock.lines, new RegExp(`^POST ${path.replace(/[?.]/g, '\\$&')} `));
+    assert.ok(line.includes(`auth=[${auth}]`), line);
+  }
+});
+
+test('unknown providers and missing keys are reported', async () => {
+  assert.throws(() => createLlmProvider({ name: 'gpt5' }), /Unknown LLM_PROVIDER: gpt5/);
+  await assert.rejects(createLlmProvider({ name: 'anthropic', env: {} }).complete('x'), /ANTHROPIC_API_KEY is not set/);
+  assert.deepEqual(parseProviderList(' HTTP, openai ,', {}), ['http', 'openai']);
+  assert.deepEqual(parseProviderList('', { LLM_HTTP_URL: 'http://x' }), ['http']);
+});
+
+test('a server error is retried on the same provider', async () => {
+  mock = await startMock('mock_llm_server.js', ['--fail-first', '1']);
+  const { logger } = recordingLogger();
+  const chain = createLlmChain({ names: ['openai', 'anthropic'], env: envFor(mock.url), retries: 2, retryBaseMs: 10, logger });
+  assert.match(await chain.complete('x'), /Mock summary \(openai\)/);
+  assert.deepEqual(chain.failures, []);
+  assert.equal(chain.current().name, 'openai');
+  assert.equal(requests(await waitForLines(mock.lines, /^POST /, 2)).length, 2);
+});
+
+test('an exhausted provider falls back to the next one, which keeps the rest of the summary', async () => {
+  mock = await startMock('mock_llm_server.js', ['--fail-first', '2']);
+  const { logger } = recordingLogger();
+  const chain = createLlmChain({ names: ['openai', 'anthropic'], env: envFor(mock.url), retries: 1, retryBaseMs: 10, logger });
+  assert.match(await chain.complete('x'), /Mock summary \(anthropic\)/);
+  assert.deepEqual(chain.failures.map((f) => f.provider), ['openai']);
+  assert.deepEqual(chain.current(), { name: 'anthropic', model: 'claude-test' });
+  assert.match(await chain.complete('next chunk'), /Mock summary \(anthropic\)/);
+  const lines = await waitForLines(mock.lines, /^POST /, 4);
+  assert.deepEqual(lines.map((l) => l.split(' ')[1]), ['/v1/chat/completions', '/v1/chat/completions', '/v1/messages', '/v1/messages']);
+});
+
+test('client errors are not retried', async () => {
+  mock = await startMock('mock_llm_server.js', ['--fail-first', '1', '--fail-status', '401']);
+  const { logger } = recordingLogger();
+  const chain = createLlmChain({ names: ['openai', 'http'], env: envFor(mock.url), retries: 3, retryBaseMs: 10, logger });
+  assert.match(await chain.complete('x'), /Mock summary \(http\)/);
+  const lines = await waitForLines(mock.lines, /^POST /, 2);
+  assert.deepEqual(lines.map((l) => l.split(' ')[1]), ['/v1/chat/completions', '/generate']);
+});
+
+test('Retry-After within the cap is honored', async () => {
+  mock = await startMock('mock_llm_server.js', ['--fail-first', '1', '--fail-status', '429', '--retry-after', '1']);
+  const { logger, entries } = recordingLogger();
+  const chain = createLlmChain({ names: ['openai'], env: envFor(mock.url), timeoutMs: 5000, retries: 1, retryBaseMs: 10, logger });
+  const t0 = Date.now();
+  assert.match(await chain.complete('x'), /Mock summary \(openai\)/);
+  assert.ok(Date.now() - t0 >= 900, 'waited for Retry-After');
+  assert.ok(entries.some(([level, msg, meta]) => level === 'warn' && /retrying/.test(msg) && meta.delayMs === 1000));
+});
+
+test('Retry-After beyond the cap falls back right away', async () => {
+  mock = await startMock('mock_llm_server.js', ['--fail-first', '1', '--fail-status', '429', '--retry-after', '86400']);
+  const { logger, entries } = recordingLogger();
+  const chain = createLlmChain({ names: ['openai', 'anthropic'], env: envFor(mock.url), timeoutMs: 5000, retries: 2, logger });
+  const t0 = Date.now();
+  assert.match(await chain.complete('x'), /Mock summary \(anthropic\)/);
+  assert.ok(Date.now() - t0 < 2000);
+  assert.ok(entries.some(([level, msg]) => level === 'warn' && /asks to retry after 86400s; not waiting/.test(msg)));
+});
+
+test('the model override applies to the first provider only', async () => {
+  mock = await startMock('mock_llm_server.js', ['--fail-first', '1', '--fail-status', '400']);
+  const { logger } = recordingLogger();
+  const env = { ...envFor(mock.url), LLM_MODEL: 'gpt-test' };
+  const chain = createLlmChain({ names: ['openai', 'anthropic'], model: 'gpt-override', env, retries: 0, logger });
+  await chain.complete('x');
+  const lines = await waitForLines(mock.lines, /^POST /, 2);
+  assert.match(lines[0], / model=gpt-override /);
+  assert.match(lines[1], / model=claude-test /);
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { deliverSummary } from '../src/delivery.js';
+import { matrixTarget } from '../src/targets/matrix.js';
+import { recordingLogger, startMock } from './helpers.js';
+
+// matrixTarget against scripts/mock_chat_server.js.
+let mock;
+before(async () => {
+  mock = await startMock('mock_chat_server.js');
+});
+after(() => mock?.stop());
+
+const ROOM = '!room:example.org';
+
+function options(url, env = {}) {
+  const opts = matrixTarget.loadConfig({ MATRIX_HOMESERVER_URL: url, MATRIX_ACCESS_TOKEN: 'token', MATRIX_ROOM_ID: ROOM, MATRIX_MAX_CHARS: '1000', ...env });
+  assert.deepEqual(matrixTarget.validate(opts), []);
+  return opts;
+}
+
+async function received(m) {
+  return (await (await fetch(`${m.url}/messages`)).json()).filter((x) => x.dest === 'matrix');
+}
+
+// Three paragraphs that don't fit one 1000-character event.
+const LONG_TEXT = ['**Decisions**', 'a'.repeat(700), 'b'.repeat(700), 'c'.repeat(700)].join('\n\n');
+
+test('validate: room IDs only, known msgtypes', () => {
+  const errors = matrixTarget.validate(matrixTarget.loadConfig({ MATRIX_HOMESERVER_URL: 'ftp://x', MATRIX_ROOM_ID: '#room:example.org', MATRIX_MSGTYPE: 'm.emote' }));
+  assert.equal(errors.length, 4);
+  assert.match(errors.join('\n'), /MATRIX_ROOM_ID must be a room ID/);
+});
+
+test('long summaries go out as several HTML events; re-sending the same message posts nothing new', async () => {
+  const opts = options(mock.url, { MATRIX_MSGTYPE: 'm.notice' });
+  const message = matrixTarget.format({ text: LONG_TEXT }, opts);
+  assert.match(message.txnId, /^d2s-/);
+  assert.notEqual(matrixTarget.format({ text: LONG_TEXT }, opts).txnId, message.txnId);
+
+  await matrixTarget.send({ options: opts, message });
+  const first = await received(mock);
+  assert.equal(first.length, 3);
+  assert.deepEqual(first.map((m) => m.txn), [0, 1, 2].map((i) => `${message.txnId}-${i}`));
+  assert.ok(first.every((m) => m.room === ROOM && m.msgtype === 'm.notice' && m.html && m.chars <= 1000));
+
+  await matrixTarget.send({ options: opts, message });
+  assert.equal((await received(mock)).length, 3);
+});
+
+test('a retry after a failed chunk does not post the earlier chunks twice', async () => {
+  const flaky = await startMock('mock_chat_server.js', ['--fail-nth', '2']);
+  try {
+    const opts = { ...options(flaky.url), enabled: true, retryDelayMs: 10 };
+    const { logger, entries } = recordingLogger();
+    await deliverSummary({ logger, delivery: { matrix: opts }, summary: { text: LONG_TEXT } });
+    assert.ok(entries.some(([level, msg]) => level === 'warn' && /matrix delivery/.test(msg)));
+    assert.deepEqual((await received(flaky)).map((m) => m.txn.slice(-2)), ['-0', '-1', '-2']);
+  } finally {
+    flaky.stop();
+  }
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { afterEach, test } from 'node:test';
+
+import { summarizeTranscriptWithLLM } from '../src/llm_summary.js';
+import { buildRepairPrompt, extractJson, parseMinutes, renderMinutesText, validateMinutes } from '../src/minutes.js';
+import { recordingLogger, startMock, waitForLines } from './helpers.js';
+
+test('extractJson tolerates code fences and text around the object', () => {
+  assert.deepEqual(extractJson('Sure!\n```json\n{"a": 1}\n```\nAnything else?'), { a: 1 });
+  assert.deepEqual(extractJson('Here: {"a": {"b": 2}} done'), { a: { b: 2 } });
+  assert.throws(() => extractJson('no json here'), /No JSON object/);
+});
+
+test('validateMinutes normalizes strings and "unknown" owners and deadlines', () => {
+  const { ok, minutes } = validateMinutes({
+    summary: ['  Release   moved  ', ''],
+    actionItems: [
+      { task: 'Ship it', owner: 'N/A', deadline: 'TBD' },
+      { task: 'Write notes', owner: ' Alice ', deadline: '2026-02-01' },
+    ],
+  });
+  assert.ok(ok);
+  assert.deepEqual(minutes, {
+    summary: ['Release moved'],
+    decisions: [],
+    actionItems: [
+      { task: 'Ship it', owner: null, deadline: null },
+      { task: 'Write notes', owner: 'Alice', deadline: '2026-02-01' },
+    ],
+    risks: [],
+  });
+});
+
+test('validateMinutes lists every schema problem', () => {
+  const { ok, errors, minutes } = validateMinutes({
+    summary: 'one line',
+    decisions: [1],
+    actionItems: [{ owner: 'Bob' }, 'call Bob', { task: 'x', owner: 5 }],
+  });
+  assert.equal(ok, false);
+  assert.equal(minutes, null);
+  assert.deepEqual(errors, [
+    'summary must be an array of strings',
+    'decisions[0] must be a string',
+    'actionItems[0].task must be a non-empty string',
+    'actionItems[1] must be an object',
+    'actionItems[2].owner must be a string or null',
+  ]);
+  assert.deepEqual(validateMinutes({ summary: [' '] }).errors, ['summary must not be empty']);
+  assert.deepEqual(validateMinutes([]).errors, ['top level must be a JSON object']);
+  assert.match(parseMinutes('{"summary": [').errors[0], /^invalid JSON/);
+});
+
+test('the repair prompt carries the problems and the previous answer', () => {
+  const prompt = buildRepairPrompt('{"summary": "x"}', ['summary must be an array of strings']);
+  assert.match(prompt, /- summary must be an array of strings/);
+  assert.match(prompt, /PREVIOUS ANSWER:\n\{"summary": "x"\}$/);
+});
+
+test('rendered minutes follow the text summary layout', () => {
+  const text = renderMinutesText(
+    { summary: ['Release moved'], decisions: [], actionItems: [{ task: 'Ship it', owner: null, deadline: 'Friday' }], risks: [] },
+    { ownerLabel: (a) => a.owner || '@nobody' },
+  );
+  assert.equal(
+    text,
+    [
+      '**1) Brief call summary**\n- Release moved',
+      '**2) Decisions**\n- No decisions recorded.',
+      '**3) Tasks / To‑Do**\n- Task: Ship it | Owner: @nobody | Deadline: Friday',
+      '**4) Risks / Blockers**\n- None.',
+    ].join('\n\n'),
+  );
+});
+
+// summarizeTranscriptWithLLM against scripts/mock_llm_server.js, whose --bad-json N breaks its first N minutes.
+let mock = null;
+afterEach(() => {
+  mock?.stop();
+  mock = null;
+});
+
+async function summarizeJson(mockArgs, env = {}) {
+  mock = await startMock('mock_llm_server.js', mockArgs);
+  Object.assign(process.env, { LLM_PROVIDER: 'openai', OPENAI_BASE_URL: `${mock.url}/v1`, OPENAI_API_KEY: 'test', LLM_RETRIES: '0' }, env);
+  const { logger, entries } = recordingLogger();
+  const result = summarizeTranscriptWithLLM({ transcript: 'Alice: I will reply to the mock.', format: 'json', logger });
+  return { result, entries };
+}
+
+test('an invalid minutes answer is repaired by the LLM', async () => {
+  const { result, entries } = await summarizeJson(['--bad-json', '1']);
+  const summary = await result;
+  assert.equal(summary.format, 'json');
+  assert.deepEqual(summary.minutes.actionItems, [{ task: 'Reply to the mock', owner: null, deadline: null }]);
+  assert.match(summary.text, /Task: Reply to the mock \| Owner: Unassigned/);
+  assert.ok(entries.some(([level, msg]) => level === 'warn' && /asking for repair/.test(msg)));
+  const lines = await waitForLines(mock.lines, /^POST /, 2);
+  assert.equal(lines.length, 2);
+});
+
+test('minutes still invalid after the repair attempts fail the summary', async () => {
+  const { result } = await summarizeJson(['--bad-json', '2'], { SUMMARY_JSON_REPAIR_ATTEMPTS: '1' });
+  await assert.rejects(result, /LLM returned invalid minutes JSON: summary must be an array of strings/);
+});
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { existsSync, readdirSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { finished } from 'node:stream/promises';
+import { test } from 'node:test';
+
+import { createChunkWriter, stitchChunks } from '../src/recorder.js';
+import { tempDir } from './helpers.js';
+
+// One second of 48 kHz mono s16le PCM.
+const SECOND = 48000 * 2;
+
+async function write(writer, seconds, { end = true } = {}) {
+  // Written in 20 ms frames, as the Opus decoder does.
+  const frame = Buffer.alloc(SECOND / 50);
+  for (let i = 0; i < Math.round(seconds * 50); i++) {
+    if (!writer.sink.write(frame)) await new Promise((r) => writer.sink.once('drain', r));
+  }
+  if (end) {
+    writer.sink.end();
+    await finished(writer.sink);
+  }
+}
+
+test('createChunkWriter rotates chunks every chunkSeconds and drops a short tail', async () => {
+  const tmp = tempDir();
+  try {
+    const seen = [];
+    const writer = createChunkWriter({ outDir: tmp.dir, prefix: 'u1', startedAtMs: 1000, chunkSeconds: 2, minSegmentSeconds: 1.5, onChunk: (c) => seen.push(c) });
+    await write(writer, 5.2);
+
+    assert.deepEqual(
+      seen.map((c) => [c.index, c.seconds, c.offsetSeconds, c.startedAtMs]),
+      [[0, 2, 0, 1000], [1, 2, 2, 1000]],
+    );
+    assert.deepEqual(writer.chunks, seen);
+    // The 1.2 s tail is shorter than minSegmentSeconds.
+    assert.equal(writer.seconds(), 5.2);
+    assert.deepEqual(readdirSync(tmp.dir).sort(), ['u1-000.pcm', 'u1-001.pcm']);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('createChunkWriter keeps a tail of at least minSegmentSeconds, and one file without chunkSeconds', async () => {
+  const tmp = tempDir();
+  try {
+    const rotating = createChunkWriter({ outDir: tmp.dir, prefix: 'a', chunkSeconds: 2, minSegmentSeconds: 1 });
+    await write(rotating, 3.5);
+    assert.deepEqual(rotating.chunks.map((c) => [c.index, c.seconds, c.offsetSeconds]), [[0, 2, 0], [1, 1.5, 2]]);
+
+    const single = createChunkWriter({ outDir: tmp.dir, prefix: 'b', minSegmentSeconds: 1 });
+    await write(single, 4);
+    assert.equal(single.chunks.length, 1);
+    assert.equal(statSync(single.chunks[0].segmentPath).size, 4 * SECOND);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('createChunkWriter.abort deletes the chunk being written and drops the rest', async () => {
+  const tmp = tempDir();
+  try {
+    const writer = createChunkWriter({ outDir: tmp.dir, prefix: 'u2', chunkSeconds: 2, minSegmentSeconds: 0.5 });
+    await write(writer, 3, { end: false });
+    writer.abort();
+    await write(writer, 3);
+    assert.deepEqual(writer.chunks.map((c) => c.index), [0]);
+    assert.equal(existsSync(join(tmp.dir, 'u2-001.pcm')), false);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('stitchChunks joins chunk texts in chunk order, skipping missing ones', () => {
+  const chunks = [];
+  chunks[2] = { text: 'third', startMs: 4000, endMs: 6000, language: 'en', segments: [{ startMs: 4100, endMs: 5900, text: 'third' }] };
+  chunks[0] = { text: 'first', startMs: 0, endMs: 2000, language: null, segments: [{ startMs: 300, endMs: 1900, text: 'first' }] };
+  assert.deepEqual(stitchChunks(chunks), {
+    text: 'first third',
+    startMs: 300,
+    endMs: 5900,
+    language: 'en',
+    segments: [chunks[0].segments[0], chunks[2].segments[0]],
+  });
+  // Without STT segments the chunk boundaries are used.
+  assert.deepEqual(stitchChunks([{ text: 'a', startMs: 0, endMs: 2000 }, { text: 'b', startMs: 2000, endMs: 3000 }]), {
+    text: 'a b',
+    startMs: 0,
+    endMs: 3000,
+    language: null,
+    segments: [],
+  });
+});
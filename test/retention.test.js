@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { readdirSync, utimesSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { test } from 'node:test';
+
+import { callFileStem } from '../src/archive.js';
+import { pruneOldFiles } from '../src/retention.js';
+import { recordingLogger, tempDir } from './helpers.js';
+
+const DAY = 24 * 60 * 60_000;
+
+// Files of one call, all with the same modification time `ageMs` ago.
+function writeCall(dir, startedAt, ageMs, suffixes = ['.txt', '.json']) {
+  const stem = callFileStem({ startedAt, channelName: 'Daily standup' });
+  const at = new Date(Date.now() - ageMs);
+  for (const suffix of suffixes) {
+    const path = join(dir, `${stem}${suffix}`);
+    writeFileSync(path, 'x');
+    utimesSync(path, at, at);
+  }
+  return stem;
+}
+
+const stems = (dir) => [...new Set(readdirSync(dir).filter((n) => n !== '.gitkeep').map((n) => n.split('.')[0]))].sort();
+
+test('callFileStem: one dot-free stem per call', () => {
+  assert.equal(callFileStem({ startedAt: new Date('2026-01-05T10:00:00.123Z'), channelName: 'Daily standup / eng' }), '2026-01-05T10-00-00-123Z__Daily_standup_eng');
+  assert.equal(callFileStem({ startedAt: null, channelName: 'x' }), 'unknown__x');
+});
+
+test('pruneOldFiles keeps the newest maxCalls calls with all their files', () => {
+  const tmp = tempDir();
+  try {
+    const old = writeCall(tmp.dir, new Date('2026-01-01T10:00:00Z'), 3 * DAY, ['.txt', '.json', '.ogg.enc']);
+    const mid = writeCall(tmp.dir, new Date('2026-01-02T10:00:00Z'), 2 * DAY);
+    const recent = writeCall(tmp.dir, new Date('2026-01-03T10:00:00Z'), DAY);
+    writeFileSync(join(tmp.dir, '.gitkeep'), '');
+
+    const { logger, entries } = recordingLogger();
+    pruneOldFiles({ dir: tmp.dir, maxCalls: 2, logger });
+    assert.deepEqual(stems(tmp.dir), [mid, recent].sort());
+    assert.equal(entries.filter(([, msg]) => msg === 'Pruned old transcript file').length, 3);
+    assert.ok(readdirSync(tmp.dir).includes('.gitkeep'));
+    assert.ok(!stems(tmp.dir).includes(old));
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('pruneOldFiles deletes calls whose newest file is older than maxAgeDays', () => {
+  const tmp = tempDir();
+  try {
+    writeCall(tmp.dir, new Date('2026-01-01T10:00:00Z'), 10 * DAY);
+    const fresh = writeCall(tmp.dir, new Date('2026-01-08T10:00:00Z'), DAY);
+    // A call with one old and one fresh file is kept whole.
+    const mixed = writeCall(tmp.dir, new Date('2026-01-02T10:00:00Z'), 10 * DAY, ['.txt']);
+    writeFileSync(join(tmp.dir, `${mixed}.json`), 'x');
+
+    pruneOldFiles({ dir: tmp.dir, maxAgeDays: 7 });
+    assert.deepEqual(stems(tmp.dir), [fresh, mixed].sort());
+    assert.equal(readdirSync(tmp.dir).filter((n) => n.startsWith(mixed)).length, 2);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test('pruneOldFiles does nothing without limits or with a missing directory', () => {
+  const tmp = tempDir();
+  try {
+    writeCall(tmp.dir, new Date('2026-01-01T10:00:00Z'), 100 * DAY);
+    pruneOldFiles({ dir: tmp.dir });
+    assert.equal(stems(tmp.dir).length, 1);
+    pruneOldFiles({ dir: join(tmp.dir, 'missing'), maxCalls: 1 });
+  } finally {
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+
+import { buildSlackBlocks, toSlackMrkdwn } from '../src/slack.js';
+import { slackTarget } from '../src/targets/slack.js';
+import { recordingLogger, startMock, tempDir } from './helpers.js';
+
+test('toSlackMrkdwn: bold, bullets, escaping except Slack tokens', () => {
+  assert.equal(toSlackMrkdwn('**Owner:** <@U123> & <b>\n- item'), '*Owner:* <@U123> &amp; &lt;b&gt;\n• item');
+});
+
+test('buildSlackBlocks: header, a section per paragraph, 50 blocks per message', () => {
+  const [only] = buildSlackBlocks({ title: 'T', text: 'one\n\ntwo' });
+  assert.deepEqual(only.map((b) => b.type), ['header', 'section', 'section']);
+  assert.equal(only[1].text.type, 'mrkdwn');
+
+  const messages = buildSlackBlocks({ title: 'T', text: Array.from({ length: 60 }, (_, i) => `p${i}`).join('\n\n') });
+  assert.deepEqual(messages.map((m) => m.length), [50, 11]);
+  // Long paragraphs are split to the 3000-character section limit.
+  assert.ok(buildSlackBlocks({ title: 'T', text: 'x '.repeat(4000) })[0].slice(1).every((b) => b.text.text.length <= 3000));
+});
+
+test('validate: bot token, channel ID, transcript mode', () => {
+  const cfg = { DATA_DIR: '/tmp' };
+  assert.deepEqual(slackTarget.validate(slackTarget.loadConfig({ SLACK_BOT_TOKEN: 'xoxb-1', SLACK_CHANNEL: 'C0123ABCD' }, cfg)), []);
+  assert.deepEqual(slackTarget.validate(slackTarget.loadConfig({ SLACK_BOT_TOKEN: 'abc', SLACK_CHANNEL: '#general', SLACK_TRANSCRIPT: 'inline' }, cfg)), [
+    'SLACK_BOT_TOKEN must be a bot token (xoxb-...)',
+    'SLACK_CHANNEL must be a channel ID like C0123ABCD with SLACK_BOT_TOKEN (got: #general)',
+    'SLACK_TRANSCRIPT must be one of off, thread, file (got: inline)',
+  ]);
+  assert.deepEqual(slackTarget.validate(slackTarget.loadConfig({ SLACK_WEBHOOK_URL: 'https://hooks.slack.com/x', SLACK_TRANSCRIPT: 'thread' }, cfg)), [
+    'SLACK_TRANSCRIPT needs SLACK_BOT_TOKEN (incoming webhooks cannot post threads or files)',
+  ]);
+});
+
+// slackTarget with a bot token against scripts/mock_chat_server.js (POST /api/<method>).
+let mock;
+let tmp;
+before(async () => {
+  mock = await startMock('mock_chat_server.js');
+  tmp = tempDir();
+});
+after(() => {
+  mock?.stop();
+  tmp?.cleanup();
+});
+
+const CHANNEL = 'C0123ABCD';
+
+function target(name, env = {}) {
+  const cfg = { DATA_DIR: join(tmp.dir, name) };
+  const options = slackTarget.loadConfig({ SLACK_BOT_TOKEN: 'xoxb-test', SLACK_API_URL: `${mock.url}/api`, SLACK_CHANNEL: CHANNEL, ...env }, cfg);
+  assert.deepEqual(slackTarget.validate(options), []);
+  const { logger } = recordingLogger();
+  const send = (summary) => slackTarget.send({ options, message: slackTarget.format(summary, options), logger });
+  return { send, options };
+}
+
+let seen = 0;
+// Slack calls the mock received since the last call.
+async function newCalls() {
+  const all = (await (await fetch(`${mock.url}/messages`)).json()).filter((m) => m.dest === 'slack');
+  const fresh = all.slice(seen);
+  seen = all.length;
+  return fresh;
+}
+
+const summary = (callId, text, transcript = { filename: 'call.txt', text: '[00:01] Alice: hello' }) => ({
+  callId,
+  text: `Discord call summary\nChannel: \`standup\`\n\n${text}`,
+  transcript,
+});
+
+test('bot token: Block Kit message with the transcript in its thread; a re-delivery edits it', async () => {
+  const { send, options } = target('thread', { SLACK_TRANSCRIPT: 'thread' });
+  const first = await send(summary('call-1', '**Decisions**\n- ship it'));
+  const calls = await newCalls();
+  assert.deepEqual(calls.map((c) => c.method), ['chat.postMessage', 'chat.postMessage']);
+  // The title is the header block, not the first line of the text.
+  assert.equal(calls[0].blocks, 3);
+  assert.equal(calls[0].thread, '-');
+  assert.equal(calls[1].thread, first.ts);
+
+  const stored = JSON.parse(readFileSync(options.storePath, 'utf-8')).messages['call-1'];
+  assert.equal(stored.ts, first.ts);
+  assert.equal(stored.transcriptPosted, true);
+
+  // Re-summarized: the same message is edited and the transcript isn't posted again.
+  const again = await send(summary('call-1', '**Decisions**\n- ship it on Monday'));
+  assert.equal(again.ts, first.ts);
+  assert.deepEqual((await newCalls()).map((c) => [c.method, c.ts]), [['chat.update', first.ts]]);
+});
+
+test('bot token: long summaries continue in the thread; a shorter re-delivery deletes the stale replies', async () => {
+  const { send } = target('long');
+  const long = Array.from({ length: 60 }, (_, i) => `Point ${i}`).join('\n\n');
+  const first = await send(summary('call-2', long, null));
+  const calls = await newCalls();
+  // Header + the channel line + 60 points: 50 blocks in the message, 12 in the reply.
+  assert.deepEqual(calls.map((c) => [c.method, c.thread, c.blocks]), [['chat.postMessage', '-', 50], ['chat.postMessage', first.ts, 12]]);
+
+  await send(summary('call-2', 'Short now', null));
+  assert.deepEqual((await newCalls()).map((c) => c.method), ['chat.update', 'chat.delete']);
+});
+
+test('bot token: SLACK_TRANSCRIPT=file uploads the transcript into the thread', async () => {
+  const { send } = target('file', { SLACK_TRANSCRIPT: 'file' });
+  const transcript = { filename: 'call-3.txt', text: 'Alice: привет\n'.repeat(20) };
+  const posted = await send(summary('call-3', 'Summary', transcript));
+  const [message, upload] = await newCalls();
+  assert.equal(message.method, 'chat.postMessage');
+  assert.deepEqual(
+    { method: upload.method, channel: upload.channel, thread: upload.thread, file: upload.file, bytes: upload.bytes },
+    { method: 'files.completeUploadExternal', channel: CHANNEL, thread: posted.ts, file: 'call-3.txt', bytes: Buffer.byteLength(transcript.text) },
+  );
+});
+
+test('bot token: Slack API errors are thrown', async () => {
+  const options = slackTarget.loadConfig({ SLACK_BOT_TOKEN: 'bad-token', SLACK_API_URL: `${mock.url}/api`, SLACK_CHANNEL: CHANNEL }, { DATA_DIR: join(tmp.dir, 'bad') });
+  await assert.rejects(slackTarget.send({ options, message: slackTarget.format(summary(null, 'x', null), options) }), /chat\.postMessage failed: 200 not_authed/);
+});
+
+test('bot token: a retry after a failed thread reply posts only the replies not posted yet', async () => {
+  const flaky = await startMock('mock_chat_server.js', ['--fail-nth', '3']);
+  try {
+    const cfg = { DATA_DIR: join(tmp.dir, 'retry') };
+    const env = { SLACK_BOT_TOKEN: 'xoxb-test', SLACK_API_URL: `${flaky.url}/api`, SLACK_CHANNEL: CHANNEL, SLACK_TRANSCRIPT: 'thread', SLACK_MAX_CHARS: '1000' };
+    const options = { ...slackTarget.loadConfig(env, cfg), retryDelayMs: 10 };
+    const { logger, entries } = recordingLogger();
+    // Three replies of the transcript; the mock fails the second one (its third request).
+    const transcript = { filename: 'call.txt', text: Array.from({ length: 3 }, (_, i) => `${i}`.repeat(900)).join('\n\n') };
+    const posted = await slackTarget.send({ options, message: slackTarget.format(summary('call-4', 'Summary', transcript), options), logger });
+    assert.equal(entries.filter(([level, msg]) => level === 'warn' && msg === 'slack delivery failed; retrying').length, 1);
+
+    const calls = (await (await fetch(`${flaky.url}/messages`)).json()).filter((m) => m.dest === 'slack');
+    // The retry edits the stored message and continues with the second reply.
+    assert.deepEqual(calls.map((c) => [c.method, c.thread ?? null]), [
+      ['chat.postMessage', '-'],
+      ['chat.postMessage', posted.ts],
+      ['chat.update', null],
+      ['chat.postMessage', posted.ts],
+      ['chat.postMessage', posted.ts],
+    ]);
+  } finally {
+    flaky.stop();
+  }
+});
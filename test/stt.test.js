@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { copyFileSync, mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+
+import { createPyWorker, normalizeSttResult, parseWhisperCppJson } from '../src/stt.js';
+import { ROOT, recordingLogger, tempDir } from './helpers.js';
+
+test('normalizeSttResult: plain text, and faster-whisper JSON with segments and words', () => {
+  assert.deepEqual(normalizeSttResult('  hello  '), { text: 'hello', language: null, languageProbability: null, duration: null, segments: [] });
+  assert.deepEqual(normalizeSttResult(null).text, '');
+
+  const result = normalizeSttResult({
+    language: 'ru',
+    language_probability: '0.97',
+    duration: 4.2,
+    segments: [
+      { start: 0.5, end: 1.5, text: ' Привет ', avg_logprob: -0.2, no_speech_prob: 0.01, words: [{ start: 0.5, end: 1.0, word: 'Привет', probability: 0.9 }] },
+      { start: 2, end: 2.5, text: '   ' },
+      { start: '3', text: 'ещё', avgLogProb: -0.4 },
+    ],
+  });
+  assert.equal(result.text, 'Привет ещё');
+  assert.equal(result.languageProbability, 0.97);
+  assert.deepEqual(result.segments, [
+    { start: 0.5, end: 1.5, text: 'Привет', avgLogProb: -0.2, noSpeechProb: 0.01, words: [{ start: 0.5, end: 1, word: 'Привет', probability: 0.9 }] },
+    // Missing end: the segment's start; empty segments are dropped.
+    { start: 3, end: 3, text: 'ещё', avgLogProb: -0.4, noSpeechProb: null, words: null },
+  ]);
+});
+
+test('parseWhisperCppJson: millisecond offsets, language and token log-probabilities', () => {
+  const result = parseWhisperCppJson({
+    result: { language: 'en' },
+    transcription: [
+      { offsets: { from: 0, to: 1500 }, text: ' Hello there', tokens: [{ text: '[_BEG_]', p: 0.5 }, { text: ' Hello', p: 1 }, { text: ' there', p: Math.E ** -1 }] },
+      { offsets: { from: 1500, to: 2250 }, text: ' again' },
+    ],
+  });
+  assert.equal(result.text, 'Hello there again');
+  assert.equal(result.language, 'en');
+  assert.deepEqual(result.segments.map((s) => [s.start, s.end, s.text, s.avgLogProb]), [
+    [0, 1.5, 'Hello there', -0.5],
+    [1.5, 2.25, 'again', null],
+  ]);
+  assert.deepEqual(parseWhisperCppJson({}), normalizeSttResult({ segments: [] }));
+});
+
+// createPyWorker against test/fixtures/fake_stt_worker.py, installed where PY_STT_CMD's allowlist expects the
+// transcriber (scripts/ under the working directory).
+const CMD = 'python3 scripts/transcribe_faster_whisper.py';
+let tmp;
+let cwd;
+before(() => {
+  tmp = tempDir();
+  mkdirSync(join(tmp.dir, 'scripts'));
+  copyFileSync(join(ROOT, 'test', 'fixtures', 'fake_stt_worker.py'), join(tmp.dir, 'scripts', 'transcribe_faster_whisper.py'));
+  cwd = process.cwd();
+  process.chdir(tmp.dir);
+});
+after(() => {
+  process.chdir(cwd);
+  tmp?.cleanup();
+});
+
+let n = 0;
+// An "audio" file telling the fake worker what to do.
+function audio(content) {
+  const path = join(tmp.dir, `a${n++}.wav`);
+  writeFileSync(path, content);
+  return path;
+}
+
+test('createPyWorker sends requests one at a time to one long-lived process', async () => {
+  const worker = createPyWorker({ pyCmdTemplate: CMD });
+  try {
+    const texts = await Promise.all(['one', 'two', 'three'].map((t) => worker.transcribe(audio(t))));
+    assert.deepEqual(texts.map((r) => r.text), ['one', 'two', 'three']);
+    await assert.rejects(worker.transcribe(audio('fail')), /STT worker error: cannot decode/);
+    assert.equal((await worker.transcribe(audio('still serving'))).text, 'still serving');
+    assert.deepEqual({ ...worker.status(), pid: null }, { running: true, pid: null, pending: 0, restarts: 0 });
+  } finally {
+    worker.close();
+  }
+});
+
+test('createPyWorker restarts a worker that timed out or crashed', async () => {
+  const { logger, entries } = recordingLogger();
+  const worker = createPyWorker({ pyCmdTemplate: CMD, requestTimeoutMs: 500, logger });
+  try {
+    const stuck = worker.transcribe(audio('hang'));
+    // Queued behind the stuck request: served by the restarted worker, not timed out with it.
+    const next = worker.transcribe(audio('after the restart'));
+    await assert.rejects(stuck, /STT worker timeout after 500ms/);
+    assert.equal((await next).text, 'after the restart');
+
+    await assert.rejects(worker.transcribe(audio('crash')), /STT worker exited \(code=3/);
+    assert.equal((await worker.transcribe(audio('back again'))).text, 'back again');
+    assert.equal(worker.status().restarts, 2);
+    assert.ok(entries.some(([level, msg]) => level === 'warn' && /will restart on next request/.test(msg)));
+  } finally {
+    worker.close();
+  }
+});
+
+test('createPyWorker recovers from a worker that failed to spawn', async () => {
+  const { logger, entries } = recordingLogger();
+  const worker = createPyWorker({ pyCmdTemplate: CMD, requestTimeoutMs: 60_000, logger });
+  const path = process.env.PATH;
+  try {
+    process.env.PATH = join(tmp.dir, 'no-such-dir');
+    const started = Date.now();
+    await assert.rejects(worker.transcribe(audio('x')), /ENOENT/);
+    // Rejected right away, not after the request timeout.
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(worker.status().running, false);
+    assert.ok(entries.some(([level, msg]) => level === 'warn' && /STT worker failed: .*ENOENT/.test(msg)));
+
+    process.env.PATH = path;
+    assert.equal((await worker.transcribe(audio('spawned'))).text, 'spawned');
+  } finally {
+    process.env.PATH = path;
+    worker.close();
+  }
+});
+
+test('createPyWorker.close rejects pending requests', async () => {
+  const worker = createPyWorker({ pyCmdTemplate: CMD });
+  const pending = [worker.transcribe(audio('hang')), worker.transcribe(audio('queued'))];
+  await new Promise((r) => setTimeout(r, 200));
+  worker.close();
+  for (const p of pending) await assert.rejects(p, /STT worker closed/);
+  await assert.rejects(worker.transcribe(audio('late')), /STT worker closed/);
+});
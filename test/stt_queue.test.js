@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { createSttQueue } from '../src/stt_queue.js';
+import { recordingLogger } from './helpers.js';
+
+// A job that runs until release() is called, recording that it started.
+function gate(started, name) {
+  let release;
+  const done = new Promise((r) => (release = r));
+  return { release, run: () => (started.push(name), done.then(() => name)) };
+}
+
+// Enqueues `names` behind one blocking job (concurrency 1, maxQueue 2), then releases it.
+async function overflowRun(overflow) {
+  const { logger, entries } = recordingLogger();
+  const queue = createSttQueue({ concurrency: 1, maxQueue: 2, overflow, logger });
+  const started = [];
+  const discarded = [];
+  const blocker = gate(started, 'blocker');
+  const results = [queue.enqueue({ key: 'call', run: blocker.run })];
+  for (const name of ['a', 'b', 'c']) {
+    results.push(queue.enqueue({ key: 'call', run: async () => (started.push(name), name), discard: () => discarded.push(name) }));
+  }
+  blocker.release();
+  const settled = await Promise.allSettled(results);
+  return { settled, started, discarded, entries, snapshot: queue.snapshot() };
+}
+
+test('runs at most `concurrency` jobs at a time, in order', async () => {
+  const queue = createSttQueue({ concurrency: 2, maxQueue: 10 });
+  const started = [];
+  const jobs = ['a', 'b', 'c'].map((name) => gate(started, name));
+  const results = jobs.map((j) => queue.enqueue({ key: 'call', run: j.run }));
+  await new Promise((r) => setImmediate(r));
+  assert.deepEqual(started, ['a', 'b']);
+  assert.equal(queue.snapshot().running, 2);
+  assert.equal(queue.depthFor('call'), 1);
+
+  jobs[0].release();
+  assert.equal(await results[0], 'a');
+  await new Promise((r) => setImmediate(r));
+  assert.deepEqual(started, ['a', 'b', 'c']);
+  jobs[1].release();
+  jobs[2].release();
+  assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+  assert.equal(queue.snapshot().completed, 3);
+});
+
+test('overflow keep: queues everything and warns once', async () => {
+  const { settled, started, discarded, entries } = await overflowRun('keep');
+  assert.ok(settled.every((s) => s.status === 'fulfilled'));
+  assert.deepEqual(started, ['blocker', 'a', 'b', 'c']);
+  assert.deepEqual(discarded, []);
+  assert.equal(entries.filter(([level]) => level === 'warn').length, 1);
+});
+
+test('overflow drop-oldest: discards the oldest waiting job', async () => {
+  const { settled, started, discarded, snapshot } = await overflowRun('drop-oldest');
+  assert.deepEqual(started, ['blocker', 'b', 'c']);
+  assert.deepEqual(discarded, ['a']);
+  assert.equal(settled[1].status, 'rejected');
+  assert.equal(settled[1].reason.code, 'STT_DROPPED');
+  assert.equal(snapshot.dropped, 1);
+});
+
+test('overflow drop-newest: discards the job being enqueued', async () => {
+  const { settled, started, discarded } = await overflowRun('drop-newest');
+  assert.deepEqual(started, ['blocker', 'a', 'b']);
+  assert.deepEqual(discarded, ['c']);
+  assert.equal(settled[3].reason.code, 'STT_DROPPED');
+});
+
+test('cancel drops the waiting jobs of a key (and tag), not the running one', async () => {
+  const queue = createSttQueue({ concurrency: 1, maxQueue: 10 });
+  const started = [];
+  const discarded = [];
+  const blocker = gate(started, 'blocker');
+  const running = queue.enqueue({ key: 'call', tag: 'alice', run: blocker.run });
+  const job = (key, tag, name) => queue.enqueue({ key, tag, run: async () => (started.push(name), name), discard: () => discarded.push(name) });
+  const results = [job('call', 'alice', 'a1'), job('call', 'bob', 'b1'), job('other', 'alice', 'o1'), job('call', 'alice', 'a2')];
+
+  assert.equal(queue.cancel('call', 'alice'), 2);
+  blocker.release();
+  assert.equal(await running, 'blocker');
+  const settled = await Promise.allSettled(results);
+  assert.deepEqual(discarded.sort(), ['a1', 'a2']);
+  assert.deepEqual(started, ['blocker', 'b1', 'o1']);
+  assert.deepEqual(settled.map((s) => s.status), ['rejected', 'fulfilled', 'fulfilled', 'rejected']);
+  assert.equal(queue.cancel('call'), 0);
+});
+
+test('a failing job rejects its own promise and the queue goes on', async () => {
+  const queue = createSttQueue({ concurrency: 1 });
+  const failed = queue.enqueue({ run: async () => Promise.reject(new Error('stt crashed')) });
+  const ok = queue.enqueue({ run: async () => 'ok' });
+  await assert.rejects(failed, /stt crashed/);
+  assert.equal(await ok, 'ok');
+  assert.equal(queue.snapshot().failed, 1);
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { buildWebhookPayload } from '../src/delivery.js';
+import { buildAdaptiveCard } from '../src/teams.js';
+import { teamsTarget } from '../src/targets/teams.js';
+import { recordingLogger, startMock } from './helpers.js';
+
+// teamsTarget against scripts/mock_chat_server.js (POST /teams).
+let mock;
+before(async () => {
+  mock = await startMock('mock_chat_server.js');
+});
+after(() => mock?.stop());
+
+const LONG_TEXT = ['a'.repeat(700), 'b'.repeat(700), 'c'.repeat(700)].join('\n\n');
+
+function summary(text, source = { provider: 'openai', model: 'gpt-4o-mini', fallback: false, failedProviders: ['anthropic'] }) {
+  const webhookPayload = buildWebhookPayload({
+    channelName: 'standup',
+    startedAt: '2026-01-05T10:00:00Z',
+    endedAt: '2026-01-05T10:30:00Z',
+    participants: 'Alice, Bob',
+    summaryText: text,
+    source,
+  });
+  return { text, webhookPayload };
+}
+
+function options(url) {
+  return { ...teamsTarget.loadConfig({ TEAMS_WEBHOOK_URL: `${url}/teams`, TEAMS_MAX_CHARS: '1000' }), retryDelayMs: 10 };
+}
+
+async function received(m) {
+  return (await (await fetch(`${m.url}/messages`)).json()).filter((x) => x.dest === 'teams');
+}
+
+test('format: call details as facts, including who wrote the summary', () => {
+  const message = teamsTarget.format(summary('Short summary'), options(mock.url));
+  assert.deepEqual(message.facts, [
+    { title: 'Channel', value: 'standup' },
+    { title: 'Started', value: '2026-01-05T10:00:00Z' },
+    { title: 'Ended', value: '2026-01-05T10:30:00Z' },
+    { title: 'Participants', value: 'Alice, Bob' },
+    { title: 'Summary by', value: 'openai / gpt-4o-mini (after anthropic failed)' },
+  ]);
+  const fallback = teamsTarget.format(summary('x', { provider: null, model: null, fallback: true, failedProviders: [] }), options(mock.url));
+  assert.equal(fallback.facts.at(-1).value, 'heuristic (LLM unavailable)');
+  assert.deepEqual(teamsTarget.format({ text: 'plain' }, options(mock.url)), { title: 'Discord call summary', facts: [], text: 'plain' });
+});
+
+test('buildAdaptiveCard: title, facts, one block per paragraph, no inline code', () => {
+  const card = buildAdaptiveCard({ title: 'T', facts: [{ title: 'Channel', value: 7 }], text: 'Use `npm test`\n\nSecond' }).attachments[0].content;
+  assert.equal(card.type, 'AdaptiveCard');
+  assert.deepEqual(card.body.map((b) => b.type), ['TextBlock', 'FactSet', 'TextBlock', 'TextBlock']);
+  assert.deepEqual(card.body[1].facts, [{ title: 'Channel', value: '7' }]);
+  assert.equal(card.body[2].text, 'Use npm test');
+});
+
+test('long summaries are split into numbered cards, facts on the first', async () => {
+  const opts = options(mock.url);
+  await teamsTarget.send({ options: opts, message: teamsTarget.format(summary(LONG_TEXT), opts) });
+  const cards = await received(mock);
+  assert.deepEqual(cards.map((c) => JSON.parse(c.title)), ['Discord call summary (1/3)', 'Discord call summary (2/3)', 'Discord call summary (3/3)']);
+  // Title + facts + text on the first card, title + text on the others.
+  assert.deepEqual(cards.map((c) => c.blocks), [3, 2, 2]);
+});
+
+test('a retry after a failed card sends only the cards not sent yet', async () => {
+  const flaky = await startMock('mock_chat_server.js', ['--fail-nth', '2']);
+  try {
+    const opts = options(flaky.url);
+    const { logger, entries } = recordingLogger();
+    await teamsTarget.send({ options: opts, message: teamsTarget.format(summary(LONG_TEXT), opts), logger });
+    assert.equal(entries.filter(([level, msg]) => level === 'warn' && msg === 'teams delivery failed; retrying').length, 1);
+    assert.deepEqual((await received(flaky)).map((c) => JSON.parse(c.title).slice(-5)), ['(1/3)', '(2/3)', '(3/3)']);
+  } finally {
+    flaky.stop();
+  }
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { htmlToText, markdownToTelegramHtml, splitHtmlMessage } from '../src/markup.js';
+import { parseTelegramRoutes, telegramRoute, telegramTarget } from '../src/targets/telegram.js';
+import { recordingLogger, startMock } from './helpers.js';
+
+// Open tags left at the end of an HTML chunk (empty when balanced); throws on a mismatched close.
+function openTags(html) {
+  const open = [];
+  for (const [, close, name] of html.matchAll(/<(\/?)(\w+)[^>]*>/g)) {
+    if (!close) open.push(name);
+    else assert.equal(open.pop(), name, `unbalanced </${name}> in ${html}`);
+  }
+  return open;
+}
+
+test('parseTelegramRoutes: channel id or name to chat and topic', () => {
+  const { routes, errors } = parseTelegramRoutes('123456=-100200:7; Standup=@team_channel\nbad; x=-1:y');
+  assert.deepEqual(routes, [
+    { key: '123456', chatId: '-100200', threadId: 7 },
+    { key: 'standup', chatId: '@team_channel', threadId: null },
+  ]);
+  assert.equal(errors.length, 2);
+
+  const options = { routes, chatId: '-100999', threadId: '3' };
+  assert.deepEqual(telegramRoute(options, { channelId: '123456', channelName: 'standup' }), { chatId: '-100200', threadId: 7 });
+  assert.deepEqual(telegramRoute(options, { channelId: '42', channelName: 'STANDUP' }), { chatId: '@team_channel', threadId: null });
+  assert.deepEqual(telegramRoute(options, { channelName: 'other' }), { chatId: '-100999', threadId: '3' });
+  assert.equal(telegramRoute({ routes, chatId: null }, { channelName: 'other' }), null);
+});
+
+test('validate: token, chat, topic', () => {
+  assert.deepEqual(telegramTarget.validate(telegramTarget.loadConfig({ TELEGRAM_THREAD_ID: 'abc', TELEGRAM_ROUTES: 'x' })), [
+    'TELEGRAM_ROUTES: invalid entry "x" (use <voice channel id or name>=<chat id>[:<topic id>])',
+    'TELEGRAM_BOT_TOKEN is required for Telegram delivery',
+    'TELEGRAM_CHAT_ID (or TELEGRAM_ROUTES) is required for Telegram delivery',
+    'TELEGRAM_THREAD_ID must be a numeric forum topic id (got: abc)',
+    'TELEGRAM_THREAD_ID needs TELEGRAM_CHAT_ID',
+  ]);
+});
+
+test('splitHtmlMessage: chunks fit the limit, keep tags balanced and lose no text', () => {
+  const html = markdownToTelegramHtml(`**${'bold & long '.repeat(40)}**\n\`code <x>\` and *italic ${'word '.repeat(60)}*\n${'tail '.repeat(50)}`);
+  const chunks = splitHtmlMessage(html, 200);
+  assert.ok(chunks.length > 3);
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= 200, `${chunk.length} > 200`);
+    assert.deepEqual(openTags(chunk), []);
+    // Never cut inside an entity.
+    assert.doesNotMatch(chunk, /&\w*$|^\w*;/);
+  }
+  const squash = (s) => s.replace(/\s+/g, '');
+  assert.equal(squash(chunks.map(htmlToText).join('')), squash(htmlToText(html)));
+  assert.deepEqual(splitHtmlMessage('<b>short</b>', 200), ['<b>short</b>']);
+});
+
+// telegramTarget against scripts/mock_chat_server.js (POST /bot<token>/...), which rejects HTML Telegram can't parse.
+let mock;
+before(async () => {
+  mock = await startMock('mock_chat_server.js');
+});
+after(() => mock?.stop());
+
+function options(url, env = {}) {
+  const opts = telegramTarget.loadConfig({ TELEGRAM_BOT_TOKEN: '123:abc', TELEGRAM_CHAT_ID: '-100999', TELEGRAM_API_URL: url, ...env });
+  assert.deepEqual(telegramTarget.validate(opts), []);
+  return { ...opts, retryDelayMs: 10 };
+}
+
+async function received(m) {
+  return (await (await fetch(`${m.url}/messages`)).json()).filter((x) => x.dest === 'telegram');
+}
+
+test('long summaries are sent as HTML chunks of at most 4096 characters', async () => {
+  const opts = options(mock.url);
+  const earlier = (await received(mock)).length;
+  const text = `Discord call summary\n\n**Decisions**\n${Array.from({ length: 300 }, (_, i) => `- item ${i}: **agreed** to ship <v2> & \`npm test\``).join('\n')}`;
+  await telegramTarget.send({ options: opts, message: telegramTarget.format({ text }, opts) });
+  const calls = (await received(mock)).slice(earlier);
+  assert.ok(calls.length >= 4);
+  assert.ok(calls.every((c) => c.method === 'sendMessage' && c.parseMode === 'HTML' && c.chars <= 4096 && c.chat === '-100999'));
+});
+
+test('routes send a call to its chat and topic, with the transcript as a document', async () => {
+  const opts = options(mock.url, { TELEGRAM_CHAT_ID: '', TELEGRAM_ROUTES: '555=-100200:7', TELEGRAM_SEND_TRANSCRIPT: 'true' });
+  const earlier = (await received(mock)).length;
+  const summary = { text: 'Summary', channelId: '555', transcript: { filename: 'call.txt', text: 'Alice: hi' } };
+  assert.equal(telegramTarget.format({ ...summary, channelId: '556' }, opts), null);
+  await telegramTarget.send({ options: opts, message: telegramTarget.format(summary, opts) });
+  assert.deepEqual(
+    (await received(mock)).slice(earlier).map((c) => [c.method, String(c.chat), String(c.topic), c.file ?? '-']),
+    [['sendMessage', '-100200', '7', '-'], ['sendDocument', '-100200', '7', 'call.txt']],
+  );
+});
+
+test('a chunk Telegram cannot parse is resent as plain text', async () => {
+  const strict = await startMock('mock_chat_server.js', ['--telegram-reject-html']);
+  try {
+    const opts = options(strict.url);
+    const { logger, entries } = recordingLogger();
+    await telegramTarget.send({ options: opts, message: telegramTarget.format({ text: '**Decisions** & <notes>' }, opts), logger });
+    const [call] = await received(strict);
+    assert.equal(call.parseMode, '-');
+    assert.equal(call.chars, 'Decisions & <notes>'.length);
+    assert.ok(entries.some(([level, msg]) => level === 'warn' && /sending it as plain text/.test(msg)));
+  } finally {
+    strict.stop();
+  }
+});
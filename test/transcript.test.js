@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { buildDialogue, buildRawTranscript, formatDuration } from '../src/transcript.js';
+
+const item = (user, startMs, endMs, text, segments = null) => ({ userId: user.toLowerCase(), user, startMs, endMs, text, segments });
+
+test('formatDuration: hh:mm:ss', () => {
+  assert.equal(formatDuration(0), '00:00:00');
+  assert.equal(formatDuration(4 * 60_000 + 12_400), '00:04:12');
+  assert.equal(formatDuration(3 * 3_600_000 + 5_000), '03:00:05');
+  assert.equal(formatDuration(-10), '00:00:00');
+});
+
+test('buildDialogue orders by speech start, not by when STT finished', () => {
+  // Alice's long utterance finished transcribing after Bob's reply.
+  const lines = buildDialogue([item('Bob', 20_000, 22_000, 'Agreed.'), item('Alice', 0, 15_000, 'Long proposal.')]);
+  assert.deepEqual(lines.map((l) => [l.user, l.startMs, l.text]), [
+    ['Alice', 0, 'Long proposal.'],
+    ['Bob', 20_000, 'Agreed.'],
+  ]);
+});
+
+test('buildDialogue interleaves at segment level and merges a speaker within 5 s', () => {
+  const alice = item('Alice', 0, 30_000, 'First part. Second part.', [
+    { startMs: 0, endMs: 8_000, text: 'First part.' },
+    { startMs: 20_000, endMs: 30_000, text: 'Second part.' },
+  ]);
+  const lines = buildDialogue([alice, item('Bob', 10_000, 12_000, 'Question?'), item('Bob', 16_000, 18_000, 'Still there?')]);
+  assert.deepEqual(lines.map((l) => [l.user, l.text]), [
+    ['Alice', 'First part.'],
+    // 4 s apart: one line; the 8 s gap before Alice's next segment is not merged.
+    ['Bob', 'Question? Still there?'],
+    ['Alice', 'Second part.'],
+  ]);
+  assert.equal(lines[1].endMs, 18_000);
+
+  const far = buildDialogue([item('Bob', 0, 1_000, 'a'), item('Bob', 6_001, 7_000, 'b')]);
+  assert.equal(far.length, 2);
+});
+
+test('buildDialogue flags lines that start while another speaker is talking', () => {
+  const lines = buildDialogue([item('Alice', 0, 10_000, 'Talking for a while'), item('Bob', 4_000, 6_000, 'Interrupting'), item('Carol', 12_000, 13_000, 'After')]);
+  assert.deepEqual(lines.map((l) => l.overlapping), [false, true, false]);
+});
+
+test('buildRawTranscript: timestamped lines, overlap marker, trimmed from the start', () => {
+  const items = [item('Alice', 252_000, 260_000, 'Hello'), item('Bob', 255_000, 256_000, 'Hi')];
+  assert.equal(buildRawTranscript(items), '[00:04:12] Alice: Hello\n[00:04:15] Bob (overlapping): Hi');
+  assert.equal(buildRawTranscript(items, { maxChars: 40 }), '[00:04:15] Bob (overlapping): Hi');
+  assert.equal(buildRawTranscript([]), '(no speech captured)');
+});
@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+
+import { buildWebhookPayload } from '../src/delivery.js';
+import { createJsonStore } from '../src/json_store.js';
+import { createWebhookOutbox, signWebhook, webhookIdempotencyKey } from '../src/webhook.js';
+import { webhookTarget } from '../src/targets/webhook.js';
+import { recordingLogger, startMock, tempDir } from './helpers.js';
+
+const SECRET = 'a-webhook-secret-of-32-characters';
+
+let mock;
+let tmp;
+before(async () => {
+  mock = await startMock('mock_chat_server.js', ['--webhook-secret', SECRET]);
+  tmp = tempDir();
+});
+after(() => {
+  mock?.stop();
+  tmp?.cleanup();
+});
+
+test('createJsonStore: empty when missing, atomic 0600 writes', () => {
+  const path = join(tmp.dir, 'store', 'state.json');
+  const { logger, entries } = recordingLogger();
+  const store = createJsonStore({ path, field: 'items', readError: 'Failed to read test store', logger });
+  assert.deepEqual(store.read(), { version: 1, items: {} });
+
+  store.write({ version: 1, items: { a: 1 } });
+  assert.deepEqual(store.read(), { version: 1, items: { a: 1 } });
+  assert.equal(statSync(path).mode & 0o777, 0o600);
+  assert.equal(existsSync(`${path}.tmp`), false);
+
+  assert.deepEqual(createJsonStore({ path: null, field: 'items' }).read(), { version: 1, items: {} });
+});
+
+test('createJsonStore: an unreadable file is moved aside instead of being overwritten by the next write', () => {
+  const dir = join(tmp.dir, 'corrupt');
+  const path = join(dir, 'state.json');
+  const { logger, entries } = recordingLogger();
+  const store = createJsonStore({ path, field: 'items', readError: 'Failed to read test store', logger });
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(path, '{ "items": { "a": 1 ');
+  assert.deepEqual(store.read(), { version: 1, items: {} });
+  store.write({ version: 1, items: { b: 2 } });
+
+  const [moved, ...others] = readdirSync(dir).filter((f) => f.startsWith('state.json.corrupt-'));
+  assert.deepEqual(others, []);
+  assert.equal(readFileSync(join(dir, moved), 'utf-8'), '{ "items": { "a": 1 ');
+  assert.deepEqual(store.read(), { version: 1, items: { b: 2 } });
+  const [[level, msg, details]] = entries;
+  assert.deepEqual([level, msg, details.movedTo], ['error', 'Failed to read test store', join(dir, moved)]);
+
+  // Valid JSON without the store's field is not a store either.
+  writeFileSync(path, '[]');
+  assert.deepEqual(store.read(), { version: 1, items: {} });
+  assert.equal(existsSync(path), false);
+  assert.match(entries[1][2].err, /no "items" object/);
+});
+
+test('webhookIdempotencyKey: stable per payload, new for changed content', () => {
+  const payload = { callId: 'call-1', summary: 'a' };
+  assert.equal(webhookIdempotencyKey(payload), webhookIdempotencyKey({ ...payload }));
+  assert.notEqual(webhookIdempotencyKey(payload), webhookIdempotencyKey({ ...payload, summary: 'b' }));
+  assert.match(webhookIdempotencyKey(payload), /^call-1:[0-9a-f]{16}$/);
+  assert.match(signWebhook({ secret: SECRET, timestamp: '1700000000', body: '{}' }), /^sha256=[0-9a-f]{64}$/);
+});
+
+function summary(callId, summaryText = 'We agreed to ship on Friday.') {
+  const webhookPayload = buildWebhookPayload({
+    callId,
+    channelName: 'standup',
+    startedAt: '2026-01-05T10:00:00Z',
+    endedAt: '2026-01-05T10:30:00Z',
+    participants: 'Alice, Bob',
+    summaryText,
+  });
+  return { callId, text: summaryText, webhookPayload, transcript: { filename: 'call.txt', text: 'Alice: ship it' } };
+}
+
+function target(name, url, env = {}, cfg = {}) {
+  const options = webhookTarget.loadConfig({ WEBHOOK_URL: `${url}/webhook`, ...env }, { DATA_DIR: join(tmp.dir, name), ...cfg });
+  assert.deepEqual(webhookTarget.validate(options), []);
+  const { logger, entries } = recordingLogger();
+  const opts = { ...options, retryDelayMs: 10 };
+  const send = (s) => webhookTarget.send({ options: opts, message: webhookTarget.format(s, opts), logger });
+  const outbox = createWebhookOutbox({ path: options.outboxPath });
+  return { options: opts, logger, entries, send, outbox };
+}
+
+async function received(m) {
+  return (await (await fetch(`${m.url}/messages`)).json()).filter((x) => x.dest === 'webhook');
+}
+
+// Make every outbox entry due now (or, with `firstFailedAt`, also that old).
+function makeDue(outbox, firstFailedAt = null) {
+  for (const { key, ...entry } of outbox.list()) {
+    outbox.put(key, { ...entry, nextAttemptAt: new Date(Date.now() - 1000).toISOString(), ...(firstFailedAt ? { firstFailedAt } : {}) });
+  }
+}
+
+test('signed deliveries carry the idempotency key; a repeated delivery is a duplicate for the receiver', async () => {
+  const { send } = target('signed', mock.url, { WEBHOOK_SECRET: SECRET, WEBHOOK_INCLUDE_TRANSCRIPT: 'true' });
+  const first = await send(summary('call-1'));
+  assert.equal(first.queued, false);
+  assert.match(first.id, /^call-1:/);
+  assert.deepEqual(await send(summary('call-1')), first);
+
+  const calls = (await received(mock)).filter((c) => c.id === first.id);
+  assert.deepEqual(calls.map((c) => [c.signed, c.duplicate, c.schema, c.participants, c.transcript]), [
+    [true, false, 2, 2, true],
+    [true, true, 2, 2, true],
+  ]);
+});
+
+test('a wrong secret is rejected and not queued', async () => {
+  const { send, outbox } = target('wrong-secret', mock.url, { WEBHOOK_SECRET: 'not-the-right-secret' });
+  await assert.rejects(send(summary('call-2')), (e) => e.status === 401);
+  assert.deepEqual(outbox.list(), []);
+});
+
+test('failed deliveries are queued in the outbox and delivered by retryPending', async () => {
+  const flaky = await startMock('mock_chat_server.js', ['--fail-first', '2']);
+  try {
+    const { send, options, logger, entries, outbox } = target('outbox', flaky.url);
+    const res = await send(summary('call-3'));
+    assert.equal(res.queued, true);
+    assert.ok(entries.some(([level, msg]) => level === 'warn' && msg === 'Webhook delivery failed; queued in the outbox for retry'));
+    const [queued] = outbox.list();
+    assert.deepEqual({ key: queued.key, id: queued.id, attempts: queued.attempts }, { key: 'call-3', id: res.id, attempts: 1 });
+    assert.match(queued.lastError, /503/);
+
+    // Not due yet: nothing is sent.
+    await webhookTarget.retryPending({ options, logger });
+    assert.equal(outbox.list().length, 1);
+
+    makeDue(outbox);
+    await webhookTarget.retryPending({ options, logger });
+    assert.deepEqual(outbox.list(), []);
+    assert.deepEqual((await received(flaky)).map((c) => c.id), [res.id]);
+    assert.ok(entries.some(([, msg, meta]) => msg === 'Webhook outbox entry delivered' && meta.attempts === 2));
+  } finally {
+    flaky.stop();
+  }
+});
+
+test('queued payloads are encrypted with the transcripts key; expired entries are dropped; WEBHOOK_OUTBOX=false throws', async () => {
+  const down = await startMock('mock_chat_server.js', ['--fail-first', '100']);
+  try {
+    const { send, options, logger, entries, outbox } = target('sealed', down.url, { WEBHOOK_INCLUDE_TRANSCRIPT: 'true' }, { TRANSCRIPTS_ENCRYPTION_KEY: 'correct horse battery staple' });
+    assert.equal((await send(summary('call-4', 'Confidential plans'))).queued, true);
+    const file = readFileSync(options.outboxPath, 'utf-8');
+    assert.doesNotMatch(file, /Confidential plans|ship it/);
+    assert.ok(outbox.list()[0].sealed);
+
+    makeDue(outbox, new Date(Date.now() - options.outboxMaxAgeMs - 60_000).toISOString());
+    await webhookTarget.retryPending({ options, logger });
+    assert.deepEqual(outbox.list(), []);
+    assert.ok(entries.some(([level, msg]) => level === 'warn' && msg === 'Webhook outbox entry expired; dropped'));
+
+    // Without the outbox the failure is thrown.
+    const direct = target('no-outbox', down.url, { WEBHOOK_OUTBOX: 'false' });
+    await assert.rejects(direct.send(summary('call-5')), /Webhook failed: 503/);
+    assert.equal(existsSync(direct.options.outboxPath), false);
+  } finally {
+    down.stop();
+  }
+});